@@ -0,0 +1,36 @@
+import { Utils } from './utils.js';
+
+// Accessibility Module
+export const Accessibility = {
+    init() {
+        this.setupSkipLinks();
+        this.setupKeyboardNavigation();
+    },
+
+    setupSkipLinks() {
+        const skipLink = document.querySelector('.skip-link');
+        if (skipLink) {
+            skipLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                const target = document.querySelector(skipLink.getAttribute('href'));
+                if (target) {
+                    target.setAttribute('tabindex', '-1');
+                    Utils.setFocusWithDelay(target);
+                    target.removeAttribute('tabindex');
+                }
+            });
+        }
+    },
+
+    setupKeyboardNavigation() {
+        // Handle tab navigation for mobile menu
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Tab') {
+                const navMenu = document.querySelector('.nav-menu');
+                if (navMenu && navMenu.classList.contains('active')) {
+                    Utils.trapFocus(navMenu, e);
+                }
+            }
+        });
+    }
+};
@@ -0,0 +1,72 @@
+// Global configuration
+export const CONFIG = {
+    // Animation settings
+    animationDuration: 300,
+    scrollOffset: 80,
+    
+    // Form settings
+    formTimeout: 5000,
+
+    // Form submission settings (endpoint can be overridden per form via data-endpoint)
+    submitEndpoint: '/api/anfrage',
+    submitTimeout: 10000,
+    submitRetries: 2,
+    submitRetryDelay: 1000,
+
+    // Attachments are uploaded one by one as soon as they are chosen, see FileUpload
+    uploadEndpoint: '/api/upload',
+    uploadTimeout: 60000,
+    
+    // Performance settings
+    debounceDelay: 250,
+    throttleDelay: 16,
+    
+    // Accessibility settings
+    focusTimeout: 100,
+
+    // Consent settings, bump the version whenever the privacy policy changes to ask again
+    consentVersion: '2026-10',
+    consentStorageKey: 'consent',
+
+    // Form drafts are kept in sessionStorage for this long after the last input
+    draftMaxAge: 60 * 60 * 1000,
+
+    // Site search settings, the index is built by scripts/build-search-index.js
+    searchIndexUrl: 'data/search-index.json',
+    searchMinLength: 2,
+    searchMaxResults: 8,
+
+    // Blog settings, articles are listed in the manifest and shown in batches
+    blogManifestUrl: 'data/blog.json',
+    blogPageSize: 6,
+
+    // Practice locations, phone numbers and opening hours shown across the site
+    locationsUrl: 'data/locations.json',
+    closuresUrl: 'data/closures.json',
+
+    // Symptom navigator on krankheitsbilder.html, checked by scripts/build-krankheitsbilder.js
+    symptomNavigatorUrl: 'data/symptom-navigator.json',
+
+    // Interface texts for languages other than German, see scripts/build-i18n.js
+    messagesUrl: 'data/i18n/messages.{language}.json',
+
+    // Team settings, member data is checked by scripts/build-team.js
+    teamDataUrl: 'data/team.json',
+
+    // Swiss postcodes with their towns for the address check in forms, see scripts/check-locations.js
+    postcodesUrl: 'data/postcodes.json',
+
+    // Service worker for offline use, its precache list is built by scripts/build-service-worker.js
+    serviceWorkerUrl: 'sw.js',
+
+    // Site root derived from the location of this module (assets/js/core/), so pages in
+    // subfolders resolve shared paths
+    siteRoot: new URL('../../../', import.meta.url).href,
+    
+    // Breakpoints
+    breakpoints: {
+        mobile: 768,
+        tablet: 1024,
+        desktop: 1200
+    }
+};
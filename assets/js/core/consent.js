@@ -0,0 +1,203 @@
+import { CONFIG } from './config.js';
+import { I18n } from './i18n.js';
+import { Utils } from './utils.js';
+
+// Consent Manager Module
+// Third-party resources are marked up as <link data-consent="external" data-href="...">
+// or <script type="text/plain" data-consent="stats" data-src="..."> and only activated
+// once their category has been granted. Gated scripts are always external files, the
+// Content-Security-Policy would block inline code (scripts/check-csp.js enforces this)
+export const ConsentManager = {
+    // Optional categories, 'necessary' is always granted
+    categories: ['external', 'stats', 'marketing', 'drafts'],
+
+    // Keys written by the previous, unversioned cookie settings page
+    legacyKeys: ['cookieStats', 'cookieMarketing', 'cookieConsent'],
+
+    init() {
+        this.record = this.load();
+        this.activateResources();
+        this.setupSettingsPage();
+
+        if (!this.hasValidConsent() && !this.settingsContainer) {
+            this.showBanner();
+        }
+    },
+
+    load() {
+        try {
+            const record = JSON.parse(localStorage.getItem(CONFIG.consentStorageKey));
+            return record && record.categories ? record : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    // A record from an older policy version counts as no consent at all
+    hasValidConsent() {
+        return Boolean(this.record && this.record.version === CONFIG.consentVersion);
+    },
+
+    isGranted(category) {
+        if (category === 'necessary') return true;
+        return this.hasValidConsent() && this.record.categories[category] === true;
+    },
+
+    save(choices) {
+        const previous = this.hasValidConsent() ? this.record.categories : null;
+        const categories = { necessary: true };
+        this.categories.forEach(category => {
+            categories[category] = Boolean(choices[category]);
+        });
+
+        this.record = {
+            version: CONFIG.consentVersion,
+            timestamp: new Date().toISOString(),
+            categories
+        };
+        this.persist();
+        this.hideBanner();
+        this.activateResources();
+        this.notify(previous);
+    },
+
+    acceptAll() {
+        this.save({ external: true, stats: true, marketing: true, drafts: true });
+    },
+
+    rejectAll() {
+        this.save({});
+    },
+
+    reset() {
+        const previous = this.hasValidConsent() ? this.record.categories : null;
+        this.record = null;
+        this.persist();
+        this.activateResources();
+        this.notify(previous);
+    },
+
+    persist() {
+        try {
+            if (this.record) {
+                localStorage.setItem(CONFIG.consentStorageKey, JSON.stringify(this.record));
+            } else {
+                localStorage.removeItem(CONFIG.consentStorageKey);
+            }
+            this.legacyKeys.forEach(key => localStorage.removeItem(key));
+        } catch (error) {
+            // Storage unavailable: the choice applies to this page view only
+        }
+    },
+
+    notify(previous) {
+        const categories = { necessary: true };
+        this.categories.forEach(category => {
+            categories[category] = this.isGranted(category);
+        });
+
+        document.dispatchEvent(new CustomEvent('consent-changed', {
+            detail: { categories, previous, record: this.record }
+        }));
+    },
+
+    activateResources() {
+        document.querySelectorAll('[data-consent]').forEach(element => {
+            const granted = this.isGranted(element.dataset.consent);
+            const active = element.dataset.consentActive === 'true';
+
+            if (granted && !active) {
+                this.activate(element);
+            } else if (!granted && active && element.tagName === 'LINK') {
+                // Stylesheets can be dropped right away, scripts stay until the next page load
+                element.removeAttribute('href');
+                element.dataset.consentActive = 'false';
+            }
+        });
+    },
+
+    activate(element) {
+        if (element.tagName === 'SCRIPT') {
+            if (!element.dataset.src) {
+                console.warn('Consent-gated script without data-src ignored:', element);
+                return;
+            }
+            const script = document.createElement('script');
+            script.src = element.dataset.src;
+            element.after(script);
+        } else if (element.dataset.href) {
+            element.href = element.dataset.href;
+        } else if (element.dataset.src) {
+            element.src = element.dataset.src;
+        }
+        element.dataset.consentActive = 'true';
+    },
+
+    showBanner() {
+        if (this.banner) return;
+
+        const banner = document.createElement('section');
+        banner.className = 'consent-banner';
+        banner.setAttribute('aria-labelledby', 'consent-banner-title');
+
+        const title = document.createElement('h2');
+        title.id = 'consent-banner-title';
+        title.textContent = I18n.t('consent.title');
+
+        const text = document.createElement('p');
+        const settingsLink = document.createElement('a');
+        settingsLink.href = Utils.sitePath('cookie-einstellungen.html');
+        settingsLink.textContent = I18n.t('consent.settings');
+        text.append(...I18n.nodes('consent.text', { settings: settingsLink }));
+
+        const actions = document.createElement('div');
+        actions.className = 'consent-banner-actions';
+        actions.append(
+            this.createBannerButton(I18n.t('consent.acceptAll'), 'btn btn-primary', () => this.acceptAll()),
+            this.createBannerButton(I18n.t('consent.necessaryOnly'), 'btn btn-outline', () => this.rejectAll())
+        );
+
+        banner.append(title, text, actions);
+        document.body.appendChild(banner);
+        this.banner = banner;
+    },
+
+    createBannerButton(label, className, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    },
+
+    hideBanner() {
+        if (this.banner) {
+            this.banner.remove();
+            this.banner = null;
+        }
+    },
+
+    // cookie-einstellungen.html: keep the category switches in sync with the record
+    setupSettingsPage() {
+        this.settingsContainer = document.querySelector('[data-consent-settings]');
+        if (!this.settingsContainer) return;
+
+        this.updateSettingsPage();
+        document.addEventListener('consent-changed', () => this.updateSettingsPage());
+    },
+
+    updateSettingsPage() {
+        this.settingsContainer.querySelectorAll('[data-consent-category]').forEach(input => {
+            input.checked = this.isGranted(input.dataset.consentCategory);
+        });
+    },
+
+    readSettingsPage() {
+        const choices = {};
+        this.settingsContainer.querySelectorAll('[data-consent-category]').forEach(input => {
+            choices[input.dataset.consentCategory] = input.checked;
+        });
+        return choices;
+    }
+};
@@ -0,0 +1,99 @@
+import { CONFIG } from './config.js';
+import { MESSAGES } from './messages.js';
+import { Utils } from './utils.js';
+
+// Interface language. Pages say theirs in <html lang>; for other languages than German the
+// catalog from data/i18n is loaded and every key it does not have yet falls back to MESSAGES,
+// so a partly translated catalog works. Pages translated by scripts/build-i18n.js carry a
+// language switcher in the navigation; the choice made there is remembered and followed on
+// every page that exists in that language.
+export const I18n = {
+    defaultLanguage: 'de',
+    // Supported languages with the locale used for dates and plural rules
+    locales: { de: 'de-CH', en: 'en-GB', it: 'it-CH', sq: 'sq-AL' },
+    storageKey: 'pref:language',
+    messages: {},
+
+    // Resolves with false if the page is being left for the remembered language
+    async init() {
+        const language = document.documentElement.lang.split('-')[0];
+        this.language = this.locales[language] ? language : this.defaultLanguage;
+        this.locale = this.locales[this.language];
+        this.plurals = new Intl.PluralRules(this.locale);
+
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('.language-switcher a[hreflang]');
+            if (link) this.setPreference(link.hreflang);
+        });
+
+        if (this.followPreference()) return false;
+        if (this.language === this.defaultLanguage) return true;
+
+        try {
+            const response = await fetch(Utils.sitePath(CONFIG.messagesUrl.replace('{language}', this.language)));
+            if (!response.ok) throw new Error(`Messages returned ${response.status}`);
+            this.messages = await response.json();
+        } catch (error) {
+            // The German texts stand in until the catalog can be loaded
+            console.warn('Messages could not be loaded:', error);
+        }
+        return true;
+    },
+
+    /**
+     * Text for a key with its {name} placeholders filled in, in the page language,
+     * else in German, else the key itself so a missing text is easy to spot.
+     */
+    t(key, params = {}) {
+        const message = this.messages[key] || MESSAGES[key] || key;
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    },
+
+    // Text for a number, "<key>.one" or "<key>.other" depending on the language's plural rules
+    count(key, count, params = {}) {
+        const form = this.plurals.select(count) === 'one' ? 'one' : 'other';
+        return this.t(`${key}.${form}`, { count, ...params });
+    },
+
+    // Like t, but placeholders may be nodes (e.g. links inside a sentence); returns a list for append()
+    nodes(key, params = {}) {
+        const message = this.messages[key] || MESSAGES[key] || key;
+        return message.split(/(\{\w+\})/)
+            .map(part => {
+                const name = part.match(/^\{(\w+)\}$/);
+                return name && name[1] in params ? params[name[1]] : part;
+            })
+            .filter(part => part !== '');
+    },
+
+    getPreference() {
+        try {
+            return window.localStorage.getItem(this.storageKey);
+        } catch (error) {
+            return null;
+        }
+    },
+
+    setPreference(language) {
+        try {
+            window.localStorage.setItem(this.storageKey, language);
+        } catch (error) {
+            // Storage unavailable, the choice only applies to this visit
+        }
+    },
+
+    /**
+     * Go to the version of this page in the remembered language, if there is one.
+     * Returns true while the browser navigates away.
+     */
+    followPreference() {
+        const preferred = this.getPreference();
+        if (!preferred || preferred === this.language) return false;
+
+        const link = document.querySelector(`.language-switcher a[hreflang="${preferred}"]`);
+        if (!link) return false;
+
+        window.location.replace(link.href + window.location.search + window.location.hash);
+        return true;
+    }
+};
@@ -0,0 +1,218 @@
+import { CONFIG } from './config.js';
+import { I18n } from './i18n.js';
+import { Utils } from './utils.js';
+
+// Practice locations, opening hours and emergency numbers, loaded from data/locations.json.
+// Elements say what they show with data-contact="<key>.<field>", e.g.
+//   <a href="tel:+41418130080" data-contact="schwyz.phone">041 813 00 80</a>
+// The key is a location, an emergency number, "main" for the main location or "all" for the
+// hours of every location. The static content stays as the fallback without JavaScript;
+// scripts/check-locations.js makes sure it matches the data.
+export const Locations = {
+    weekdays: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
+    schemaDayNames: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
+
+    init() {
+        this.load()
+            .then(() => {
+                this.render();
+                this.renderStructuredData();
+            })
+            .catch(error => console.warn('Location data could not be loaded:', error));
+    },
+
+    load() {
+        if (!this.loading) {
+            this.loading = fetch(Utils.sitePath(CONFIG.locationsUrl))
+                .then(response => {
+                    if (!response.ok) throw new Error(`Location data returned ${response.status}`);
+                    return response.json();
+                })
+                .then(data => {
+                    this.data = data;
+                    return data;
+                })
+                .catch(error => {
+                    this.loading = null;
+                    throw error;
+                });
+        }
+        return this.loading;
+    },
+
+    // Location or emergency number by key, null while the data is not loaded
+    get(key) {
+        if (!this.data) return null;
+        const id = key === 'main' ? this.data.organization.mainLocation : key;
+        return this.data.locations[id] || this.data.emergency[id] || null;
+    },
+
+    getLocations() {
+        return this.data ? this.data.locations : {};
+    },
+
+    // +41418130080 becomes 041 813 00 80, short numbers like 144 stay as they are
+    formatPhone(number) {
+        const match = number.match(/^\+41(\d{2})(\d{3})(\d{2})(\d{2})$/);
+        return match ? `0${match[1]} ${match[2]} ${match[3]} ${match[4]}` : number;
+    },
+
+    getMapUrl(location) {
+        return `https://maps.google.com/?q=${[location.street, location.postalCode, location.town].join(' ').replace(/\s+/g, '+')}`;
+    },
+
+    // Consecutive weekdays with the same hours, closed days included
+    groupDays(openingHours) {
+        return this.weekdays.reduce((groups, weekday, index) => {
+            const hours = openingHours[weekday] || [];
+            const last = groups[groups.length - 1];
+
+            if (last && JSON.stringify(last.hours) === JSON.stringify(hours)) {
+                last.to = index;
+            } else {
+                groups.push({ from: index, to: index, hours });
+            }
+            return groups;
+        }, []);
+    },
+
+    // Name of a weekday by its index in weekdays, abbreviated with short
+    dayName(index, short = false) {
+        return I18n.t(`day.${short ? 'short.' : ''}${this.weekdays[index]}`);
+    },
+
+    // "Mo–Do: 08:00–12:00 | 13:30–17:00" per group of open days, prefixed with the
+    // location name if the locations do not share the same hours
+    getHoursSummary() {
+        const locations = Object.values(this.getLocations());
+        const shared = locations.every(location => JSON.stringify(location.openingHours) === JSON.stringify(locations[0].openingHours));
+
+        return (shared ? locations.slice(0, 1) : locations).flatMap(location => this.groupDays(location.openingHours)
+            .filter(group => group.hours.length)
+            .map(group => {
+                const days = group.from === group.to
+                    ? this.dayName(group.from, true)
+                    : `${this.dayName(group.from, true)}–${this.dayName(group.to, true)}`;
+                const line = `${days}: ${group.hours.map(([start, end]) => `${start}–${end}`).join(' | ')}`;
+                return shared ? line : `${location.name} ${line}`;
+            }));
+    },
+
+    renderHoursRows(location) {
+        return this.groupDays(location.openingHours).map(group => {
+            const row = Utils.createElement('div', group.hours.length ? 'hours-row' : 'hours-row closed');
+            const from = this.dayName(group.from);
+            const to = this.dayName(group.to);
+            let days = from;
+
+            if (group.to === group.from + 1) {
+                days = I18n.t('hours.dayPair', { from, to });
+            } else if (group.to > group.from) {
+                days = I18n.t('hours.dayRange', { from, to });
+            }
+
+            const hours = group.hours.length
+                ? I18n.t('hours.times', { times: group.hours.map(([start, end]) => `${start} - ${end}`).join(I18n.t('hours.join')) })
+                : I18n.t('hours.closed');
+
+            row.append(Utils.createElement('span', null, days), Utils.createElement('span', null, hours));
+            return row;
+        });
+    },
+
+    // One paragraph per line in block containers, line breaks everywhere else
+    renderLines(element, lines) {
+        if (element.tagName === 'DIV') {
+            element.replaceChildren(...lines.map(line => Utils.createElement('p', null, line)));
+            return;
+        }
+        element.replaceChildren(...lines.flatMap((line, index) =>
+            index ? [document.createElement('br'), document.createTextNode(line)] : [document.createTextNode(line)]));
+    },
+
+    render(root = document) {
+        root.querySelectorAll('[data-contact]').forEach(element => {
+            const [key, field] = element.dataset.contact.split('.');
+
+            if (key === 'all') {
+                if (field === 'hours') this.renderLines(element, this.getHoursSummary());
+                return;
+            }
+
+            const entry = this.get(key);
+            if (!entry) return;
+
+            switch (field) {
+                case 'name':
+                    element.textContent = entry.name;
+                    break;
+                case 'phone':
+                    element.textContent = this.formatPhone(entry.phone);
+                    if (element.tagName === 'A') element.href = `tel:${entry.phone}`;
+                    break;
+                // Call buttons keep their label
+                case 'tel':
+                    element.href = `tel:${entry.phone}`;
+                    break;
+                case 'fax':
+                    element.textContent = this.formatPhone(entry.fax);
+                    break;
+                case 'email':
+                    element.textContent = entry.email;
+                    if (element.tagName === 'A') element.href = `mailto:${entry.email}`;
+                    break;
+                case 'address':
+                    this.renderLines(element, [entry.street, `CH-${entry.postalCode} ${entry.town}`]);
+                    break;
+                case 'map':
+                    element.href = this.getMapUrl(entry);
+                    break;
+                case 'hours':
+                    element.replaceChildren(...this.renderHoursRows(entry));
+                    break;
+            }
+        });
+    },
+
+    // schema.org description of both locations for search engines
+    renderStructuredData() {
+        const organization = this.data.organization;
+        const graph = Object.entries(this.getLocations()).map(([key, location]) => ({
+            '@type': ['MedicalClinic', 'Physician'],
+            '@id': `${organization.url}/kontakt.html#${key}`,
+            name: `${organization.name} – ${location.name}`,
+            url: organization.url,
+            medicalSpecialty: 'Neurologic',
+            telephone: location.phone,
+            faxNumber: location.fax,
+            email: location.email,
+            address: {
+                '@type': 'PostalAddress',
+                streetAddress: location.street,
+                postalCode: location.postalCode,
+                addressLocality: location.town,
+                addressRegion: location.canton,
+                addressCountry: 'CH'
+            },
+            hasMap: this.getMapUrl(location),
+            openingHoursSpecification: this.groupDays(location.openingHours)
+                .filter(group => group.hours.length)
+                .flatMap(group => group.hours.map(([opens, closes]) => ({
+                    '@type': 'OpeningHoursSpecification',
+                    dayOfWeek: this.schemaDayNames.slice(group.from, group.to + 1),
+                    opens,
+                    closes
+                }))),
+            parentOrganization: {
+                '@type': 'MedicalOrganization',
+                name: organization.name,
+                url: organization.url
+            }
+        }));
+
+        const script = document.createElement('script');
+        script.type = 'application/ld+json';
+        script.textContent = JSON.stringify({ '@context': 'https://schema.org', '@graph': graph });
+        document.head.appendChild(script);
+    }
+};
@@ -0,0 +1,169 @@
+// German interface texts, the reference for the catalogs in data/i18n/messages.<lang>.json.
+// Keys are grouped by module, {name} is filled in by I18n.t. Keys ending in .one/.other are
+// picked by number (I18n.count). scripts/build-i18n.js reads this object, keep it plain data.
+export const MESSAGES = {
+    'dialog.close': 'Schliessen',
+    'dialog.confirm': 'Bestätigen',
+    'dialog.cancel': 'Abbrechen',
+
+    'language.label': 'Sprache',
+
+    'day.monday': 'Montag',
+    'day.tuesday': 'Dienstag',
+    'day.wednesday': 'Mittwoch',
+    'day.thursday': 'Donnerstag',
+    'day.friday': 'Freitag',
+    'day.saturday': 'Samstag',
+    'day.sunday': 'Sonntag',
+    'day.short.monday': 'Mo',
+    'day.short.tuesday': 'Di',
+    'day.short.wednesday': 'Mi',
+    'day.short.thursday': 'Do',
+    'day.short.friday': 'Fr',
+    'day.short.saturday': 'Sa',
+    'day.short.sunday': 'So',
+
+    'hours.dayPair': '{from} und {to}',
+    'hours.dayRange': '{from} - {to}',
+    'hours.join': ' und ',
+    'hours.times': '{times} Uhr',
+    'hours.closed': 'geschlossen',
+
+    'opening.open': 'Jetzt geöffnet – bis {time} Uhr',
+    'opening.closedToday': 'Heute geschlossen ({reason})',
+    'opening.closed': 'Zurzeit geschlossen',
+    'opening.reopens': '{status} – öffnet {next}',
+    'opening.today': 'heute um {time} Uhr',
+    'opening.tomorrow': 'morgen um {time} Uhr',
+    'opening.onDay': 'am {day} um {time} Uhr',
+    'opening.emergency': 'In dringenden Fällen: {phone} · {all}',
+    'opening.allNumbers': 'alle Notfallnummern',
+
+    'search.label': 'Website durchsuchen',
+    'search.placeholder': 'Suchen …',
+    'search.results': 'Suchergebnisse',
+    'search.unavailable': 'Die Suche ist momentan nicht verfügbar.',
+    'search.noResults': 'Keine Treffer für „{query}“.',
+    'search.found.one': '{count} Treffer gefunden, mit den Pfeiltasten auswählen.',
+    'search.found.other': '{count} Treffer gefunden, mit den Pfeiltasten auswählen.',
+
+    'consent.title': 'Ihre Privatsphäre',
+    'consent.text': 'Wir verwenden nur technisch notwendige Speicherungen. Externe Inhalte wie Schriftarten von Google sowie Statistik- und Marketing-Dienste laden wir erst nach Ihrer Einwilligung, ebenso speichern wir Formularentwürfe nur mit Ihrer Zustimmung. {settings}',
+    'consent.settings': 'Einstellungen anpassen',
+    'consent.acceptAll': 'Alle akzeptieren',
+    'consent.necessaryOnly': 'Nur notwendige',
+
+    'privacy.label.consent': 'Einwilligung zu Cookies und externen Inhalten',
+    'privacy.label.cookieConsent': 'Einwilligung (ältere Version)',
+    'privacy.label.cookieStats': 'Statistik-Cookies (ältere Version)',
+    'privacy.label.cookieMarketing': 'Marketing-Cookies (ältere Version)',
+    'privacy.label.draft': 'Formularentwurf',
+    'privacy.label.preference': 'Einstellung',
+    'privacy.label.other': 'Sonstige Website-Daten',
+    'privacy.exportNote': 'Diese Datei enthält alle Daten, die diese Website in Ihrem Browser gespeichert hat. Über Formulare an die Praxis übermittelte Angaben sind nicht enthalten, Auskunft darüber erteilt die Praxis auf Anfrage.',
+    'privacy.exported': 'Ihre gespeicherten Daten wurden als JSON-Datei heruntergeladen.',
+    'privacy.deleted': 'Alle auf diesem Gerät gespeicherten Daten, Einstellungen und Cookies wurden gelöscht.',
+    'privacy.saved': 'Ihre Cookie-Einstellungen wurden gespeichert.',
+    'privacy.reset': 'Cookie-Einstellungen wurden zurückgesetzt.',
+    'privacy.deleteTitle': 'Daten löschen',
+    'privacy.deleteMessage': 'Möchten Sie wirklich alle auf diesem Gerät gespeicherten Daten löschen? Dazu gehören Ihre Einwilligungen, Formularentwürfe und Einstellungen.',
+    'privacy.deleteConfirm': 'Daten löschen',
+    'privacy.resetTitle': 'Einstellungen zurücksetzen',
+    'privacy.resetMessage': 'Möchten Sie wirklich alle Cookie-Einstellungen zurücksetzen?',
+    'privacy.resetConfirm': 'Zurücksetzen',
+
+    'submit.network': 'Die Verbindung zum Server ist fehlgeschlagen. Bitte prüfen Sie Ihre Internetverbindung und versuchen Sie es erneut.',
+    'submit.timeout': 'Der Server antwortet nicht. Bitte versuchen Sie es in einigen Minuten erneut.',
+    'submit.client': 'Ihre Anfrage konnte nicht verarbeitet werden. Bitte überprüfen Sie Ihre Angaben.',
+    'submit.server': 'Bei der Verarbeitung Ihrer Anfrage ist ein Fehler aufgetreten. Bitte versuchen Sie es später erneut oder rufen Sie uns an.',
+    'submit.413': 'Ihre Anfrage ist zu gross. Bitte kürzen Sie Ihre Nachricht.',
+    'submit.429': 'Sie haben zu viele Anfragen gesendet. Bitte warten Sie einen Moment und versuchen Sie es erneut.',
+
+    'form.required': 'Dieses Feld ist erforderlich.',
+    'form.confirm': 'Bitte bestätigen Sie dieses Feld.',
+    'form.email': 'Bitte geben Sie eine gültige Email-Adresse ein.',
+    'form.phone': 'Bitte geben Sie eine gültige Telefonnummer ein.',
+    'form.pastDate': 'Das Datum darf nicht in der Vergangenheit liegen.',
+    'form.birthDate': 'Bitte prüfen Sie das Geburtsdatum.',
+    'form.birthDateFuture': 'Das Geburtsdatum darf nicht in der Zukunft liegen.',
+    'form.minAge': 'Die Person muss mindestens {min} Jahre alt sein.',
+    'form.ahv': 'Bitte geben Sie eine gültige AHV-Nummer ein (756.XXXX.XXXX.XX).',
+    'form.insuranceCard': 'Bitte geben Sie die 20-stellige Nummer Ihrer Versichertenkarte ein (beginnt mit 80756).',
+    'form.postcode': 'Bitte geben Sie eine vierstellige Postleitzahl ein.',
+    'form.town': 'Die Postleitzahl {postcode} gehört zu: {towns}.',
+    'form.gln': 'Bitte geben Sie eine gültige GLN ein (13 Ziffern, beginnt mit 760).',
+    'form.uploads': 'Nicht alle Dateien wurden hochgeladen. Versuchen Sie es erneut oder entfernen Sie die markierten Dateien.',
+    'form.fieldError': 'Fehler in {field}: {message}',
+    'form.success': 'Vielen Dank für Ihre Anfrage. Wir werden uns so schnell wie möglich bei Ihnen melden.',
+
+    'upload.progress': '{percent} %',
+    'upload.done': 'Hochgeladen',
+    'upload.failed': 'Hochladen fehlgeschlagen',
+    'upload.type': 'Dateityp nicht erlaubt, möglich sind {types}.',
+    'upload.size': 'Die Datei ist grösser als {max}.',
+    'upload.empty': 'Die Datei ist leer.',
+    'upload.count': 'Es können höchstens {max} Dateien angehängt werden.',
+    'upload.refused': 'Die Datei wurde nicht angenommen.',
+    'upload.retry': 'Erneut versuchen',
+    'upload.retryLabel': '{name} erneut hochladen',
+    'upload.remove': 'Entfernen',
+    'upload.removeLabel': '{name} entfernen',
+    'upload.announceDone': '{name} wurde hochgeladen.',
+    'upload.announceFailed': '{name}: {message}',
+
+    'wizard.step': 'Schritt {step} von {total}: {title}',
+    'wizard.weekend': 'An Wochenenden ist die Praxis geschlossen. Bitte wählen Sie einen Tag von Montag bis Freitag.',
+    'wizard.practice': 'Praxis',
+    'wizard.closedOnDay': 'Die {location} ist am {weekday} geschlossen.',
+    'wizard.closedAfternoon': 'Die {location} ist am {weekday}nachmittag geschlossen. Bitte wählen Sie eine Zeit am Vormittag ({hours} Uhr).',
+    'wizard.outsideHours': 'Bitte wählen Sie eine Uhrzeit innerhalb der Öffnungszeiten am {weekday}: {hours} Uhr.',
+    'wizard.date': '{weekday}, {date}',
+    'wizard.yes': 'Ja',
+    'wizard.edit': 'Ändern',
+
+    'draft.found': 'Sie haben dieses Formular um {time} Uhr bereits angefangen. Möchten Sie mit Ihren Eingaben weitermachen?',
+    'draft.restore': 'Entwurf wiederherstellen',
+    'draft.discard': 'Verwerfen',
+    'draft.restored': 'Ihre Eingaben wurden wiederhergestellt.',
+
+    'blog.empty': 'Zu dieser Auswahl gibt es noch keine Artikel.',
+    'blog.loadedMore': '{added} weitere Artikel geladen, {visible} von {total} angezeigt.',
+    'blog.found.one': '{count} Artikel gefunden.',
+    'blog.found.other': '{count} Artikel gefunden.',
+    'blog.foundShown': '{count} Artikel gefunden, {visible} angezeigt.',
+    'blog.topics': 'Themen',
+    'blog.readMore': 'Weiterlesen →',
+
+    'symptom.question': 'Welche Beschwerde steht im Vordergrund?',
+    'symptom.notListed': 'Ihre Beschwerde ist nicht dabei? {link}',
+    'symptom.allConditions': 'Alle Krankheitsbilder ansehen',
+    'symptom.restart': 'Andere Beschwerde wählen',
+    'symptom.results': 'Diese Krankheitsbilder könnten passen',
+    'symptom.appointment': 'Für eine Abklärung Ihrer Beschwerden {appointment}. Treten die Beschwerden plötzlich auf oder verschlimmern sie sich rasch, {warnings}.',
+    'symptom.appointmentLink': 'vereinbaren Sie einen Termin',
+    'symptom.warningsLink': 'beachten Sie die Warnzeichen',
+    'symptom.emergencyTitle': 'Bitte rufen Sie sofort den Notruf an',
+    'symptom.emergencyText': 'Ihre Beschreibung kann auf einen Notfall wie einen Schlaganfall hinweisen. Warten Sie nicht auf einen Praxistermin, jede Minute zählt.',
+    'symptom.call': '{name} {phone} anrufen',
+    'symptom.moreNumbers': 'Weitere Notfallnummern und Warnzeichen',
+
+    'toc.copy': 'Link zum Abschnitt „{title}“ kopieren',
+    'toc.copied': 'Link zum Abschnitt wurde kopiert.',
+    'toc.addressBar': 'Der Link zum Abschnitt steht jetzt in der Adresszeile.',
+
+    'handout.subtitle': 'Fachärztliche Praxis für Neurologie',
+    'handout.qrCode': 'QR-Code: {url}',
+    'handout.readOnline': 'Online lesen',
+    'handout.meta': 'Merkblatt · gedruckt am {date} · {url}',
+    'handout.phone': 'Telefon {phone}',
+    'handout.emergency': 'Notfall: {name}, {phone}',
+    'handout.hours': 'Öffnungszeiten',
+    'handout.ambulance': 'Lebensbedrohliche Notfälle: {phone}',
+
+    'team.loadError': 'Die Angaben konnten nicht geladen werden. Bitte versuchen Sie es später erneut.',
+    'team.approbation': 'Approbationsjahr: {year}',
+    'team.appointment': 'Termin vereinbaren',
+
+    'accordion.show': 'Mehr erfahren ▼',
+    'accordion.hide': 'Weniger anzeigen ▲'
+};
@@ -0,0 +1,81 @@
+import { CONFIG } from './config.js';
+import { Utils } from './utils.js';
+
+// Mobile Navigation Module
+// The link of the current section is marked with aria-current in the markup, see scripts/build-pages.js
+export const Navigation = {
+    init() {
+        this.cacheElements();
+        this.bindEvents();
+    },
+
+    cacheElements() {
+        this.navToggle = document.querySelector('.nav-toggle');
+        this.navMenu = document.querySelector('.nav-menu');
+        this.navLinks = document.querySelectorAll('.nav-link');
+        this.body = document.body;
+    },
+
+    bindEvents() {
+        if (this.navToggle && this.navMenu) {
+            this.navToggle.addEventListener('click', () => this.toggleMenu());
+            
+            // Close menu when clicking outside
+            document.addEventListener('click', (e) => {
+                if (!this.navToggle.contains(e.target) && !this.navMenu.contains(e.target)) {
+                    this.closeMenu();
+                }
+            });
+
+            // Close menu on escape key
+            document.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && this.navMenu.classList.contains('active')) {
+                    this.closeMenu();
+                    this.navToggle.focus();
+                }
+            });
+
+            // Handle link clicks
+            this.navLinks.forEach(link => {
+                link.addEventListener('click', () => this.closeMenu());
+            });
+        }
+
+        // Handle scroll for header styling
+        window.addEventListener('scroll', Utils.throttle(() => this.handleScroll(), CONFIG.throttleDelay));
+    },
+
+    toggleMenu() {
+        const isActive = this.navMenu.classList.toggle('active');
+        this.navToggle.classList.toggle('active');
+        
+        // Update ARIA attributes
+        this.navToggle.setAttribute('aria-expanded', isActive);
+        
+        // Prevent body scroll when menu is open
+        this.body.style.overflow = isActive ? 'hidden' : '';
+        
+        // Focus management
+        if (isActive) {
+            Utils.setFocusWithDelay(this.navMenu.querySelector('.nav-link'));
+        }
+    },
+
+    closeMenu() {
+        this.navMenu.classList.remove('active');
+        this.navToggle.classList.remove('active');
+        this.navToggle.setAttribute('aria-expanded', 'false');
+        this.body.style.overflow = '';
+    },
+
+    handleScroll() {
+        const header = document.querySelector('.header');
+        if (header) {
+            if (window.scrollY > 100) {
+                header.classList.add('scrolled');
+            } else {
+                header.classList.remove('scrolled');
+            }
+        }
+    }
+};
@@ -0,0 +1,55 @@
+import { CONFIG } from './config.js';
+import { Utils } from './utils.js';
+
+// Offline support: registers the service worker that keeps the core pages, contact details
+// and read condition pages available without a connection. It answers pages it cannot load
+// with offline.html, whose retry button reloads the requested page.
+export const OfflineSupport = {
+    // Matches PAGES_CACHE in sw.js
+    pagesCachePrefix: 'neurologie-pages-',
+
+    init() {
+        this.setupOfflinePage();
+        this.bindDataDeletion();
+
+        // Service workers only run on https and localhost, file:// previews work without
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+        if (document.readyState === 'complete') {
+            this.register();
+        } else {
+            window.addEventListener('load', () => this.register(), { once: true });
+        }
+    },
+
+    register() {
+        navigator.serviceWorker.register(Utils.sitePath(CONFIG.serviceWorkerUrl)).catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+    },
+
+    setupOfflinePage() {
+        if (!document.querySelector('.offline-page')) return;
+
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('[data-offline-retry]')) window.location.reload();
+        });
+
+        // Load the requested page as soon as the connection is back
+        window.addEventListener('online', () => window.location.reload());
+    },
+
+    // The cached condition pages show which conditions were looked up, so they
+    // are deleted together with the other stored data
+    bindDataDeletion() {
+        document.addEventListener('data-deleted', () => {
+            if (!('caches' in window)) return;
+
+            caches.keys()
+                .then(keys => Promise.all(keys
+                    .filter(key => key.startsWith(this.pagesCachePrefix))
+                    .map(key => caches.delete(key))))
+                .catch(error => console.warn('Offline pages could not be deleted:', error));
+        });
+    }
+};
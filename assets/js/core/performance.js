@@ -0,0 +1,115 @@
+// Performance Module
+export const Performance = {
+    init() {
+        this.setupLazyLoading();
+        this.setupIntersectionObserver();
+        this.optimizeImages();
+        this.setupSmoothScrolling();
+    },
+
+    // Images with a real src load lazily through loading="lazy" on their own. Images that
+    // defer their address in data-src / data-srcset (also on the <source> elements of a
+    // <picture>) get it when they come near the viewport.
+    setupLazyLoading() {
+        const lazyImages = document.querySelectorAll('img[data-src], img[data-srcset]');
+        if (!lazyImages.length) return;
+
+        if (!('IntersectionObserver' in window)) {
+            lazyImages.forEach(img => this.loadImage(img));
+            return;
+        }
+
+        const imageObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.loadImage(entry.target);
+                    imageObserver.unobserve(entry.target);
+                }
+            });
+        }, {
+            rootMargin: '50px 0px',
+            threshold: 0.01
+        });
+
+        lazyImages.forEach(img => imageObserver.observe(img));
+    },
+
+    // Sources first, so the browser picks from the complete <picture> once the <img> changes
+    loadImage(img) {
+        const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+        const elements = picture ? [...picture.querySelectorAll('source'), img] : [img];
+
+        elements.forEach(element => {
+            if (element.dataset.srcset) {
+                element.srcset = element.dataset.srcset;
+                delete element.dataset.srcset;
+            }
+        });
+        if (img.dataset.src) {
+            img.src = img.dataset.src;
+            delete img.dataset.src;
+        }
+        img.classList.remove('lazy');
+    },
+
+    setupIntersectionObserver() {
+        // Animate elements on scroll with staggered delays. The hidden start state is a class,
+        // so print styles and browsers without IntersectionObserver always show the cards
+        if ('IntersectionObserver' in window) {
+            const animateElements = document.querySelectorAll('.service-card, .team-member, .support-member, .hero-feature');
+            
+            const animationObserver = new IntersectionObserver((entries) => {
+                entries.forEach((entry, index) => {
+                    if (entry.isIntersecting) {
+                        const delay = index * 100; // Staggered animation
+                        setTimeout(() => {
+                            entry.target.classList.add('is-visible');
+                        }, delay);
+                        animationObserver.unobserve(entry.target);
+                    }
+                });
+            }, {
+                threshold: 0.1
+            });
+            
+            animateElements.forEach((element) => {
+                element.classList.add('reveal-on-scroll');
+                animationObserver.observe(element);
+            });
+        }
+    },
+
+    optimizeImages() {
+        // Add loading="lazy" to images that don't have it
+        const images = document.querySelectorAll('img:not([loading])');
+        images.forEach(img => {
+            if (!img.closest('.hero')) { // Don't lazy load hero images
+                img.setAttribute('loading', 'lazy');
+            }
+        });
+    },
+
+    setupSmoothScrolling() {
+        // Enhanced smooth scrolling for anchor links
+        document.addEventListener('click', (e) => {
+            if (e.target.matches('a[href^="#"]')) {
+                e.preventDefault();
+                const targetId = e.target.getAttribute('href').substring(1);
+                const targetElement = document.getElementById(targetId);
+                
+                if (targetElement) {
+                    const headerHeight = document.querySelector('.header')?.offsetHeight || 0;
+                    const targetPosition = targetElement.offsetTop - headerHeight - 20;
+                    
+                    window.scrollTo({
+                        top: targetPosition,
+                        behavior: 'smooth'
+                    });
+                    
+                    // Update URL without jumping
+                    history.pushState(null, null, `#${targetId}`);
+                }
+            }
+        });
+    }
+};
@@ -0,0 +1,132 @@
+import { CONFIG } from './config.js';
+
+// Utility functions
+export const Utils = {
+    // Debounce function for performance optimization
+    debounce: (func, wait) => {
+        let timeout;
+        return function executedFunction(...args) {
+            const later = () => {
+                clearTimeout(timeout);
+                func(...args);
+            };
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+        };
+    },
+
+    // Throttle function for scroll events
+    throttle: (func, limit) => {
+        let inThrottle;
+        return function(...args) {
+            if (!inThrottle) {
+                func.apply(this, args);
+                inThrottle = true;
+                setTimeout(() => inThrottle = false, limit);
+            }
+        };
+    },
+
+    // Check if element is in viewport
+    isInViewport: (element) => {
+        const rect = element.getBoundingClientRect();
+        return (
+            rect.top >= 0 &&
+            rect.left >= 0 &&
+            rect.bottom <= (window.innerHeight || document.documentElement.clientHeight) &&
+            rect.right <= (window.innerWidth || document.documentElement.clientWidth)
+        );
+    },
+
+    // Smooth scroll with offset
+    smoothScroll: (target, offset = CONFIG.scrollOffset) => {
+        const targetElement = document.querySelector(target);
+        if (targetElement) {
+            const targetPosition = targetElement.offsetTop - offset;
+            window.scrollTo({
+                top: targetPosition,
+                behavior: 'smooth'
+            });
+        }
+    },
+
+    // Set focus with delay for screen readers
+    setFocusWithDelay: (element, delay = CONFIG.focusTimeout) => {
+        setTimeout(() => {
+            element.focus();
+        }, delay);
+    },
+
+    // Parse a YYYY-MM-DD input value as a local date
+    parseDate: (value) => {
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    },
+
+    // Convert HH:MM to minutes since midnight
+    timeToMinutes: (value) => {
+        const [hours, minutes] = value.split(':').map(Number);
+        return hours * 60 + minutes;
+    },
+
+    // Resolve a path relative to the site root
+    sitePath: (path) => new URL(path, CONFIG.siteRoot).href,
+
+    // Create an element with an optional class name and text content
+    createElement: (tag, className, text) => {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (text !== undefined) element.textContent = text;
+        return element;
+    },
+
+    // Keep Tab focus inside a container by wrapping around at both ends
+    trapFocus: (container, event) => {
+        const focusableElements = [...container.querySelectorAll('a, button, input, select, textarea')]
+            .filter(element => !element.disabled && !element.closest('[hidden]'));
+        const firstElement = focusableElements[0];
+        const lastElement = focusableElements[focusableElements.length - 1];
+
+        if (event.shiftKey && document.activeElement === firstElement) {
+            event.preventDefault();
+            lastElement.focus();
+        } else if (!event.shiftKey && document.activeElement === lastElement) {
+            event.preventDefault();
+            firstElement.focus();
+        }
+    },
+
+    // Lowercase and fold umlauts, ß and accents, so "Migraene" finds "Migräne" and "Strasse" finds "Straße"
+    normalizeText: (text) => {
+        return text.toLowerCase()
+            .replace(/ä/g, 'ae')
+            .replace(/ö/g, 'oe')
+            .replace(/ü/g, 'ue')
+            .replace(/ß/g, 'ss')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '');
+    },
+
+    // Read a message out through a short-lived live region
+    announceToScreenReader: (message) => {
+        const announcement = document.createElement('div');
+        announcement.setAttribute('role', 'status');
+        announcement.setAttribute('aria-live', 'polite');
+        announcement.className = 'sr-only';
+        announcement.textContent = message;
+        document.body.appendChild(announcement);
+        
+        setTimeout(() => {
+            document.body.removeChild(announcement);
+        }, 1000);
+    },
+
+    // Get current breakpoint
+    getBreakpoint: () => {
+        const width = window.innerWidth;
+        if (width < CONFIG.breakpoints.mobile) return 'mobile';
+        if (width < CONFIG.breakpoints.tablet) return 'tablet';
+        if (width < CONFIG.breakpoints.desktop) return 'desktop';
+        return 'large';
+    }
+};
@@ -0,0 +1,77 @@
+/**
+ * Neurologie Zentralschweiz AG Website - Fallback for browsers without module support
+ * Loaded with <script nomodule> instead of main.js. Keeps the mobile navigation usable,
+ * shows the content the accordion would hide and tells visitors that the forms need a
+ * current browser, with the phone numbers that stay on the page as the way to reach us.
+ * Plain ES5 on purpose, keep it that way.
+ */
+
+(function () {
+    'use strict';
+
+    var FORM_NOTICE = {
+        de: 'Dieses Formular benötigt einen aktuelleren Browser. Bitte rufen Sie uns an oder schreiben Sie uns eine E-Mail.',
+        en: 'This form needs a more recent browser. Please call us or send us an e-mail.',
+        it: 'Questo modulo richiede un browser più recente. Vi preghiamo di chiamarci o di scriverci un’e-mail.',
+        sq: 'Ky formular kërkon një shfletues më të ri. Ju lutemi na telefononi ose na shkruani një e-mail.'
+    };
+
+    function each(selector, callback) {
+        var elements = document.querySelectorAll(selector);
+        for (var i = 0; i < elements.length; i++) callback(elements[i]);
+    }
+
+    function setupNavigation() {
+        var toggle = document.querySelector('.nav-toggle');
+        var menu = document.querySelector('.nav-menu');
+        if (!toggle || !menu) return;
+
+        toggle.addEventListener('click', function () {
+            var isActive = menu.className.indexOf(' active') === -1;
+            menu.className = isActive ? menu.className + ' active' : menu.className.replace(' active', '');
+            toggle.className = isActive ? toggle.className + ' active' : toggle.className.replace(' active', '');
+            toggle.setAttribute('aria-expanded', String(isActive));
+        });
+    }
+
+    function showAccordions() {
+        each('[data-module~="accordion"] .accordion-content', function (content) {
+            content.removeAttribute('hidden');
+        });
+        each('[data-module~="accordion"] .accordion-toggle', function (button) {
+            button.parentNode.removeChild(button);
+        });
+    }
+
+    // The forms are sent by the form module, without it they would only reload the page
+    function disableForms() {
+        var language = (document.documentElement.lang || 'de').slice(0, 2);
+        var text = FORM_NOTICE[language] || FORM_NOTICE.de;
+
+        each('form[data-module~="form"]', function (form) {
+            var notice = document.createElement('p');
+            notice.className = 'form-status error show';
+            notice.setAttribute('role', 'alert');
+            notice.appendChild(document.createTextNode(text));
+            form.insertBefore(notice, form.firstChild);
+
+            var buttons = form.querySelectorAll('button[type="submit"]');
+            for (var i = 0; i < buttons.length; i++) buttons[i].disabled = true;
+            form.addEventListener('submit', function (event) {
+                event.preventDefault();
+            });
+        });
+    }
+
+    function init() {
+        setupNavigation();
+        showAccordions();
+        disableForms();
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
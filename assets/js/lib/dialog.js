@@ -0,0 +1,130 @@
+import { I18n } from '../core/i18n.js';
+import { Utils } from '../core/utils.js';
+
+// One modal dialog for the whole site, built on first use. Content is passed as nodes
+// (Utils.createElement, never HTML strings). While it is open Tab stays inside, Escape and
+// the overlay close it, and focus goes back to the element that opened it.
+export const Dialog = {
+    closeIcon: '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><path d="M18 6L6 18M6 6l12 12"/></svg>',
+
+    build() {
+        this.element = Utils.createElement('div', 'modal hidden');
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-modal', 'true');
+        this.element.setAttribute('aria-labelledby', 'dialog-title');
+        this.element.setAttribute('aria-hidden', 'true');
+
+        const overlay = Utils.createElement('div', 'modal-overlay');
+        overlay.dataset.dialogClose = '';
+
+        this.closeButton = Utils.createElement('button', 'modal-close');
+        this.closeButton.type = 'button';
+        this.closeButton.dataset.dialogClose = '';
+        this.closeButton.setAttribute('aria-label', I18n.t('dialog.close'));
+        this.closeButton.innerHTML = this.closeIcon;
+
+        this.content = Utils.createElement('div', 'modal-content');
+        this.body = Utils.createElement('div', 'modal-body');
+        this.content.append(this.closeButton, this.body);
+        this.element.append(overlay, this.content);
+        document.body.appendChild(this.element);
+
+        this.element.addEventListener('click', (e) => {
+            if (e.target.closest('[data-dialog-close]')) this.close();
+        });
+
+        this.element.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            } else if (e.key === 'Tab') {
+                Utils.trapFocus(this.content, e);
+            }
+        });
+    },
+
+    isOpen() {
+        return Boolean(this.element) && !this.element.classList.contains('hidden');
+    },
+
+    // The heading that names the dialog, callers place it where their layout needs it
+    heading(text) {
+        const heading = Utils.createElement('h2', null, text);
+        heading.id = 'dialog-title';
+        return heading;
+    },
+
+    /**
+     * Show content in the dialog, replacing whatever it shows at the moment.
+     * options: content (nodes), hash (kept in the address while open, e.g. "bio-uta-kliesch"),
+     * returnFocus (defaults to the focused element), initialFocus (defaults to the close
+     * button) and onClose, which receives the value close() was called with.
+     */
+    open({ content, hash = '', returnFocus = document.activeElement, initialFocus = null, onClose = null }) {
+        if (!this.element) this.build();
+
+        if (this.isOpen()) {
+            // Content is swapped, the focus still returns to the original trigger
+            this.finish(false);
+        } else {
+            this.returnFocus = returnFocus;
+            this.element.classList.remove('hidden');
+            this.element.setAttribute('aria-hidden', 'false');
+            document.body.style.overflow = 'hidden';
+        }
+
+        this.onClose = onClose;
+        this.hash = hash;
+        this.body.replaceChildren(...content);
+        this.body.scrollTop = 0;
+
+        if (hash) history.replaceState(null, '', `#${hash}`);
+        (initialFocus || this.closeButton).focus();
+    },
+
+    close(result = false) {
+        if (!this.isOpen()) return;
+
+        this.element.classList.add('hidden');
+        this.element.setAttribute('aria-hidden', 'true');
+        document.body.style.overflow = '';
+        this.finish(result);
+
+        if (this.returnFocus && document.contains(this.returnFocus)) this.returnFocus.focus();
+        this.returnFocus = null;
+    },
+
+    // Drop the hash and tell the caller how the dialog ended
+    finish(result) {
+        if (this.hash && window.location.hash === `#${this.hash}`) {
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+        this.hash = '';
+
+        const onClose = this.onClose;
+        this.onClose = null;
+        if (onClose) onClose(result);
+    },
+
+    // Ask before an action that cannot be undone, resolves with true once confirmed
+    confirm({ title, message, confirmLabel = I18n.t('dialog.confirm'), cancelLabel = I18n.t('dialog.cancel') }) {
+        return new Promise(resolve => {
+            const cancelButton = Utils.createElement('button', 'btn btn-outline', cancelLabel);
+            cancelButton.type = 'button';
+            cancelButton.dataset.dialogClose = '';
+
+            const confirmButton = Utils.createElement('button', 'btn btn-primary', confirmLabel);
+            confirmButton.type = 'button';
+            confirmButton.addEventListener('click', () => this.close(true));
+
+            const actions = Utils.createElement('div', 'dialog-actions');
+            actions.append(cancelButton, confirmButton);
+
+            // Cancel has the focus so Enter alone never confirms
+            this.open({
+                content: [this.heading(title), Utils.createElement('p', 'dialog-message', message), actions],
+                initialFocus: cancelButton,
+                onClose: resolve
+            });
+        });
+    }
+};
@@ -0,0 +1,315 @@
+// QR codes for printed handouts, so a sheet leads back to its page online. Byte mode with
+// error correction level M, versions 1 to 10 (up to 213 bytes, plenty for a page URL).
+// Follows ISO/IEC 18004; the block layout and mask penalties are the ones from the standard.
+export const QRCode = {
+    // Error correction codewords per block and number of blocks for level M, by version
+    eccPerBlock: [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26],
+    blockCount: [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5],
+    maxVersion: 10,
+
+    // Bits of the symbol that are not taken by function patterns
+    rawModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignCount = Math.floor(version / 7) + 2;
+            result -= (25 * alignCount - 10) * alignCount - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    },
+
+    dataCodewords(version) {
+        return Math.floor(this.rawModules(version) / 8) - this.eccPerBlock[version] * this.blockCount[version];
+    },
+
+    // Multiplication in GF(256) with the QR polynomial 0x11D
+    multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    },
+
+    reedSolomon(data, degree) {
+        const divisor = new Array(degree - 1).fill(0).concat([1]);
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < divisor.length; j++) {
+                divisor[j] = this.multiply(divisor[j], root);
+                if (j + 1 < divisor.length) divisor[j] ^= divisor[j + 1];
+            }
+            root = this.multiply(root, 0x02);
+        }
+
+        const result = new Array(degree).fill(0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= this.multiply(coefficient, factor);
+            });
+        });
+        return result;
+    },
+
+    // Mode, length, data, terminator and padding, split into blocks with their error correction
+    encodeData(bytes, version) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        append(0b0100, 4);
+        append(bytes.length, version < 10 ? 8 : 16);
+        bytes.forEach(byte => append(byte, 8));
+
+        const capacity = this.dataCodewords(version) * 8;
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) append(pad, 8);
+
+        const data = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+
+        const blockCount = this.blockCount[version];
+        const eccLength = this.eccPerBlock[version];
+        const rawCodewords = Math.floor(this.rawModules(version) / 8);
+        const shortBlocks = blockCount - rawCodewords % blockCount;
+        const shortLength = Math.floor(rawCodewords / blockCount);
+        const blocks = [];
+
+        for (let i = 0, offset = 0; i < blockCount; i++) {
+            const block = data.slice(offset, offset + shortLength - eccLength + (i < shortBlocks ? 0 : 1));
+            offset += block.length;
+            const ecc = this.reedSolomon(block, eccLength);
+            // Short blocks get a placeholder so all blocks can be read column by column
+            if (i < shortBlocks) block.push(0);
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortLength - eccLength || j >= shortBlocks) result.push(block[i]);
+            });
+        }
+        return result;
+    },
+
+    alignmentPositions(version, size) {
+        if (version === 1) return [];
+        const count = Math.floor(version / 7) + 2;
+        const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+        const result = [6];
+        for (let position = size - 7; result.length < count; position -= step) result.splice(1, 0, position);
+        return result;
+    },
+
+    /**
+     * Encode text into a matrix of booleans (true is dark), rows first.
+     * Returns null if the text does not fit into version 10.
+     */
+    create(text) {
+        const bytes = [...new TextEncoder().encode(text)];
+        let version = 1;
+        while (version <= this.maxVersion && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > this.dataCodewords(version) * 8) version++;
+        if (version > this.maxVersion) return null;
+
+        const size = version * 4 + 17;
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+        const setFunction = (x, y, dark) => {
+            modules[y][x] = dark;
+            reserved[y][x] = true;
+        };
+
+        // Timing patterns, finder patterns with their separators, alignment patterns
+        for (let i = 0; i < size; i++) {
+            setFunction(6, i, i % 2 === 0);
+            setFunction(i, 6, i % 2 === 0);
+        }
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([x, y]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x + dx >= 0 && x + dx < size && y + dy >= 0 && y + dy < size) {
+                        setFunction(x + dx, y + dy, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+        const positions = this.alignmentPositions(version, size);
+        positions.forEach((y, i) => positions.forEach((x, j) => {
+            const last = positions.length - 1;
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) setFunction(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }));
+
+        const drawFormat = mask => {
+            // Level M is 00, followed by the mask number and a BCH(15,5) code
+            const data = mask;
+            let remainder = data;
+            for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+            const bits = ((data << 10) | remainder) ^ 0x5412;
+            const bit = i => ((bits >>> i) & 1) === 1;
+
+            for (let i = 0; i <= 5; i++) setFunction(8, i, bit(i));
+            setFunction(8, 7, bit(6));
+            setFunction(8, 8, bit(7));
+            setFunction(7, 8, bit(8));
+            for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(i));
+            for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bit(i));
+            for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bit(i));
+            setFunction(8, size - 8, true);
+        };
+        drawFormat(0);
+
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            const bits = (version << 12) | remainder;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                setFunction(a, b, dark);
+                setFunction(b, a, dark);
+            }
+        }
+
+        // Codewords go in two-module columns, zigzagging up and down from the right edge
+        const codewords = this.encodeData(bytes, version);
+        let index = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const y = ((right + 1) & 2) === 0 ? size - 1 - vertical : vertical;
+                    if (!reserved[y][x] && index < codewords.length * 8) {
+                        modules[y][x] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+                        index++;
+                    }
+                }
+            }
+        }
+
+        const masks = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => x * y % 2 + x * y % 3 === 0,
+            (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+        ];
+        const applyMask = mask => {
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    if (!reserved[y][x] && masks[mask](x, y)) modules[y][x] = !modules[y][x];
+                }
+            }
+        };
+
+        // Pick the mask with the lowest penalty, applying a mask twice undoes it
+        let best = 0;
+        let bestPenalty = Infinity;
+        masks.forEach((check, mask) => {
+            applyMask(mask);
+            drawFormat(mask);
+            const penalty = this.penalty(modules);
+            if (penalty < bestPenalty) {
+                best = mask;
+                bestPenalty = penalty;
+            }
+            applyMask(mask);
+        });
+        applyMask(best);
+        drawFormat(best);
+
+        return modules;
+    },
+
+    penalty(modules) {
+        const size = modules.length;
+        const finderLike = ['10111010000', '00001011101'];
+        let result = 0;
+        let dark = 0;
+
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+
+        lines.forEach(line => {
+            // Runs of five or more modules of the same color
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) result += run - 2;
+                    run = 1;
+                }
+            }
+
+            // Patterns that look like a finder
+            const text = line.map(module => (module ? '1' : '0')).join('');
+            finderLike.forEach(pattern => {
+                for (let i = text.indexOf(pattern); i !== -1; i = text.indexOf(pattern, i + 1)) result += 40;
+            });
+        });
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                // 2x2 blocks of the same color
+                if (x < size - 1 && y < size - 1 &&
+                    modules[y][x] === modules[y][x + 1] && modules[y][x] === modules[y + 1][x] && modules[y][x] === modules[y + 1][x + 1]) {
+                    result += 3;
+                }
+            }
+        }
+
+        // Balance of dark and light modules
+        const total = size * size;
+        result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return result;
+    },
+
+    // SVG with a quiet zone of four modules, scaled by CSS
+    toSvg(text, label) {
+        const modules = this.create(text);
+        if (!modules) return null;
+
+        const namespace = 'http://www.w3.org/2000/svg';
+        const size = modules.length + 8;
+        const svg = document.createElementNS(namespace, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${size} ${size}`);
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', label);
+        svg.setAttribute('shape-rendering', 'crispEdges');
+
+        const background = document.createElementNS(namespace, 'rect');
+        background.setAttribute('width', size);
+        background.setAttribute('height', size);
+        background.setAttribute('fill', '#fff');
+
+        const path = document.createElementNS(namespace, 'path');
+        path.setAttribute('fill', '#000');
+        path.setAttribute('d', modules.flatMap((row, y) => row
+            .map((dark, x) => (dark ? `M${x + 4},${y + 4}h1v1h-1z` : ''))
+            .filter(Boolean)).join(''));
+
+        svg.append(background, path);
+        return svg;
+    }
+};
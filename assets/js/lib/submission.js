@@ -0,0 +1,139 @@
+import { CONFIG } from '../core/config.js';
+import { I18n } from '../core/i18n.js';
+import { Validation } from './validation.js';
+
+// Error raised by the submission layer, `kind` is one of
+// 'network', 'timeout', 'client' or 'server'
+export class SubmissionError extends Error {
+    constructor(kind, message, status = 0) {
+        super(message);
+        this.name = 'SubmissionError';
+        this.kind = kind;
+        this.status = status;
+    }
+}
+
+// Form Submission Module
+export const FormSubmission = {
+    // Message keys of the texts shown to the user for each error kind / status
+    messages: {
+        network: 'submit.network',
+        timeout: 'submit.timeout',
+        client: 'submit.client',
+        server: 'submit.server',
+        413: 'submit.413',
+        429: 'submit.429'
+    },
+
+    // Replaceable transport: receives (endpoint, payload, signal) and resolves with a fetch Response.
+    // Every attempt of a submission carries the same Idempotency-Key, the endpoint stores the
+    // submission once even if a retry follows a request that did arrive
+    transport(endpoint, payload, signal) {
+        return fetch(endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                'Idempotency-Key': payload.id
+            },
+            body: JSON.stringify(payload),
+            signal
+        });
+    },
+
+    getEndpoint(form) {
+        return form.dataset.endpoint || CONFIG.submitEndpoint;
+    },
+
+    serialize(form) {
+        const data = {};
+        new FormData(form).forEach((value, key) => {
+            // Files are not sent through the JSON transport
+            if (typeof value !== 'string') return;
+
+            // Values are sent as the validation rules normalize them, e.g. phone numbers in E.164
+            const field = form.elements.namedItem(key);
+            const normalized = field && field.tagName ? Validation.normalize(field, value.trim()) : value.trim();
+
+            if (Object.prototype.hasOwnProperty.call(data, key)) {
+                data[key] = [].concat(data[key], normalized);
+            } else {
+                data[key] = normalized;
+            }
+        });
+
+        return {
+            id: this.createId(),
+            form: form.getAttribute('name') || form.id || 'kontakt',
+            page: window.location.pathname,
+            submittedAt: new Date().toISOString(),
+            data
+        };
+    },
+
+    // Random UUID, crypto.randomUUID only exists on https:// and localhost
+    createId() {
+        if (typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        const hex = [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    },
+
+    async send(form) {
+        const endpoint = this.getEndpoint(form);
+        const payload = this.serialize(form);
+        let attempt = 0;
+
+        while (true) {
+            try {
+                return await this.attempt(endpoint, payload);
+            } catch (error) {
+                // Only transient failures are retried, client errors never are. Retries after a
+                // timeout are safe because the payload keeps its id, see transport()
+                const retryable = error.kind !== 'client';
+                if (!retryable || attempt >= CONFIG.submitRetries) {
+                    throw error;
+                }
+                attempt++;
+                await new Promise(resolve => setTimeout(resolve, CONFIG.submitRetryDelay * attempt));
+            }
+        }
+    },
+
+    async attempt(endpoint, payload) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), CONFIG.submitTimeout);
+        let response;
+
+        try {
+            response = await this.transport(endpoint, payload, controller.signal);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new SubmissionError('timeout', I18n.t(this.messages.timeout));
+            }
+            throw new SubmissionError('network', I18n.t(this.messages.network));
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (response.status >= 500) {
+            throw new SubmissionError('server', I18n.t(this.messages.server), response.status);
+        }
+        if (!response.ok) {
+            throw new SubmissionError('client', I18n.t(this.messages[response.status] || this.messages.client), response.status);
+        }
+
+        return response.json().catch(() => ({}));
+    },
+
+    getErrorMessage(error) {
+        if (error instanceof SubmissionError) {
+            return error.message;
+        }
+        return I18n.t(this.messages.server);
+    }
+};
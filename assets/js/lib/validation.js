@@ -0,0 +1,227 @@
+import { CONFIG } from '../core/config.js';
+import { I18n } from '../core/i18n.js';
+import { Utils } from '../core/utils.js';
+
+// Form Validation Module
+// Rules are picked per field with data-validate="<rule> <rule>"; email, tel and date inputs
+// get their rule from the type. A rule checks a non-empty value and returns a message or null,
+// or a promise of one, so rules may look data up. Rules with normalize() rewrite the value
+// that is sent, e.g. phone numbers to E.164. More rules are added with Validation.register().
+export const Validation = {
+    // Swiss area codes of fixed lines and the mobile prefixes 075-079, without the leading 0
+    swissLandline: /^(?:2[12467]|3[1-4]|4[134]|5[2568]|6[12]|71|81|91)\d{7}$/,
+    swissMobile: /^7[5-9]\d{7}$/,
+    postcodePattern: /^[1-9]\d{3}$/,
+    defaultMaxAge: 120,
+
+    rules: {
+        email: {
+            validate: (value) => Validation.isEmail(value) ? null : I18n.t('form.email')
+        },
+
+        phone: {
+            normalize: (value) => Validation.toE164(value) || value,
+            validate: (value) => Validation.isPhone(value) ? null : I18n.t('form.phone')
+        },
+
+        'future-date': {
+            validate(value) {
+                const today = new Date();
+                today.setHours(0, 0, 0, 0);
+                return Utils.parseDate(value) < today ? I18n.t('form.pastDate') : null;
+            }
+        },
+
+        // Age limits come from data-min-age and data-max-age (years)
+        'birth-date': {
+            validate(value, field) {
+                const date = Utils.parseDate(value);
+                const today = new Date();
+                today.setHours(0, 0, 0, 0);
+
+                if (Number.isNaN(date.getTime())) return I18n.t('form.birthDate');
+                if (date > today) return I18n.t('form.birthDateFuture');
+
+                const age = Validation.ageOn(date, today);
+                const minAge = Number(field.dataset.minAge || 0);
+                if (age < minAge) return I18n.t('form.minAge', { min: minAge });
+                if (age > Number(field.dataset.maxAge || Validation.defaultMaxAge)) return I18n.t('form.birthDate');
+                return null;
+            }
+        },
+
+        // AHV number (AHVN13), 756.1234.5678.97 with the EAN-13 check digit
+        ahv: {
+            normalize(value) {
+                const digits = value.replace(/[\s.]/g, '');
+                return /^\d{13}$/.test(digits) ? digits.replace(/^(\d{3})(\d{4})(\d{4})(\d{2})$/, '$1.$2.$3.$4') : value;
+            },
+            validate(value) {
+                const digits = value.replace(/[\s.]/g, '');
+                const valid = /^756\d{10}$/.test(digits) && Validation.ean13CheckDigit(digits.slice(0, 12)) === Number(digits[12]);
+                return valid ? null : I18n.t('form.ahv');
+            }
+        },
+
+        // Number on the back of the Swiss health insurance card: 20 digits starting with 80756, Luhn check digit
+        'insurance-card': {
+            normalize: (value) => value.replace(/\s/g, ''),
+            validate(value) {
+                const digits = value.replace(/\s/g, '');
+                return /^80756\d{15}$/.test(digits) && Validation.luhnValid(digits) ? null : I18n.t('form.insuranceCard');
+            }
+        },
+
+        // Global Location Number of a Swiss health professional or practice, EAN-13 check digit
+        gln: {
+            normalize: (value) => value.replace(/\s/g, ''),
+            validate(value) {
+                const digits = value.replace(/\s/g, '');
+                const valid = /^760\d{10}$/.test(digits) && Validation.ean13CheckDigit(digits.slice(0, 12)) === Number(digits[12]);
+                return valid ? null : I18n.t('form.gln');
+            }
+        },
+
+        postcode: {
+            validate: (value) => Validation.postcodePattern.test(value) ? null : I18n.t('form.postcode')
+        },
+
+        // Town field, data-postcode-field names the id of its postcode field. Postcodes
+        // missing from data/postcodes.json are only checked for their format.
+        town: {
+            async validate(value, field) {
+                const postcodeField = document.getElementById(field.dataset.postcodeField);
+                const postcode = postcodeField ? postcodeField.value.trim() : '';
+                if (!Validation.postcodePattern.test(postcode)) return null;
+
+                const towns = (await Validation.loadPostcodes())[postcode];
+                if (!towns || towns.some(town => Validation.sameTown(town, value))) return null;
+                return I18n.t('form.town', { postcode, towns: towns.join(', ') });
+            }
+        }
+    },
+
+    register(name, rule) {
+        this.rules[name] = typeof rule === 'function' ? { validate: rule } : rule;
+    },
+
+    rulesFor(field) {
+        const names = (field.dataset.validate || '').split(/\s+/).filter(Boolean);
+        const typeRule = { email: 'email', tel: 'phone' }[field.type] ||
+            (field.type === 'date' && !field.hasAttribute('data-allow-past') ? 'future-date' : null);
+
+        return typeRule && !names.includes(typeRule) ? [typeRule, ...names] : names;
+    },
+
+    hasRules(field) {
+        return this.rulesFor(field).length > 0;
+    },
+
+    // Message for the first failing check of a field, or null. Rules with checkEmpty look at
+    // state kept outside the value, like uploaded files, and also run on empty fields.
+    async check(field) {
+        // Unchecked checkboxes count as empty
+        const value = field.type === 'checkbox' ? (field.checked ? field.value : '') : field.value.trim();
+
+        if (!value && field.hasAttribute('required')) {
+            return I18n.t(field.type === 'checkbox' ? 'form.confirm' : 'form.required');
+        }
+
+        for (const name of this.rulesFor(field)) {
+            const rule = this.rules[name];
+            if (!rule) {
+                console.warn(`Unknown validation rule "${name}"`);
+                continue;
+            }
+            if (!value && !rule.checkEmpty) continue;
+
+            const message = await rule.validate(value, field);
+            if (message) return message;
+        }
+        return null;
+    },
+
+    // Value to send for a field, as rewritten by its rules
+    normalize(field, value) {
+        return this.rulesFor(field).reduce((result, name) => {
+            const rule = this.rules[name];
+            return rule && rule.normalize && result ? rule.normalize(result) : result;
+        }, value);
+    },
+
+    isEmail(value) {
+        const [local, domain, ...rest] = value.split('@');
+        return !rest.length && Boolean(local) && Boolean(domain) && local.length <= 64 &&
+            /^[^\s@"(),:;<>[\]\\]+$/.test(local) && !/^\.|\.\.|\.$/.test(local) &&
+            /^(?:[\p{L}\p{N}](?:[\p{L}\p{N}-]*[\p{L}\p{N}])?\.)+\p{L}{2,}$/u.test(domain);
+    },
+
+    // +41 and 0041 numbers, national numbers starting with 0 and other countries with + or 00
+    toE164(value) {
+        // Separators and the (0) often written after the country code are not part of the number
+        const compact = value.replace(/\(0\)/g, '').replace(/[\s./()-]/g, '');
+        const international = compact.match(/^(?:\+|00)([1-9]\d+)$/);
+
+        if (international) return `+${international[1]}`;
+        if (/^0[1-9]\d{8}$/.test(compact)) return `+41${compact.slice(1)}`;
+        return null;
+    },
+
+    isPhone(value) {
+        const number = this.toE164(value);
+        if (!number) return false;
+        if (number.startsWith('+41')) {
+            const national = number.slice(3);
+            return this.swissLandline.test(national) || this.swissMobile.test(national);
+        }
+        // E.164 allows at most 15 digits including the country code
+        return /^\+[1-9]\d{7,14}$/.test(number);
+    },
+
+    ean13CheckDigit(digits) {
+        const sum = [...digits].reduce((total, digit, index) => total + Number(digit) * (index % 2 ? 3 : 1), 0);
+        return (10 - sum % 10) % 10;
+    },
+
+    luhnValid(digits) {
+        const sum = [...digits].reverse().reduce((total, digit, index) => {
+            const value = Number(digit) * (index % 2 ? 2 : 1);
+            return total + (value > 9 ? value - 9 : value);
+        }, 0);
+        return sum % 10 === 0;
+    },
+
+    // Completed years between a birth date and a day
+    ageOn(birthDate, day) {
+        const age = day.getFullYear() - birthDate.getFullYear();
+        const hadBirthday = day.getMonth() > birthDate.getMonth() ||
+            (day.getMonth() === birthDate.getMonth() && day.getDate() >= birthDate.getDate());
+        return hadBirthday ? age : age - 1;
+    },
+
+    // "Pfäffikon" matches "Pfäffikon SZ", "Rickenbach" matches "Rickenbach b. Schwyz"
+    sameTown(name, input) {
+        const fold = (text) => Utils.normalizeText(text).replace(/[^a-z0-9]+/g, ' ').trim();
+        const town = fold(name);
+        const entered = fold(input);
+        return town === entered || town.startsWith(`${entered} `);
+    },
+
+    loadPostcodes() {
+        if (!this.loading) {
+            this.loading = fetch(Utils.sitePath(CONFIG.postcodesUrl))
+                .then(response => {
+                    if (!response.ok) throw new Error(`Postcodes returned ${response.status}`);
+                    return response.json();
+                })
+                .then(data => data.postcodes)
+                .catch(error => {
+                    // Without the directory only the format is checked, the next check tries again
+                    console.warn('Postcodes could not be loaded:', error);
+                    this.loading = null;
+                    return {};
+                });
+        }
+        return this.loading;
+    }
+};
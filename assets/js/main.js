@@ -0,0 +1,102 @@
+/**
+ * Neurologie Zentralschweiz AG Website - Main JavaScript
+ * Starts the modules every page needs from core/ and loads the feature modules in
+ * modules/ only on the pages that ask for them, see ModuleLoader.
+ * Browsers without module support get legacy.js instead.
+ */
+
+import { CONFIG } from './core/config.js';
+import { Utils } from './core/utils.js';
+import { I18n } from './core/i18n.js';
+import { ConsentManager } from './core/consent.js';
+import { Locations } from './core/locations.js';
+import { Navigation } from './core/navigation.js';
+import { OfflineSupport } from './core/offline.js';
+import { Accessibility } from './core/accessibility.js';
+import { Performance } from './core/performance.js';
+
+// Feature modules are requested by the markup with data-module="<name> <name>", e.g.
+//   <form class="form" data-module="form drafts">
+// loads modules/form.js and modules/drafts.js. Each module exports an object with
+// init(elements), which is called once with every element that named it. Modules named
+// on the same element start in the order they are listed there.
+const ModuleLoader = {
+    namePattern: /^[a-z][a-z-]*$/,
+
+    collect() {
+        const modules = new Map();
+
+        document.querySelectorAll('[data-module]').forEach(element => {
+            element.dataset.module.split(/\s+/).filter(Boolean).forEach(name => {
+                if (!this.namePattern.test(name)) {
+                    console.warn(`Invalid module name: ${name}`);
+                    return;
+                }
+                if (!modules.has(name)) modules.set(name, []);
+                modules.get(name).push(element);
+            });
+        });
+        return modules;
+    },
+
+    // All modules are fetched at once, a module that fails to load or start leaves the others running
+    async init() {
+        const modules = [...this.collect()];
+        const loaded = await Promise.all(modules.map(([name]) =>
+            import(`./modules/${name}.js`).catch(error => {
+                console.warn(`Module ${name} could not be loaded:`, error);
+                return null;
+            })));
+
+        loaded.forEach((module, index) => {
+            const [name, elements] = modules[index];
+            if (!module) return;
+
+            try {
+                module.default.init(elements);
+            } catch (error) {
+                console.error(`Module ${name} could not be started:`, error);
+            }
+        });
+    }
+};
+
+// Initialize everything when DOM is ready
+document.addEventListener('DOMContentLoaded', async () => {
+    // The interface texts are needed before any module renders
+    if (!await I18n.init()) return;
+
+    // Initialize the modules every page uses
+    ConsentManager.init();
+    Locations.init();
+    Navigation.init();
+    OfflineSupport.init();
+    Accessibility.init();
+    Performance.init();
+
+    await ModuleLoader.init();
+
+    // Log successful initialization
+    console.log('Neurologie Schwyz Website - All modules initialized successfully');
+});
+
+// Handle page visibility changes
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+        // Page is hidden, pause any animations or timers
+        document.body.classList.add('page-hidden');
+    } else {
+        // Page is visible, resume animations
+        document.body.classList.remove('page-hidden');
+    }
+});
+
+// Handle resize events with debouncing
+window.addEventListener('resize', Utils.debounce(() => {
+    // Update any layout-dependent functionality
+    const breakpoint = Utils.getBreakpoint();
+    document.body.setAttribute('data-breakpoint', breakpoint);
+}, CONFIG.debounceDelay));
+
+// Set initial breakpoint
+document.body.setAttribute('data-breakpoint', Utils.getBreakpoint());
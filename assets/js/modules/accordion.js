@@ -0,0 +1,26 @@
+import { I18n } from '../core/i18n.js';
+
+// Accordion Module
+// Every .accordion-toggle shows and hides the .accordion-content of its .accordion-item,
+// which starts out hidden in the markup.
+const Accordion = {
+    init(elements) {
+        elements.forEach(container => {
+            container.querySelectorAll('.accordion-toggle').forEach(button => {
+                const content = button.closest('.accordion-item').querySelector('.accordion-content');
+                if (!content) return;
+
+                button.setAttribute('aria-expanded', String(!content.hidden));
+                button.addEventListener('click', () => this.toggle(button, content));
+            });
+        });
+    },
+
+    toggle(button, content) {
+        content.hidden = !content.hidden;
+        button.setAttribute('aria-expanded', String(!content.hidden));
+        button.textContent = I18n.t(content.hidden ? 'accordion.show' : 'accordion.hide');
+    }
+};
+
+export default Accordion;
@@ -0,0 +1,40 @@
+// Article Module
+// Share links and the print button below a blog article. The share links open the
+// sharing page of the platform in data-platform in a small window, e-mail opens the
+// mail program.
+const Article = {
+    shareUrls: {
+        facebook: (url) => `https://www.facebook.com/sharer/sharer.php?u=${url}`,
+        twitter: (url, title) => `https://twitter.com/intent/tweet?url=${url}&text=${title}`,
+        linkedin: (url) => `https://www.linkedin.com/sharing/share-offsite/?url=${url}`,
+        email: (url, title) => `mailto:?subject=${title}&body=${url}`
+    },
+
+    init(elements) {
+        elements.forEach(container => {
+            container.addEventListener('click', (e) => {
+                const shareLink = e.target.closest('.share-link');
+                if (shareLink) {
+                    e.preventDefault();
+                    this.share(shareLink.dataset.platform);
+                } else if (e.target.closest('[data-print]')) {
+                    window.print();
+                }
+            });
+        });
+    },
+
+    share(platform) {
+        const buildUrl = this.shareUrls[platform];
+        if (!buildUrl) return;
+
+        const shareUrl = buildUrl(encodeURIComponent(window.location.href), encodeURIComponent(document.title));
+        if (platform === 'email') {
+            window.location.href = shareUrl;
+        } else {
+            window.open(shareUrl, '_blank', 'width=600,height=400');
+        }
+    }
+};
+
+export default Article;
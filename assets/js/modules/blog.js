@@ -0,0 +1,217 @@
+import { CONFIG } from '../core/config.js';
+import { I18n } from '../core/i18n.js';
+import { Utils } from '../core/utils.js';
+
+// Blog Module
+// Renders the article list on blog/index.html from the JSON manifest, filtered by
+// category and tags. Filter and page are kept in the query string, e.g.
+// ?kategorie=therapie&tag=Epilepsie&tag=EEG&seite=2, so views can be shared and Back works.
+const Blog = {
+    init() {
+        this.grid = document.querySelector('[data-blog-grid]');
+        if (!this.grid) return;
+
+        this.cacheElements();
+        this.loadManifest();
+    },
+
+    cacheElements() {
+        this.filterSection = document.querySelector('.blog-filter');
+        this.categoryButtons = document.querySelectorAll('[data-filter]');
+        this.tagContainer = document.querySelector('[data-blog-tags]');
+        this.loadMoreButton = document.querySelector('[data-blog-more]');
+    },
+
+    async loadManifest() {
+        try {
+            const response = await fetch(Utils.sitePath(CONFIG.blogManifestUrl));
+            if (!response.ok) throw new Error(`Blog manifest returned ${response.status}`);
+
+            const manifest = await response.json();
+            this.categories = manifest.categories;
+            this.articles = manifest.articles.sort((a, b) => b.date.localeCompare(a.date));
+            this.tags = [...new Set(this.articles.flatMap(article => article.tags))]
+                .sort((a, b) => a.localeCompare(b, 'de'));
+        } catch (error) {
+            // Keep the static cards, filtering and paging need the manifest
+            console.warn('Blog manifest could not be loaded:', error);
+            if (this.filterSection) this.filterSection.hidden = true;
+            if (this.loadMoreButton) this.loadMoreButton.hidden = true;
+            return;
+        }
+
+        this.renderTagButtons();
+        this.bindEvents();
+        this.state = this.readState();
+        this.render();
+    },
+
+    bindEvents() {
+        this.categoryButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                const category = button.dataset.filter === 'all' ? null : button.dataset.filter;
+                this.setState({ category, page: 1 });
+            });
+        });
+
+        if (this.tagContainer) {
+            this.tagContainer.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-tag]');
+                if (!button) return;
+
+                const tag = button.dataset.tag;
+                const tags = this.state.tags.includes(tag)
+                    ? this.state.tags.filter(selected => selected !== tag)
+                    : [...this.state.tags, tag];
+                this.setState({ tags, page: 1 });
+            });
+        }
+
+        if (this.loadMoreButton) {
+            this.loadMoreButton.addEventListener('click', () => {
+                this.setState({ page: this.state.page + 1 }, { loadedMore: true });
+            });
+        }
+
+        window.addEventListener('popstate', () => {
+            this.state = this.readState();
+            this.render({ announce: true });
+        });
+    },
+
+    renderTagButtons() {
+        if (!this.tagContainer) return;
+
+        this.tagContainer.replaceChildren(...this.tags.map(tag => {
+            const button = Utils.createElement('button', 'filter-btn filter-tag', tag);
+            button.type = 'button';
+            button.dataset.tag = tag;
+            button.setAttribute('aria-pressed', 'false');
+            return button;
+        }));
+    },
+
+    // Unknown categories and tags in the URL are ignored
+    readState() {
+        const params = new URLSearchParams(window.location.search);
+        const category = params.get('kategorie');
+
+        return {
+            category: category && this.categories[category] ? category : null,
+            tags: params.getAll('tag').filter(tag => this.tags.includes(tag)),
+            page: Math.max(1, parseInt(params.get('seite'), 10) || 1)
+        };
+    },
+
+    writeState() {
+        const params = new URLSearchParams(window.location.search);
+        ['kategorie', 'tag', 'seite'].forEach(key => params.delete(key));
+
+        if (this.state.category) params.set('kategorie', this.state.category);
+        this.state.tags.forEach(tag => params.append('tag', tag));
+        if (this.state.page > 1) params.set('seite', this.state.page);
+
+        const query = params.toString();
+        history.pushState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    },
+
+    setState(changes, options = {}) {
+        this.state = { ...this.state, ...changes };
+        this.writeState();
+        this.render({ announce: true, ...options });
+    },
+
+    // Articles of the selected category that carry every selected tag
+    getFilteredArticles() {
+        return this.articles.filter(article =>
+            (!this.state.category || article.category === this.state.category) &&
+            this.state.tags.every(tag => article.tags.includes(tag)));
+    },
+
+    render({ announce = false, loadedMore = false } = {}) {
+        const articles = this.getFilteredArticles();
+        const visibleCount = Math.min(articles.length, this.state.page * CONFIG.blogPageSize);
+        const previousCount = loadedMore ? this.grid.querySelectorAll('.blog-card').length : 0;
+
+        if (articles.length) {
+            this.grid.replaceChildren(...articles.slice(0, visibleCount).map(article => this.renderCard(article)));
+        } else {
+            this.grid.replaceChildren(Utils.createElement('p', 'blog-empty', I18n.t('blog.empty')));
+        }
+
+        this.categoryButtons.forEach(button => {
+            const isActive = (button.dataset.filter === 'all' ? null : button.dataset.filter) === this.state.category;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+        });
+
+        if (this.tagContainer) {
+            this.tagContainer.querySelectorAll('[data-tag]').forEach(button => {
+                const isActive = this.state.tags.includes(button.dataset.tag);
+                button.classList.toggle('active', isActive);
+                button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+            });
+        }
+
+        if (this.loadMoreButton) {
+            this.loadMoreButton.hidden = visibleCount >= articles.length;
+        }
+
+        if (loadedMore) {
+            // Continue reading where the new batch starts
+            const firstNewLink = this.grid.querySelectorAll('.blog-card .blog-title a')[previousCount];
+            if (firstNewLink) Utils.setFocusWithDelay(firstNewLink);
+            Utils.announceToScreenReader(I18n.t('blog.loadedMore', {
+                added: visibleCount - previousCount,
+                visible: visibleCount,
+                total: articles.length
+            }));
+        } else if (announce) {
+            Utils.announceToScreenReader(visibleCount < articles.length
+                ? I18n.t('blog.foundShown', { count: articles.length, visible: visibleCount })
+                : I18n.count('blog.found', articles.length));
+        }
+    },
+
+    renderCard(article) {
+        const url = Utils.sitePath(article.url);
+        const card = Utils.createElement('article', 'blog-card');
+        card.dataset.category = article.category;
+
+        if (article.image) {
+            const imageWrapper = Utils.createElement('div', 'blog-card-image');
+            const image = document.createElement('img');
+            image.src = Utils.sitePath(article.image);
+            image.alt = article.imageAlt || '';
+            image.loading = 'lazy';
+            imageWrapper.append(image, Utils.createElement('div', 'blog-category', this.categories[article.category]));
+            card.appendChild(imageWrapper);
+        }
+
+        const content = Utils.createElement('div', 'blog-card-content');
+
+        const meta = Utils.createElement('div', 'blog-meta');
+        const time = Utils.createElement('time', null, Utils.parseDate(article.date)
+            .toLocaleDateString(I18n.locale, { day: 'numeric', month: 'long', year: 'numeric' }));
+        time.dateTime = article.date;
+        meta.append(time, Utils.createElement('span', 'blog-author', article.author));
+
+        const title = Utils.createElement('h3', 'blog-title');
+        const titleLink = Utils.createElement('a', null, article.title);
+        titleLink.href = url;
+        title.appendChild(titleLink);
+
+        const tags = Utils.createElement('ul', 'blog-tags');
+        tags.setAttribute('aria-label', I18n.t('blog.topics'));
+        tags.append(...article.tags.map(tag => Utils.createElement('li', null, tag)));
+
+        const readMore = Utils.createElement('a', 'blog-read-more', I18n.t('blog.readMore'));
+        readMore.href = url;
+
+        content.append(meta, title, Utils.createElement('p', 'blog-excerpt', article.summary), tags, readMore);
+        card.appendChild(content);
+        return card;
+    }
+};
+
+export default Blog;
@@ -0,0 +1,177 @@
+import { CONFIG } from '../core/config.js';
+import { ConsentManager } from '../core/consent.js';
+import { I18n } from '../core/i18n.js';
+import { Utils } from '../core/utils.js';
+
+// Form Drafts Module
+// Keeps the input of each .form in sessionStorage under draft:<form name>, so a locked
+// phone or an accidental reload does not lose a long message. Drafts are only stored with
+// the 'drafts' consent, expire after CONFIG.draftMaxAge and never contain fields marked
+// with data-sensitive. A successful submission resets the form, which drops its draft.
+const FormDrafts = {
+    storagePrefix: 'draft:',
+    // Restore offer shown in each form
+    offers: new WeakMap(),
+
+    init() {
+        this.forms = Array.from(document.querySelectorAll('.form')).filter(form => this.getKey(form));
+        if (!this.forms.length) return;
+
+        this.forms.forEach(form => {
+            const save = Utils.debounce(() => this.save(form), CONFIG.debounceDelay);
+            form.addEventListener('input', save);
+            form.addEventListener('change', save);
+            form.addEventListener('reset', () => this.remove(form));
+
+            this.offerRestore(form);
+        });
+
+        // Withdrawing the consent deletes the drafts right away
+        document.addEventListener('consent-changed', () => {
+            if (!this.isAllowed()) this.forms.forEach(form => this.remove(form));
+        });
+
+        // sessionStorage is already cleared, only the offers are left on the page
+        document.addEventListener('data-deleted', () => {
+            this.forms.forEach(form => this.hideOffer(form));
+        });
+    },
+
+    getKey(form) {
+        const name = form.getAttribute('name') || form.id;
+        return name ? this.storagePrefix + name : null;
+    },
+
+    isAllowed() {
+        return ConsentManager.isGranted('drafts');
+    },
+
+    // Confirmations like the privacy consent are given again for every submission
+    getFields(form) {
+        return Array.from(form.elements).filter(field =>
+            field.name &&
+            !field.disabled &&
+            !field.hasAttribute('data-sensitive') &&
+            !['file', 'password', 'hidden', 'submit', 'button', 'reset'].includes(field.type) &&
+            !(field.type === 'checkbox' && field.required));
+    },
+
+    collect(form) {
+        const values = {};
+        this.getFields(form).forEach(field => {
+            if (field.type === 'checkbox') {
+                if (field.checked) values[field.name] = true;
+            } else if (field.type === 'radio') {
+                if (field.checked) values[field.name] = field.value;
+            } else if (field.value.trim()) {
+                values[field.name] = field.value;
+            }
+        });
+        return values;
+    },
+
+    save(form) {
+        if (!this.isAllowed()) return;
+
+        // Typing without answering the offer starts a new draft in place of the old one
+        this.hideOffer(form);
+
+        const values = this.collect(form);
+        if (!Object.keys(values).length) {
+            this.remove(form);
+            return;
+        }
+
+        try {
+            sessionStorage.setItem(this.getKey(form), JSON.stringify({ savedAt: Date.now(), values }));
+        } catch (error) {
+            // Storage unavailable or full, the form works without a draft
+        }
+    },
+
+    load(form) {
+        try {
+            const draft = JSON.parse(sessionStorage.getItem(this.getKey(form)));
+            if (draft && draft.values && Date.now() - draft.savedAt < CONFIG.draftMaxAge) return draft;
+        } catch (error) {
+            // Unreadable drafts are dropped below
+        }
+        this.remove(form);
+        return null;
+    },
+
+    remove(form) {
+        this.hideOffer(form);
+        try {
+            sessionStorage.removeItem(this.getKey(form));
+        } catch (error) {
+            // Storage unavailable, nothing stored
+        }
+    },
+
+    offerRestore(form) {
+        if (!this.isAllowed()) {
+            this.remove(form);
+            return;
+        }
+
+        const draft = this.load(form);
+        if (!draft) return;
+
+        const time = new Date(draft.savedAt).toLocaleTimeString(I18n.locale, { hour: '2-digit', minute: '2-digit' });
+        const offer = Utils.createElement('div', 'form-draft');
+        offer.setAttribute('role', 'status');
+        offer.appendChild(Utils.createElement('p', null, I18n.t('draft.found', { time })));
+
+        const actions = Utils.createElement('div', 'form-draft-actions');
+        actions.append(
+            this.createButton(I18n.t('draft.restore'), 'btn btn-primary', () => this.restore(form, draft)),
+            this.createButton(I18n.t('draft.discard'), 'btn btn-outline', () => this.remove(form))
+        );
+        offer.appendChild(actions);
+
+        form.prepend(offer);
+        this.offers.set(form, offer);
+    },
+
+    createButton(label, className, onClick) {
+        const button = Utils.createElement('button', className, label);
+        button.type = 'button';
+        button.addEventListener('click', onClick);
+        return button;
+    },
+
+    hideOffer(form) {
+        const offer = this.offers.get(form);
+        if (offer) {
+            offer.remove();
+            this.offers.delete(form);
+        }
+    },
+
+    // Events let counters, progress and dependent fields catch up with the restored values
+    restore(form, draft) {
+        this.hideOffer(form);
+
+        this.getFields(form).forEach(field => {
+            if (!(field.name in draft.values)) return;
+
+            const value = draft.values[field.name];
+            if (field.type === 'checkbox') {
+                field.checked = value === true;
+            } else if (field.type === 'radio') {
+                field.checked = field.value === value;
+            } else {
+                field.value = value;
+            }
+            field.dispatchEvent(new Event('input', { bubbles: true }));
+            field.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+
+        Utils.announceToScreenReader(I18n.t('draft.restored'));
+        const firstField = form.querySelector('input:not([type="hidden"]), select, textarea');
+        if (firstField) Utils.setFocusWithDelay(firstField);
+    }
+};
+
+export default FormDrafts;
@@ -0,0 +1,286 @@
+import { CONFIG } from '../core/config.js';
+import { I18n } from '../core/i18n.js';
+import { Utils } from '../core/utils.js';
+import { FormSubmission } from '../lib/submission.js';
+import { Validation } from '../lib/validation.js';
+
+// Form Module
+const FormHandler = {
+    // Number of the latest check per field, results of older checks still running are dropped
+    checks: new WeakMap(),
+
+    init() {
+        this.cacheElements();
+        this.bindEvents();
+        this.setupValidation();
+        this.setupProgressIndicator();
+        this.setupCharacterCounter();
+    },
+
+    cacheElements() {
+        this.forms = document.querySelectorAll('.form');
+        this.progressFill = document.querySelector('.progress-fill');
+        this.steps = document.querySelectorAll('.step');
+    },
+
+    setupProgressIndicator() {
+        if (!this.progressFill || !this.steps.length) return;
+        
+        this.updateProgress();
+        
+        // Listen for form changes
+        const form = document.querySelector('.form');
+        if (form) {
+            const inputs = form.querySelectorAll('input, select, textarea');
+            inputs.forEach(input => {
+                input.addEventListener('input', () => this.updateProgress());
+                input.addEventListener('change', () => this.updateProgress());
+            });
+        }
+    },
+
+    updateProgress() {
+        const form = document.querySelector('.form');
+        if (!form) return;
+
+        // Wizard forms report progress by their current step instead of filled fields
+        if (form.dataset.currentStep !== undefined) {
+            const currentStep = Number(form.dataset.currentStep);
+
+            if (this.progressFill) {
+                this.progressFill.style.width = `${(currentStep / Math.max(this.steps.length - 1, 1)) * 100}%`;
+            }
+
+            this.steps.forEach((step, index) => {
+                step.classList.toggle('completed', index < currentStep);
+                step.classList.toggle('active', index === currentStep);
+            });
+            return;
+        }
+        
+        const totalFields = form.querySelectorAll('input[required], select[required], textarea[required]').length;
+        const filledFields = form.querySelectorAll('input[required]:valid, select[required]:valid, textarea[required]:valid').length;
+        
+        const progress = totalFields > 0 ? (filledFields / totalFields) * 100 : 0;
+        
+        if (this.progressFill) {
+            this.progressFill.style.width = `${progress}%`;
+        }
+        
+        // Update steps
+        this.steps.forEach((step, index) => {
+            const stepProgress = ((index + 1) / this.steps.length) * 100;
+            step.classList.toggle('completed', progress >= stepProgress);
+            step.classList.toggle('active', progress >= stepProgress && progress < stepProgress + (100 / this.steps.length));
+        });
+    },
+
+    // Counters are linked with data-char-counter="<textarea id>", the limit is the textarea's maxlength
+    setupCharacterCounter() {
+        document.querySelectorAll('[data-char-counter]').forEach(counter => {
+            const textarea = document.getElementById(counter.dataset.charCounter);
+            if (!textarea || textarea.maxLength < 0) return;
+
+            const maxLength = textarea.maxLength;
+            const count = counter.querySelector('[data-char-count]');
+            const max = counter.querySelector('[data-char-max]');
+            if (max) max.textContent = maxLength;
+
+            const update = () => {
+                const length = textarea.value.length;
+                if (count) count.textContent = length;
+                counter.classList.toggle('danger', length > maxLength * 0.9);
+                counter.classList.toggle('warning', length > maxLength * 0.7 && length <= maxLength * 0.9);
+            };
+
+            textarea.addEventListener('input', update);
+            if (textarea.form) textarea.form.addEventListener('reset', () => setTimeout(update, 0));
+            update();
+        });
+    },
+
+    bindEvents() {
+        this.forms.forEach(form => {
+            form.addEventListener('submit', (e) => this.handleSubmit(e));
+            
+            // Real-time validation of required fields and fields with rules
+            this.getCheckedFields(form).forEach(field => {
+                field.addEventListener('blur', () => this.validateField(field));
+                field.addEventListener('input', () => {
+                    if (field.classList.contains('error')) {
+                        this.validateField(field);
+                    }
+                });
+            });
+
+            // A town is checked again when its postcode changes
+            form.querySelectorAll('[data-postcode-field]').forEach(town => {
+                const postcode = document.getElementById(town.dataset.postcodeField);
+                if (postcode) {
+                    postcode.addEventListener('change', () => {
+                        if (town.value.trim()) this.validateField(town);
+                    });
+                }
+            });
+
+            // Reset button
+            const resetButton = form.querySelector('button[type="reset"]');
+            if (resetButton) {
+                resetButton.addEventListener('click', () => this.resetForm(form));
+            }
+        });
+    },
+
+    getCheckedFields(container) {
+        return Array.from(container.querySelectorAll('input, select, textarea'))
+            .filter(field => field.hasAttribute('required') || Validation.hasRules(field));
+    },
+
+    setupValidation() {
+        // Set minimum date to today (birth dates and other past dates opt out)
+        const dateInputs = document.querySelectorAll('input[type="date"]:not([data-allow-past])');
+        const today = new Date().toISOString().split('T')[0];
+        dateInputs.forEach(input => {
+            input.setAttribute('min', today);
+        });
+    },
+
+    async handleSubmit(e) {
+        e.preventDefault();
+        
+        const form = e.target;
+        // An error from the last attempt stays until the user tries again
+        this.hideFormMessage();
+        if (await this.validateForm(form)) {
+            this.submitForm(form);
+        }
+    },
+
+    // Checks all fields, focuses the first invalid one and resolves with the result
+    async validateForm(form) {
+        const fields = this.getCheckedFields(form);
+        const results = await Promise.all(fields.map(field => this.validateField(field)));
+        const firstInvalid = fields[results.indexOf(false)];
+
+        if (firstInvalid) {
+            Utils.setFocusWithDelay(firstInvalid);
+            return false;
+        }
+        return true;
+    },
+
+    // Resolves with true when the field passes its checks, see Validation
+    async validateField(field) {
+        const check = (this.checks.get(field) || 0) + 1;
+        this.checks.set(field, check);
+
+        const message = await Validation.check(field);
+
+        // A newer check of the field has started in the meantime and reports instead
+        if (this.checks.get(field) !== check) return !message;
+
+        this.clearFieldError(field);
+        if (message) {
+            this.showFieldError(field, message);
+            return false;
+        }
+        return true;
+    },
+
+    showFieldError(field, message) {
+        field.classList.add('error');
+        field.setAttribute('aria-invalid', 'true');
+        
+        const errorElement = document.getElementById(`${field.id}-error`);
+        if (errorElement) {
+            errorElement.textContent = message;
+            errorElement.classList.add('show');
+        }
+        
+        // Announce error to screen readers
+        Utils.announceToScreenReader(I18n.t('form.fieldError', { field: field.labels[0]?.textContent || field.name, message }));
+    },
+
+    clearFieldError(field) {
+        field.classList.remove('error');
+        field.removeAttribute('aria-invalid');
+        
+        const errorElement = document.getElementById(`${field.id}-error`);
+        if (errorElement) {
+            errorElement.classList.remove('show');
+        }
+    },
+
+    async submitForm(form) {
+        const submitButton = form.querySelector('button[type="submit"]');
+        const statusElement = document.getElementById('form-status');
+
+        // Show loading state
+        this.setButtonLoading(submitButton, true);
+
+        try {
+            await FormSubmission.send(form);
+            this.showFormMessage(form, I18n.t('form.success'), 'success');
+
+            // Only reset once the server has confirmed the submission
+            form.reset();
+        } catch (error) {
+            this.showFormMessage(form, FormSubmission.getErrorMessage(error), 'error');
+        } finally {
+            this.setButtonLoading(submitButton, false);
+
+            // Focus to status message for screen readers
+            if (statusElement) {
+                Utils.setFocusWithDelay(statusElement);
+            }
+        }
+    },
+
+    setButtonLoading(button, isLoading) {
+        const btnText = button.querySelector('.btn-text');
+        const btnLoading = button.querySelector('.btn-loading');
+        
+        if (isLoading) {
+            button.disabled = true;
+            if (btnText) btnText.style.display = 'none';
+            if (btnLoading) btnLoading.style.display = 'inline';
+        } else {
+            button.disabled = false;
+            if (btnText) btnText.style.display = 'inline';
+            if (btnLoading) btnLoading.style.display = 'none';
+        }
+    },
+
+    // Only a success message hides itself, errors ask for a retry and stay until the next attempt
+    showFormMessage(form, message, type) {
+        const statusElement = document.getElementById('form-status');
+        if (statusElement) {
+            clearTimeout(this.messageTimer);
+            statusElement.textContent = message;
+            statusElement.className = `form-status ${type} show`;
+
+            if (type === 'success') {
+                this.messageTimer = setTimeout(() => this.hideFormMessage(), CONFIG.formTimeout);
+            }
+        }
+    },
+
+    hideFormMessage() {
+        clearTimeout(this.messageTimer);
+        const statusElement = document.getElementById('form-status');
+        if (statusElement) {
+            statusElement.classList.remove('show');
+        }
+    },
+
+    resetForm(form) {
+        // Clear all errors
+        const fields = form.querySelectorAll('input, select, textarea');
+        fields.forEach(field => this.clearFieldError(field));
+        
+        // Clear status message
+        this.hideFormMessage();
+    }
+};
+
+export default FormHandler;
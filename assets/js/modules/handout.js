@@ -0,0 +1,138 @@
+import { CONFIG } from '../core/config.js';
+import { I18n } from '../core/i18n.js';
+import { Locations } from '../core/locations.js';
+import { Utils } from '../core/utils.js';
+import { QRCode } from '../lib/qrcode.js';
+
+// Printed handouts ("Merkblatt") of condition pages and the examination preparation notes.
+// A button with data-handout="<name>" prints the elements marked data-handout-section="<name>"
+// on a clean A4 sheet: letterhead, print date, a QR code to the page online and the contact
+// details of every location from data/locations.json. The sheet only exists while printing.
+const Handout = {
+    init() {
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-handout]');
+            if (button) this.print(button);
+        });
+
+        window.addEventListener('afterprint', () => this.remove());
+    },
+
+    // Address of the page on the public site, also when printed from a local copy
+    getPublicUrl(organization) {
+        const address = window.location.href.split('#')[0];
+        const path = address.startsWith(CONFIG.siteRoot) ? address.slice(CONFIG.siteRoot.length) : window.location.pathname.slice(1);
+        return `${organization.url}/${path}`;
+    },
+
+    async print(button) {
+        let data;
+
+        try {
+            data = await Locations.load();
+        } catch (error) {
+            // Without the letterhead the page prints with the normal print styles
+            console.warn('Location data could not be loaded:', error);
+            window.print();
+            return;
+        }
+
+        const sections = [...document.querySelectorAll(`[data-handout-section="${button.dataset.handout}"]`)];
+        if (!sections.length) return;
+
+        const pageTitle = document.querySelector('.page-header h1');
+        const title = button.dataset.handoutTitle || (pageTitle ? pageTitle.textContent : document.title);
+
+        this.remove();
+        this.sheet = this.render(data, title, sections);
+        document.body.appendChild(this.sheet);
+        document.body.classList.add('handout-mode');
+        window.print();
+    },
+
+    remove() {
+        if (!this.sheet) return;
+        this.sheet.remove();
+        this.sheet = null;
+        document.body.classList.remove('handout-mode');
+    },
+
+    render(data, title, sections) {
+        const sheet = Utils.createElement('div', 'handout');
+        const url = this.getPublicUrl(data.organization);
+
+        const letterhead = Utils.createElement('header', 'handout-letterhead');
+        const sender = Utils.createElement('div', 'handout-sender');
+        sender.append(
+            Utils.createElement('p', 'handout-organization', data.organization.name),
+            Utils.createElement('p', null, I18n.t('handout.subtitle'))
+        );
+        letterhead.appendChild(sender);
+
+        const qrCode = QRCode.toSvg(url, I18n.t('handout.qrCode', { url }));
+        if (qrCode) {
+            const figure = Utils.createElement('figure', 'handout-qr');
+            figure.append(qrCode, Utils.createElement('figcaption', null, I18n.t('handout.readOnline')));
+            letterhead.appendChild(figure);
+        }
+
+        const date = new Date().toLocaleDateString(I18n.locale, { day: 'numeric', month: 'long', year: 'numeric' });
+        const meta = Utils.createElement('p', 'handout-meta', I18n.t('handout.meta', { date, url }));
+
+        const content = Utils.createElement('div', 'handout-content');
+        content.append(...sections.map(section => this.cleanCopy(section)));
+
+        sheet.append(letterhead, meta, Utils.createElement('h1', 'handout-title', title), content, this.renderContacts(data));
+        return sheet;
+    },
+
+    // Copy without ids (they stay unique on the page), controls and inline animation state
+    cleanCopy(section) {
+        const copy = section.cloneNode(true);
+        copy.removeAttribute('data-handout-section');
+        copy.querySelectorAll('button, .heading-anchor, .contact-hint, [data-handout-skip]').forEach(element => element.remove());
+        [copy, ...copy.querySelectorAll('*')].forEach(element => {
+            element.removeAttribute('id');
+            element.removeAttribute('style');
+        });
+        return copy;
+    },
+
+    renderContacts(data) {
+        const contacts = Utils.createElement('footer', 'handout-contacts');
+
+        Object.values(data.locations).forEach(location => {
+            const block = Utils.createElement('div', 'handout-location');
+            block.append(
+                Utils.createElement('p', 'handout-location-name', location.name),
+                Utils.createElement('p', null, location.street),
+                Utils.createElement('p', null, `${location.postalCode} ${location.town}`),
+                Utils.createElement('p', null, I18n.t('handout.phone', { phone: Locations.formatPhone(location.phone) })),
+                Utils.createElement('p', null, location.email)
+            );
+
+            const emergency = Locations.get(location.emergency);
+            if (emergency) {
+                block.appendChild(Utils.createElement('p', 'handout-emergency', I18n.t('handout.emergency', {
+                    name: emergency.name,
+                    phone: Locations.formatPhone(emergency.phone)
+                })));
+            }
+            contacts.appendChild(block);
+        });
+
+        const hours = Utils.createElement('div', 'handout-location');
+        hours.appendChild(Utils.createElement('p', 'handout-location-name', I18n.t('handout.hours')));
+        hours.append(...Locations.getHoursSummary().map(line => Utils.createElement('p', null, line)));
+
+        const ambulance = Locations.get('sanitaet');
+        if (ambulance) {
+            hours.appendChild(Utils.createElement('p', 'handout-emergency', I18n.t('handout.ambulance', { phone: ambulance.phone })));
+        }
+        contacts.appendChild(hours);
+
+        return contacts;
+    }
+};
+
+export default Handout;
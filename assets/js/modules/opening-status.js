@@ -0,0 +1,204 @@
+import { CONFIG } from '../core/config.js';
+import { I18n } from '../core/i18n.js';
+import { Locations } from '../core/locations.js';
+import { Utils } from '../core/utils.js';
+
+// Live "open now / opens at" status of each practice in Europe/Zurich time, shown in
+// elements with data-opening-status="<location>". Cantonal public holidays and the
+// closures in data/closures.json count as closed days; while a practice is closed the
+// status points to its emergency number.
+const OpeningStatus = {
+    timeZone: 'Europe/Zurich',
+    // How far ahead the next opening is searched, covers long holiday closures
+    searchDays: 60,
+
+    // Public holidays of the cantons the practices are in, fixed dates as MM-DD or days relative to Easter Sunday
+    holidays: [
+        { name: 'Neujahr', date: '01-01', cantons: ['SZ', 'ZG'] },
+        { name: 'Berchtoldstag', date: '01-02', cantons: ['ZG'] },
+        { name: 'Dreikönigstag', date: '01-06', cantons: ['SZ'] },
+        { name: 'Josefstag', date: '03-19', cantons: ['SZ'] },
+        { name: 'Karfreitag', easter: -2, cantons: ['SZ', 'ZG'] },
+        { name: 'Ostermontag', easter: 1, cantons: ['SZ', 'ZG'] },
+        { name: 'Auffahrt', easter: 39, cantons: ['SZ', 'ZG'] },
+        { name: 'Pfingstmontag', easter: 50, cantons: ['SZ', 'ZG'] },
+        { name: 'Fronleichnam', easter: 60, cantons: ['SZ', 'ZG'] },
+        { name: 'Bundesfeier', date: '08-01', cantons: ['SZ', 'ZG'] },
+        { name: 'Mariä Himmelfahrt', date: '08-15', cantons: ['SZ', 'ZG'] },
+        { name: 'Allerheiligen', date: '11-01', cantons: ['SZ', 'ZG'] },
+        { name: 'Mariä Empfängnis', date: '12-08', cantons: ['SZ', 'ZG'] },
+        { name: 'Weihnachten', date: '12-25', cantons: ['SZ', 'ZG'] },
+        { name: 'Stephanstag', date: '12-26', cantons: ['SZ', 'ZG'] }
+    ],
+
+    init() {
+        this.elements = document.querySelectorAll('[data-opening-status]');
+        if (!this.elements.length) return;
+
+        Promise.all([Locations.load(), this.loadClosures()])
+            .then(() => {
+                this.render();
+                // Keep the status current while the page stays open
+                setInterval(() => this.render(), 60 * 1000);
+            })
+            .catch(error => console.warn('Opening status could not be determined:', error));
+    },
+
+    async loadClosures() {
+        const response = await fetch(Utils.sitePath(CONFIG.closuresUrl));
+        if (!response.ok) throw new Error(`Closures returned ${response.status}`);
+        this.closures = (await response.json()).closures;
+    },
+
+    // Calendar date (YYYY-MM-DD) and minutes since midnight of a moment in Zurich
+    getLocalTime(moment) {
+        const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+            timeZone: this.timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(moment).map(part => [part.type, part.value]));
+
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            minutes: Number(parts.hour) * 60 + Number(parts.minute)
+        };
+    },
+
+    // Dates are handled as UTC midnight so adding days is not affected by daylight saving time
+    addDays(date, days) {
+        const day = new Date(`${date}T00:00:00Z`);
+        day.setUTCDate(day.getUTCDate() + days);
+        return day.toISOString().slice(0, 10);
+    },
+
+    getWeekday(date) {
+        return new Date(`${date}T00:00:00Z`).getUTCDay();
+    },
+
+    // Easter Sunday of a year (anonymous Gregorian algorithm)
+    getEasterSunday(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const day = ((h + l - 7 * m + 114) % 31) + 1;
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    },
+
+    getHoliday(date, canton) {
+        const year = Number(date.slice(0, 4));
+        const easter = this.getEasterSunday(year);
+
+        return this.holidays.find(holiday => holiday.cantons.includes(canton) &&
+            (holiday.date ? `${year}-${holiday.date}` === date : this.addDays(easter, holiday.easter) === date)) || null;
+    },
+
+    // Reason why a location is closed all day, or null on a regular day
+    getClosure(key, location, date) {
+        const holiday = this.getHoliday(date, location.canton);
+        if (holiday) return holiday.name;
+
+        const closure = (this.closures || []).find(entry =>
+            entry.from <= date && date <= entry.to && entry.locations.includes(key));
+        return closure ? closure.reason : null;
+    },
+
+    getHours(key, location, date) {
+        if (this.getClosure(key, location, date)) return [];
+        return location.openingHours[Locations.weekdays[(this.getWeekday(date) + 6) % 7]] || [];
+    },
+
+    /**
+     * Status of a location at a moment: { open, closesAt } while open,
+     * { open: false, reason, next: { date, time } } otherwise. next is null if the
+     * location does not open again within searchDays.
+     */
+    getStatus(key, moment = new Date()) {
+        const location = Locations.getLocations()[key];
+        const now = this.getLocalTime(moment);
+        const current = this.getHours(key, location, now.date).find(([start, end]) =>
+            Utils.timeToMinutes(start) <= now.minutes && now.minutes < Utils.timeToMinutes(end));
+
+        if (current) {
+            return { open: true, closesAt: current[1] };
+        }
+
+        for (let offset = 0; offset <= this.searchDays; offset++) {
+            const date = this.addDays(now.date, offset);
+            const start = this.getHours(key, location, date)
+                .map(([time]) => time)
+                .find(time => offset > 0 || Utils.timeToMinutes(time) > now.minutes);
+
+            if (start) {
+                return { open: false, reason: this.getClosure(key, location, now.date), next: { date, time: start } };
+            }
+        }
+        return { open: false, reason: this.getClosure(key, location, now.date), next: null };
+    },
+
+    // "heute um 13:30 Uhr", "morgen um 08:00 Uhr", "am Montag um 08:00 Uhr" or with the date further ahead
+    formatNext(next, today) {
+        const days = Math.round((new Date(`${next.date}T00:00:00Z`) - new Date(`${today}T00:00:00Z`)) / 86400000);
+        const date = Utils.parseDate(next.date);
+
+        if (days === 0) return I18n.t('opening.today', { time: next.time });
+        if (days === 1) return I18n.t('opening.tomorrow', { time: next.time });
+
+        const day = date.toLocaleDateString(I18n.locale, days < 7
+            ? { weekday: 'long' }
+            : { weekday: 'long', day: 'numeric', month: 'long' });
+        return I18n.t('opening.onDay', { day, time: next.time });
+    },
+
+    getMessage(status, moment = new Date()) {
+        if (status.open) {
+            return I18n.t('opening.open', { time: status.closesAt });
+        }
+
+        const closed = status.reason ? I18n.t('opening.closedToday', { reason: status.reason }) : I18n.t('opening.closed');
+        return status.next
+            ? I18n.t('opening.reopens', { status: closed, next: this.formatNext(status.next, this.getLocalTime(moment).date) })
+            : closed;
+    },
+
+    render(moment = new Date()) {
+        this.elements.forEach(element => {
+            const key = element.dataset.openingStatus;
+            const location = Locations.getLocations()[key];
+            if (!location) return;
+
+            const status = this.getStatus(key, moment);
+            const content = [Utils.createElement('p', 'opening-status-text', this.getMessage(status, moment))];
+
+            if (!status.open) {
+                const emergency = Locations.get(location.emergency);
+                const hint = Utils.createElement('p', 'opening-status-emergency');
+                const phoneLink = Utils.createElement('a', null, `${emergency.name}, ${Locations.formatPhone(emergency.phone)}`);
+                const sectionLink = Utils.createElement('a', null, I18n.t('opening.allNumbers'));
+                phoneLink.href = `tel:${emergency.phone}`;
+                sectionLink.href = `${Utils.sitePath('kontakt.html')}#notfall`;
+                hint.append(...I18n.nodes('opening.emergency', { phone: phoneLink, all: sectionLink }));
+                content.push(hint);
+            }
+
+            element.classList.toggle('is-open', status.open);
+            element.classList.toggle('is-closed', !status.open);
+            element.replaceChildren(...content);
+        });
+    }
+};
+
+export default OpeningStatus;
@@ -0,0 +1,214 @@
+import { CONFIG } from '../core/config.js';
+import { ConsentManager } from '../core/consent.js';
+import { I18n } from '../core/i18n.js';
+import { Dialog } from '../lib/dialog.js';
+
+// Privacy Data Module (revDSG access and deletion requests on cookie-einstellungen.html)
+// The buttons of the page say what they do with data-privacy-action, see runAction
+const PrivacyData = {
+    // Message keys of readable labels for stored entries, matched by exact key or by prefix
+    labels: [
+        { key: 'consent', label: 'privacy.label.consent' },
+        { key: 'cookieConsent', label: 'privacy.label.cookieConsent' },
+        { key: 'cookieStats', label: 'privacy.label.cookieStats' },
+        { key: 'cookieMarketing', label: 'privacy.label.cookieMarketing' },
+        { prefix: 'draft:', label: 'privacy.label.draft' },
+        { prefix: 'pref:', label: 'privacy.label.preference' }
+    ],
+
+    init() {
+        document.addEventListener('click', (e) => {
+            const trigger = e.target.closest('[data-privacy-action]');
+            if (!trigger) return;
+
+            e.preventDefault();
+            this.runAction(trigger.dataset.privacyAction);
+        });
+    },
+
+    async runAction(action) {
+        switch (action) {
+            case 'save':
+                ConsentManager.save(ConsentManager.readSettingsPage());
+                this.showStatus(I18n.t('privacy.saved'), 'success');
+                break;
+            case 'accept-all':
+                ConsentManager.acceptAll();
+                this.showStatus(I18n.t('privacy.saved'), 'success');
+                break;
+            case 'reject-all':
+                ConsentManager.rejectAll();
+                this.showStatus(I18n.t('privacy.saved'), 'success');
+                break;
+            case 'export':
+                this.exportData();
+                break;
+            case 'delete':
+                if (await Dialog.confirm({
+                    title: I18n.t('privacy.deleteTitle'),
+                    message: I18n.t('privacy.deleteMessage'),
+                    confirmLabel: I18n.t('privacy.deleteConfirm')
+                })) {
+                    this.deleteData();
+                }
+                break;
+            case 'reset':
+                if (await Dialog.confirm({
+                    title: I18n.t('privacy.resetTitle'),
+                    message: I18n.t('privacy.resetMessage'),
+                    confirmLabel: I18n.t('privacy.resetConfirm')
+                })) {
+                    ConsentManager.reset();
+                    this.showStatus(I18n.t('privacy.reset'), 'success');
+                }
+                break;
+            default:
+                console.warn(`Unknown privacy action: ${action}`);
+        }
+    },
+
+    getLabel(key) {
+        const match = this.labels.find(entry => entry.key ? entry.key === key : key.startsWith(entry.prefix));
+        return I18n.t(match ? match.label : 'privacy.label.other');
+    },
+
+    // Stored strings are shown as structured data where possible
+    parseValue(value) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return value;
+        }
+    },
+
+    readStorage(storage) {
+        const entries = [];
+        try {
+            for (let i = 0; i < storage.length; i++) {
+                const key = storage.key(i);
+                entries.push({
+                    bezeichnung: this.getLabel(key),
+                    schluessel: key,
+                    wert: this.parseValue(storage.getItem(key))
+                });
+            }
+        } catch (error) {
+            // Storage unavailable, nothing stored
+        }
+        return entries;
+    },
+
+    // Name and value of each cookie as they appear in document.cookie
+    splitCookies() {
+        return document.cookie.split(';')
+            .map(cookie => cookie.trim())
+            .filter(Boolean)
+            .map(cookie => {
+                const separator = cookie.indexOf('=');
+                return separator > -1 ? [cookie.slice(0, separator), cookie.slice(separator + 1)] : [cookie, ''];
+            });
+    },
+
+    // Cookies set by other scripts need not be URI-encoded, those are shown as they are
+    decodeCookie(text) {
+        try {
+            return decodeURIComponent(text);
+        } catch (error) {
+            return text;
+        }
+    },
+
+    readCookies() {
+        return this.splitCookies().map(([name, value]) => {
+            const key = this.decodeCookie(name);
+            return { bezeichnung: this.getLabel(key), schluessel: key, wert: this.decodeCookie(value) };
+        });
+    },
+
+    collect() {
+        return {
+            exportiertAm: new Date().toISOString(),
+            website: window.location.origin,
+            hinweis: I18n.t('privacy.exportNote'),
+            lokalerSpeicher: this.readStorage(window.localStorage),
+            sitzungsspeicher: this.readStorage(window.sessionStorage),
+            cookies: this.readCookies()
+        };
+    },
+
+    download() {
+        const blob = new Blob([JSON.stringify(this.collect(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `neurologie-zentralschweiz-daten-${new Date().toISOString().split('T')[0]}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
+    // Cookies can only be removed with the same path and domain they were set with
+    deleteCookies() {
+        const hostParts = window.location.hostname.split('.');
+        const domains = [''];
+        for (let i = 0; i < hostParts.length - 1; i++) {
+            domains.push(`; domain=.${hostParts.slice(i).join('.')}`);
+        }
+
+        const pathParts = window.location.pathname.split('/').slice(0, -1);
+        const paths = ['/'];
+        for (let i = 1; i < pathParts.length; i++) {
+            paths.push(pathParts.slice(0, i + 1).join('/'));
+        }
+
+        // The raw name, a decoded one would not match cookies that were never encoded
+        this.splitCookies().forEach(([name]) => {
+            domains.forEach(domain => {
+                paths.forEach(path => {
+                    document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=${path}${domain}`;
+                });
+            });
+        });
+    },
+
+    deleteAll() {
+        try {
+            window.localStorage.clear();
+            window.sessionStorage.clear();
+        } catch (error) {
+            // Storage unavailable, nothing to delete
+        }
+        this.deleteCookies();
+
+        // Let other modules drop their in-memory state as well
+        ConsentManager.reset();
+        document.dispatchEvent(new CustomEvent('data-deleted'));
+    },
+
+    exportData() {
+        this.download();
+        this.showStatus(I18n.t('privacy.exported'), 'success');
+    },
+
+    deleteData() {
+        this.deleteAll();
+        this.showStatus(I18n.t('privacy.deleted'), 'success');
+    },
+
+    // #form-status is a live region, screen readers announce the message from there and
+    // focus stays on the button that was used. The page has no form, so the form module
+    // is not loaded for its status messages.
+    showStatus(message, type) {
+        const statusElement = document.getElementById('form-status');
+        if (!statusElement) return;
+
+        statusElement.textContent = message;
+        statusElement.className = `form-status ${type} show`;
+
+        clearTimeout(this.statusTimer);
+        this.statusTimer = setTimeout(() => statusElement.classList.remove('show'), CONFIG.formTimeout);
+    }
+};
+
+export default PrivacyData;
@@ -0,0 +1,399 @@
+import { CONFIG } from '../core/config.js';
+import { I18n } from '../core/i18n.js';
+import { Utils } from '../core/utils.js';
+
+// Site Search Module
+// Adds a search box to the header navigation. The prebuilt index is fetched on first
+// use and searched in the browser, with umlaut folding and tolerance for typos.
+const SiteSearch = {
+    // Weight of a match depending on where the term was found
+    fieldWeights: { title: 5, headings: 3, text: 1 },
+
+    // The navigation list carries data-module="search"
+    init([navMenu]) {
+        if (!navMenu) return;
+
+        this.createElements(navMenu);
+        this.bindEvents();
+        this.results = [];
+        this.activeIndex = -1;
+    },
+
+    createElements(navMenu) {
+        const item = document.createElement('li');
+        item.className = 'nav-search';
+
+        this.form = document.createElement('form');
+        this.form.className = 'nav-search-form';
+        this.form.setAttribute('role', 'search');
+
+        const label = document.createElement('label');
+        label.className = 'sr-only';
+        label.htmlFor = 'site-search';
+        label.textContent = I18n.t('search.label');
+
+        this.input = document.createElement('input');
+        this.input.type = 'search';
+        this.input.id = 'site-search';
+        this.input.className = 'nav-search-input';
+        this.input.placeholder = I18n.t('search.placeholder');
+        this.input.autocomplete = 'off';
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.setAttribute('aria-controls', 'site-search-results');
+
+        this.list = document.createElement('ul');
+        this.list.id = 'site-search-results';
+        this.list.className = 'nav-search-results';
+        this.list.setAttribute('role', 'listbox');
+        this.list.setAttribute('aria-label', I18n.t('search.results'));
+        this.list.hidden = true;
+
+        this.form.append(label, this.input, this.list);
+        item.appendChild(this.form);
+        navMenu.appendChild(item);
+    },
+
+    bindEvents() {
+        // Only preloads, update() reports a failed index to the user
+        this.input.addEventListener('focus', () => this.loadIndex().catch(() => {}));
+        this.input.addEventListener('input', Utils.debounce(() => this.update(), CONFIG.debounceDelay));
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.openResult(Math.max(this.activeIndex, 0));
+        });
+        this.form.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        // Keep focus in the input while a result is clicked
+        this.list.addEventListener('mousedown', (e) => e.preventDefault());
+
+        // Close when focus or a click leaves the search
+        this.form.addEventListener('focusout', (e) => {
+            if (!this.form.contains(e.relatedTarget)) this.close();
+        });
+        document.addEventListener('click', (e) => {
+            if (!this.form.contains(e.target)) this.close();
+        });
+    },
+
+    handleKeydown(e) {
+        const isOpen = !this.list.hidden;
+
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                e.preventDefault();
+                if (!isOpen) {
+                    this.update();
+                    return;
+                }
+                this.moveActive(e.key === 'ArrowDown' ? 1 : -1);
+                break;
+            case 'Enter':
+                // Links in the list follow their href, the input opens the active result
+                if (e.target === this.input) {
+                    e.preventDefault();
+                    this.openResult(Math.max(this.activeIndex, 0));
+                }
+                break;
+            case 'Escape':
+                // Keep the mobile menu open while the search consumes Escape
+                if (isOpen) {
+                    e.stopPropagation();
+                    this.close();
+                    this.input.focus();
+                } else if (this.input.value) {
+                    e.stopPropagation();
+                    this.input.value = '';
+                }
+                break;
+            case 'Tab':
+                if (isOpen) {
+                    e.stopPropagation();
+                    Utils.trapFocus(this.form, e);
+                }
+                break;
+        }
+    },
+
+    loadIndex() {
+        if (!this.loading) {
+            this.loading = fetch(Utils.sitePath(CONFIG.searchIndexUrl))
+                .then(response => {
+                    if (!response.ok) throw new Error(`Search index returned ${response.status}`);
+                    return response.json();
+                })
+                .then(pages => this.buildIndex(pages))
+                .catch(error => {
+                    // Allow another attempt on the next focus
+                    this.loading = null;
+                    throw error;
+                });
+        }
+        return this.loading;
+    },
+
+    // Map every normalized word to the pages containing it and its best field weight
+    buildIndex(pages) {
+        this.pages = pages;
+        this.terms = new Map();
+
+        pages.forEach((page, pageIndex) => {
+            const fields = { title: page.title, headings: page.headings.join(' '), text: page.text };
+
+            Object.entries(fields).forEach(([field, value]) => {
+                this.tokenize(value).forEach(token => {
+                    if (!this.terms.has(token)) this.terms.set(token, new Map());
+                    const pagesForToken = this.terms.get(token);
+                    pagesForToken.set(pageIndex, Math.max(pagesForToken.get(pageIndex) || 0, this.fieldWeights[field]));
+                });
+            });
+        });
+
+        this.vocabulary = [...this.terms.keys()];
+    },
+
+    tokenize(text) {
+        return Utils.normalizeText(text).split(/[^a-z0-9]+/).filter(Boolean);
+    },
+
+    // Restricted Damerau-Levenshtein distance, gives up once it exceeds max
+    editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const nextRow = [i];
+            let rowMin = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+                // Swapped neighbouring letters count as a single typo
+                if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousRow[j - 2] + 1);
+                }
+
+                nextRow.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+
+            if (rowMin > max) return max + 1;
+            previousRow = row;
+            row = nextRow;
+        }
+
+        return row[b.length];
+    },
+
+    // 3 for an exact word, 2 for a word starting with the term, 1 for a word containing
+    // the term (German compounds like "Schlafapnoe") or a close typo, 0 otherwise
+    matchQuality(term, token) {
+        if (token === term) return 3;
+        if (token.startsWith(term)) return 2;
+
+        const maxDistance = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+        if (!maxDistance) return 0;
+        if (token.includes(term)) return 1;
+
+        // Compare with the whole word and with its beginning, so typos work while typing
+        const distance = Math.min(
+            this.editDistance(term, token, maxDistance),
+            this.editDistance(term, token.slice(0, term.length), maxDistance)
+        );
+        return distance <= maxDistance ? 1 : 0;
+    },
+
+    // Every term has to match somewhere on a page, the best match per term counts
+    search(query) {
+        const queryTerms = [...new Set(this.tokenize(query))];
+        const matchedTokens = new Set();
+        let scores = null;
+
+        queryTerms.forEach(term => {
+            const termScores = new Map();
+
+            this.vocabulary.forEach(token => {
+                const quality = this.matchQuality(term, token);
+                if (!quality) return;
+
+                matchedTokens.add(token);
+                this.terms.get(token).forEach((weight, pageIndex) => {
+                    termScores.set(pageIndex, Math.max(termScores.get(pageIndex) || 0, weight * quality));
+                });
+            });
+
+            if (scores === null) {
+                scores = termScores;
+            } else {
+                scores = new Map([...scores]
+                    .filter(([pageIndex]) => termScores.has(pageIndex))
+                    .map(([pageIndex, score]) => [pageIndex, score + termScores.get(pageIndex)]));
+            }
+        });
+
+        this.matchedTokens = matchedTokens;
+
+        return [...(scores || [])]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, CONFIG.searchMaxResults)
+            .map(([pageIndex]) => this.pages[pageIndex]);
+    },
+
+    async update() {
+        const query = this.input.value.trim();
+
+        if (Utils.normalizeText(query).replace(/[^a-z0-9]/g, '').length < CONFIG.searchMinLength) {
+            this.close();
+            return;
+        }
+
+        try {
+            await this.loadIndex();
+        } catch (error) {
+            this.renderMessage(I18n.t('search.unavailable'));
+            return;
+        }
+
+        // Ignore results for a query that has changed while the index was loading
+        if (query !== this.input.value.trim()) return;
+
+        this.results = this.search(query);
+        this.activeIndex = -1;
+
+        if (!this.results.length) {
+            this.renderMessage(I18n.t('search.noResults', { query }));
+            return;
+        }
+
+        this.renderResults();
+        Utils.announceToScreenReader(I18n.count('search.found', this.results.length));
+    },
+
+    renderResults() {
+        this.list.replaceChildren(...this.results.map((page, index) => {
+            const option = document.createElement('li');
+            option.id = `site-search-result-${index}`;
+            option.className = 'nav-search-result';
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', 'false');
+
+            const link = document.createElement('a');
+            link.href = Utils.sitePath(page.url);
+
+            const title = document.createElement('span');
+            title.className = 'nav-search-title';
+            this.highlight(title, page.title);
+
+            const section = document.createElement('span');
+            section.className = 'nav-search-section';
+            section.textContent = page.section;
+
+            const snippet = document.createElement('span');
+            snippet.className = 'nav-search-snippet';
+            this.highlight(snippet, this.getSnippet(page.text));
+
+            link.append(title, section, snippet);
+            option.appendChild(link);
+            return option;
+        }));
+
+        this.open();
+    },
+
+    renderMessage(message) {
+        const item = document.createElement('li');
+        item.className = 'nav-search-message';
+        item.textContent = message;
+        this.list.replaceChildren(item);
+        this.results = [];
+        this.activeIndex = -1;
+        this.open();
+        Utils.announceToScreenReader(message);
+    },
+
+    // Cut the text around the first matching word
+    getSnippet(text, before = 60, after = 120) {
+        const wordPattern = /[\p{L}\p{N}]+/gu;
+        let match;
+        let position = 0;
+
+        while ((match = wordPattern.exec(text))) {
+            if (this.matchedTokens.has(Utils.normalizeText(match[0]))) {
+                position = match.index;
+                break;
+            }
+        }
+
+        let start = Math.max(0, position - before);
+        let end = Math.min(text.length, position + after);
+        if (start > 0) start = text.indexOf(' ', start) + 1;
+        if (end < text.length) end = text.lastIndexOf(' ', end);
+
+        return `${start > 0 ? '… ' : ''}${text.slice(start, end)}${end < text.length ? ' …' : ''}`;
+    },
+
+    // Wrap matching words in <mark>, built from text nodes so content is never parsed as HTML
+    highlight(container, text) {
+        text.split(/([\p{L}\p{N}]+)/u).forEach(part => {
+            if (part && this.matchedTokens.has(Utils.normalizeText(part))) {
+                const mark = document.createElement('mark');
+                mark.textContent = part;
+                container.appendChild(mark);
+            } else if (part) {
+                container.appendChild(document.createTextNode(part));
+            }
+        });
+    },
+
+    moveActive(step) {
+        if (!this.results.length) return;
+
+        const count = this.results.length;
+        const index = this.activeIndex < 0 && step < 0 ? count - 1 : (this.activeIndex + step + count) % count;
+        this.setActive(index);
+
+        // When a result link itself has focus, move focus along with the selection
+        if (document.activeElement !== this.input) {
+            this.list.querySelectorAll('.nav-search-result a')[index].focus();
+        }
+    },
+
+    setActive(index) {
+        this.list.querySelectorAll('[role="option"]').forEach((option, optionIndex) => {
+            const isActive = optionIndex === index;
+            option.classList.toggle('active', isActive);
+            option.setAttribute('aria-selected', isActive ? 'true' : 'false');
+            if (isActive) option.scrollIntoView({ block: 'nearest' });
+        });
+
+        this.activeIndex = index;
+        if (index >= 0) {
+            this.input.setAttribute('aria-activedescendant', `site-search-result-${index}`);
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    },
+
+    openResult(index) {
+        const link = this.list.querySelectorAll('.nav-search-result a')[index];
+        if (link) window.location.href = link.href;
+    },
+
+    open() {
+        this.list.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+    },
+
+    close() {
+        this.list.hidden = true;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.setActive(-1);
+    }
+};
+
+export default SiteSearch;
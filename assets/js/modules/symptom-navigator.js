@@ -0,0 +1,126 @@
+import { CONFIG } from '../core/config.js';
+import { I18n } from '../core/i18n.js';
+import { Locations } from '../core/locations.js';
+import { Utils } from '../core/utils.js';
+
+// Krankheitsbilder: leads from a symptom to the matching condition pages in one or two
+// questions. The mapping lives in data/symptom-navigator.json and is checked by
+// scripts/build-krankheitsbilder.js; titles and summaries are taken from the overview cards
+// on the same page. Red-flag answers lead to the emergency numbers, and the warning box
+// #warnzeichen next to the navigator stays visible throughout.
+const SymptomNavigator = {
+    init() {
+        this.container = document.querySelector('[data-symptom-navigator]');
+        if (!this.container) return;
+
+        this.redFlags = document.getElementById('warnzeichen');
+
+        fetch(Utils.sitePath(CONFIG.symptomNavigatorUrl))
+            .then(response => {
+                if (!response.ok) throw new Error(`Symptom navigator returned ${response.status}`);
+                return response.json();
+            })
+            .then(data => {
+                this.symptoms = data.symptoms;
+                this.showSymptoms(false);
+            })
+            // The static hint and the overview below stay in place
+            .catch(error => console.warn('Symptom navigator could not be loaded:', error));
+    },
+
+    // Replace the current step; focus moves to its heading except on page load
+    showStep(title, nodes, focus = true) {
+        const heading = Utils.createElement('h3', 'symptom-step-title', title);
+        heading.tabIndex = -1;
+        this.container.replaceChildren(heading, ...nodes);
+        if (this.redFlags) this.redFlags.classList.remove('is-highlighted');
+        if (focus) heading.focus();
+    },
+
+    createButton(label, className, onClick) {
+        const button = Utils.createElement('button', className, label);
+        button.type = 'button';
+        button.addEventListener('click', onClick);
+        return button;
+    },
+
+    createLink(label, href, className) {
+        const link = Utils.createElement('a', className, label);
+        link.href = href;
+        return link;
+    },
+
+    createRestart() {
+        const actions = Utils.createElement('div', 'symptom-actions');
+        actions.appendChild(this.createButton(I18n.t('symptom.restart'), 'btn btn-outline', () => this.showSymptoms()));
+        return actions;
+    },
+
+    showSymptoms(focus = true) {
+        const options = Utils.createElement('div', 'symptom-options');
+        options.append(...this.symptoms.map(symptom =>
+            this.createButton(symptom.label, 'symptom-option', () => this.showQuestion(symptom))));
+
+        const other = Utils.createElement('p', 'symptom-note');
+        other.append(...I18n.nodes('symptom.notListed', {
+            link: this.createLink(I18n.t('symptom.allConditions'), '#alle-krankheitsbilder')
+        }));
+
+        this.showStep(I18n.t('symptom.question'), [options, other], focus);
+    },
+
+    showQuestion(symptom) {
+        const options = Utils.createElement('div', 'symptom-options');
+        options.append(...symptom.answers.map(answer => this.createButton(
+            answer.label,
+            answer.redFlag ? 'symptom-option is-red-flag' : 'symptom-option',
+            () => answer.redFlag ? this.showEmergency() : this.showConditions(answer.conditions)
+        )));
+
+        this.showStep(symptom.question, [options, this.createRestart()]);
+    },
+
+    showConditions(slugs) {
+        const list = Utils.createElement('ul', 'symptom-results');
+
+        slugs.forEach(slug => {
+            const cardLink = document.querySelector(`.blog-card h2 a[href="krankheitsbilder/${slug}.html"]`);
+            if (!cardLink) return;
+
+            const summary = cardLink.closest('.blog-card').querySelector('p');
+            const item = document.createElement('li');
+            item.appendChild(this.createLink(cardLink.textContent, cardLink.getAttribute('href')));
+            if (summary) item.appendChild(Utils.createElement('p', null, summary.textContent));
+            list.appendChild(item);
+        });
+
+        const appointment = Utils.createElement('p', 'symptom-note');
+        appointment.append(...I18n.nodes('symptom.appointment', {
+            appointment: this.createLink(I18n.t('symptom.appointmentLink'), Utils.sitePath('kontakt.html')),
+            warnings: this.createLink(I18n.t('symptom.warningsLink'), '#warnzeichen')
+        }));
+
+        this.showStep(I18n.t('symptom.results'), [list, appointment, this.createRestart()]);
+    },
+
+    showEmergency() {
+        const emergency = Locations.get('sanitaet');
+        const nodes = [Utils.createElement('p', null, I18n.t('symptom.emergencyText'))];
+
+        if (emergency) {
+            nodes.push(this.createLink(
+                I18n.t('symptom.call', { name: emergency.name, phone: Locations.formatPhone(emergency.phone) }),
+                `tel:${emergency.phone}`,
+                'btn btn-primary symptom-emergency-call'
+            ));
+        }
+        const more = Utils.createElement('p', 'symptom-note');
+        more.appendChild(this.createLink(I18n.t('symptom.moreNumbers'), '#warnzeichen'));
+        nodes.push(more, this.createRestart());
+
+        this.showStep(I18n.t('symptom.emergencyTitle'), nodes);
+        if (this.redFlags) this.redFlags.classList.add('is-highlighted');
+    }
+};
+
+export default SymptomNavigator;
@@ -0,0 +1,100 @@
+import { CONFIG } from '../core/config.js';
+import { I18n } from '../core/i18n.js';
+import { Locations } from '../core/locations.js';
+import { Utils } from '../core/utils.js';
+import { Dialog } from '../lib/dialog.js';
+
+// Team page: the "Mehr erfahren" buttons open the biography of a member in the dialog.
+// Biographies are read from data/team.json, the same file scripts/build-team.js builds the cards from.
+// An open biography is linkable as team.html#bio-<id>, the blog author bylines point there.
+const Team = {
+    hashPrefix: 'bio-',
+
+    init() {
+        if (!document.querySelector('[data-team-member]')) return;
+
+        this.bindEvents();
+        this.openFromHash();
+    },
+
+    bindEvents() {
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-team-member]');
+            if (button) this.open(button.dataset.teamMember, button);
+        });
+
+        window.addEventListener('hashchange', () => this.openFromHash());
+    },
+
+    openFromHash() {
+        const hash = window.location.hash.slice(1);
+        if (hash.startsWith(this.hashPrefix)) this.open(hash.slice(this.hashPrefix.length));
+    },
+
+    loadMembers() {
+        if (!this.loading) {
+            this.loading = fetch(Utils.sitePath(CONFIG.teamDataUrl))
+                .then(response => {
+                    if (!response.ok) throw new Error(`Team data returned ${response.status}`);
+                    return response.json();
+                })
+                .then(data => new Map(data.members.map(member => [member.id, member])))
+                .catch(error => {
+                    // Allow another attempt on the next click
+                    this.loading = null;
+                    throw error;
+                });
+        }
+        return this.loading;
+    },
+
+    async open(memberId, trigger) {
+        let member;
+
+        try {
+            member = (await this.loadMembers()).get(memberId);
+        } catch (error) {
+            console.warn('Team data could not be loaded:', error);
+            Utils.announceToScreenReader(I18n.t('team.loadError'));
+            return;
+        }
+
+        if (!member || !member.biography) return;
+
+        Dialog.open({
+            content: this.renderBiography(member),
+            hash: this.hashPrefix + member.id,
+            // Opened from a link, focus lands on the card's button when the dialog closes
+            returnFocus: trigger || document.querySelector(`[data-team-member="${member.id}"]`)
+        });
+    },
+
+    renderBiography(member) {
+        const biography = member.biography;
+
+        const header = Utils.createElement('div', 'biography-header');
+        header.append(Dialog.heading(biography.name || member.name), Utils.createElement('p', 'biography-title', biography.title));
+        if (biography.approbation) {
+            header.appendChild(Utils.createElement('p', 'biography-approbation', I18n.t('team.approbation', { year: biography.approbation })));
+        }
+
+        const sections = biography.sections.map(section => {
+            const container = Utils.createElement('div', 'biography-section');
+            const list = Utils.createElement('ul', `${section.list}-list`);
+            list.append(...section.items.map(item => Utils.createElement('li', null, item)));
+            container.append(Utils.createElement('h3', null, section.title), list);
+            return container;
+        });
+
+        // Call the main location, or go to the contact page while the location data is missing
+        const mainLocation = Locations.get('main');
+        const contact = Utils.createElement('div', 'biography-contact');
+        const appointmentLink = Utils.createElement('a', 'btn btn-primary', I18n.t('team.appointment'));
+        appointmentLink.href = mainLocation ? `tel:${mainLocation.phone}` : Utils.sitePath('kontakt.html');
+        contact.appendChild(appointmentLink);
+
+        return [header, ...sections, contact];
+    }
+};
+
+export default Team;
@@ -0,0 +1,87 @@
+import { CONFIG } from '../core/config.js';
+import { I18n } from '../core/i18n.js';
+import { Utils } from '../core/utils.js';
+
+// Condition pages and blog articles: the generated table of contents stays next to the
+// text on wide screens and marks the section being read, every section heading gets a
+// button that copies a link to it, and a bar at the top shows the reading progress.
+const TableOfContents = {
+    init() {
+        this.content = document.querySelector('[data-toc-content]');
+        if (!this.content) return;
+
+        this.headings = [...this.content.querySelectorAll('h2[id]')];
+        this.toc = document.querySelector('.table-of-contents');
+
+        if (this.toc) {
+            this.toc.closest('.toc-layout').classList.add('has-toc');
+            this.links = new Map([...this.toc.querySelectorAll('a[href^="#"]')]
+                .map(link => [link.getAttribute('href').slice(1), link]));
+        }
+
+        this.headings.forEach(heading => this.addAnchor(heading));
+        this.createProgressBar();
+
+        const update = Utils.throttle(() => this.update(), 100);
+        window.addEventListener('scroll', update, { passive: true });
+        window.addEventListener('resize', update);
+        this.update();
+    },
+
+    addAnchor(heading) {
+        const button = Utils.createElement('button', 'heading-anchor', '#');
+        button.type = 'button';
+        button.setAttribute('aria-label', I18n.t('toc.copy', { title: heading.textContent }));
+        button.addEventListener('click', () => this.copyLink(heading, button));
+        heading.appendChild(button);
+    },
+
+    async copyLink(heading, button) {
+        const url = `${window.location.origin}${window.location.pathname}${window.location.search}#${heading.id}`;
+        history.replaceState(null, '', `#${heading.id}`);
+
+        try {
+            await navigator.clipboard.writeText(url);
+            Utils.announceToScreenReader(I18n.t('toc.copied'));
+            button.classList.add('is-copied');
+            setTimeout(() => button.classList.remove('is-copied'), 2000);
+        } catch (error) {
+            // Without clipboard access the link is at least in the address bar
+            Utils.announceToScreenReader(I18n.t('toc.addressBar'));
+        }
+    },
+
+    createProgressBar() {
+        const track = Utils.createElement('div', 'reading-progress');
+        track.setAttribute('aria-hidden', 'true');
+        this.progressBar = Utils.createElement('div', 'reading-progress-bar');
+        track.appendChild(this.progressBar);
+        document.body.appendChild(track);
+    },
+
+    update() {
+        // Progress runs from the start of the text until its end reaches the bottom of the window
+        const bounds = this.content.getBoundingClientRect();
+        const distance = bounds.height - window.innerHeight;
+        const progress = distance > 0 ? Math.min(Math.max(-bounds.top / distance, 0), 1) : (bounds.top < 0 ? 1 : 0);
+        this.progressBar.style.transform = `scaleX(${progress})`;
+
+        if (!this.links) return;
+
+        // The current section is the last one whose heading has passed below the header
+        const headerHeight = document.querySelector('.header')?.offsetHeight || CONFIG.scrollOffset;
+        const current = this.headings.filter(heading => heading.getBoundingClientRect().top <= headerHeight + 30).pop();
+
+        this.links.forEach((link, id) => {
+            const active = Boolean(current) && current.id === id;
+            link.classList.toggle('active', active);
+            if (active) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    }
+};
+
+export default TableOfContents;
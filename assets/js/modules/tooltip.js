@@ -0,0 +1,63 @@
+// Tooltip Module
+// Shows the text of data-tooltip next to an element on hover and focus. The element
+// loads the module itself: <button data-tooltip="..." data-module="tooltip">
+const Tooltip = {
+    init(elements) {
+        elements.forEach(element => {
+            element.addEventListener('mouseenter', (e) => {
+                this.showTooltip(e.target);
+            });
+            
+            element.addEventListener('mouseleave', (e) => {
+                this.hideTooltip(e.target);
+            });
+            
+            element.addEventListener('focus', (e) => {
+                this.showTooltip(e.target);
+            });
+            
+            element.addEventListener('blur', (e) => {
+                this.hideTooltip(e.target);
+            });
+        });
+    },
+
+    showTooltip(element) {
+        const tooltipText = element.getAttribute('data-tooltip');
+        if (!tooltipText) return;
+        
+        // Remove existing tooltip
+        this.hideTooltip(element);
+        
+        const tooltip = document.createElement('div');
+        tooltip.className = 'tooltip-active';
+        tooltip.textContent = tooltipText;
+        document.body.appendChild(tooltip);
+        
+        // Position tooltip, the look comes from .tooltip-active in style.css
+        const rect = element.getBoundingClientRect();
+        tooltip.style.left = rect.left + rect.width / 2 + 'px';
+        tooltip.style.top = rect.top + 'px';
+        
+        // Fade in
+        requestAnimationFrame(() => {
+            tooltip.classList.add('is-visible');
+        });
+        
+        element._tooltip = tooltip;
+    },
+
+    hideTooltip(element) {
+        if (element._tooltip) {
+            element._tooltip.classList.remove('is-visible');
+            setTimeout(() => {
+                if (element._tooltip && element._tooltip.parentNode) {
+                    element._tooltip.parentNode.removeChild(element._tooltip);
+                }
+                element._tooltip = null;
+            }, 300);
+        }
+    }
+};
+
+export default Tooltip;
@@ -0,0 +1,257 @@
+import { CONFIG } from '../core/config.js';
+import { I18n } from '../core/i18n.js';
+import { Utils } from '../core/utils.js';
+import { FormSubmission } from '../lib/submission.js';
+import { Validation } from '../lib/validation.js';
+import FormHandler from './form.js';
+
+// File Upload Module
+// A file input with data-upload="<name>" uploads every chosen file right away to
+// CONFIG.uploadEndpoint (or the input's data-endpoint) and lists it with its progress in
+// [data-upload-list="<name>"]. Each finished upload adds a hidden <name> field with the id
+// the server returned, so the form sends the ids instead of the files. Type (accept), size
+// (data-max-size in bytes) and count (data-max-files) are checked before uploading. The
+// 'uploads' rule holds the submission back until all listed files are uploaded.
+const FileUpload = {
+    // List element and uploads of each input, in the order the files were chosen
+    states: new WeakMap(),
+
+    init() {
+        Validation.register('uploads', { checkEmpty: true, validate: (value, field) => this.validate(field) });
+        document.querySelectorAll('input[type="file"][data-upload]').forEach(input => this.setup(input));
+    },
+
+    setup(input) {
+        const list = document.querySelector(`[data-upload-list="${input.dataset.upload}"]`);
+        if (!list) return;
+
+        this.states.set(input, { list, uploads: [] });
+
+        input.addEventListener('change', () => {
+            this.addFiles(input, Array.from(input.files));
+            // Cleared so a removed file can be chosen again
+            input.value = '';
+        });
+
+        // A successful submission resets the form, the uploads belong to it
+        if (input.form) input.form.addEventListener('reset', () => this.clear(input));
+    },
+
+    addFiles(input, files) {
+        const state = this.states.get(input);
+        const maxFiles = Number(input.dataset.maxFiles) || Infinity;
+
+        files.forEach(file => {
+            const upload = { input, file, id: null, status: 'uploading', request: null, settled: Promise.resolve() };
+            const accepted = state.uploads.filter(entry => entry.status !== 'rejected').length;
+            const error = accepted >= maxFiles ? I18n.t('upload.count', { max: maxFiles }) : this.checkFile(input, file);
+
+            state.uploads.push(upload);
+            upload.element = this.renderItem(upload);
+            state.list.appendChild(upload.element);
+
+            if (error) {
+                this.reject(upload, error);
+            } else {
+                this.send(upload);
+            }
+        });
+    },
+
+    // Message why a file cannot be uploaded, or null
+    checkFile(input, file) {
+        const types = input.accept.split(',').map(type => type.trim()).filter(Boolean);
+        const name = file.name.toLowerCase();
+        const typeAllowed = !types.length || types.some(type => {
+            if (type.startsWith('.')) return name.endsWith(type.toLowerCase());
+            if (type.endsWith('/*')) return file.type.startsWith(type.slice(0, -1));
+            return file.type === type;
+        });
+
+        if (!typeAllowed) return I18n.t('upload.type', { types: this.describeTypes(types) });
+
+        const maxSize = Number(input.dataset.maxSize);
+        if (maxSize && file.size > maxSize) return I18n.t('upload.size', { max: this.formatSize(maxSize) });
+        if (!file.size) return I18n.t('upload.empty');
+        return null;
+    },
+
+    // "application/pdf,image/jpeg" -> "PDF, JPEG"
+    describeTypes(types) {
+        const names = types.map(type => (type.startsWith('.') ? type.slice(1) : type.split('/')[1]).toUpperCase());
+        return [...new Set(names)].join(', ');
+    },
+
+    formatSize(bytes) {
+        if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+        return `${(bytes / (1024 * 1024)).toLocaleString(I18n.locale, { maximumFractionDigits: 1 })} MB`;
+    },
+
+    renderItem(upload) {
+        const { name } = upload.file;
+        const item = Utils.createElement('li', 'upload-item');
+
+        const details = Utils.createElement('div', 'upload-details');
+        details.append(
+            Utils.createElement('span', 'upload-name', name),
+            Utils.createElement('span', 'upload-size', this.formatSize(upload.file.size))
+        );
+
+        upload.progress = Utils.createElement('progress', 'upload-progress');
+        upload.progress.max = 100;
+        upload.progress.value = 0;
+        upload.progress.setAttribute('aria-label', name);
+
+        upload.statusText = Utils.createElement('span', 'upload-status');
+
+        upload.retryButton = this.createButton(I18n.t('upload.retry'), I18n.t('upload.retryLabel', { name }), () => this.send(upload));
+        const removeButton = this.createButton(I18n.t('upload.remove'), I18n.t('upload.removeLabel', { name }), () => this.remove(upload));
+
+        const actions = Utils.createElement('div', 'upload-actions');
+        actions.append(upload.retryButton, removeButton);
+
+        item.append(details, upload.progress, upload.statusText, actions);
+        return item;
+    },
+
+    createButton(text, label, onClick) {
+        const button = Utils.createElement('button', 'btn-link', text);
+        button.type = 'button';
+        button.setAttribute('aria-label', label);
+        button.addEventListener('click', onClick);
+        return button;
+    },
+
+    setStatus(upload, status, text) {
+        upload.status = status;
+        upload.element.dataset.status = status;
+        upload.statusText.textContent = text;
+        upload.progress.hidden = status !== 'uploading';
+        upload.retryButton.hidden = status !== 'failed';
+    },
+
+    // XMLHttpRequest instead of fetch, only it reports the upload progress
+    send(upload) {
+        const { input, file } = upload;
+        const request = new XMLHttpRequest();
+
+        upload.request = request;
+        upload.progress.value = 0;
+        this.setStatus(upload, 'uploading', I18n.t('upload.progress', { percent: 0 }));
+
+        upload.settled = new Promise(resolve => {
+            request.upload.addEventListener('progress', (e) => {
+                if (!e.lengthComputable) return;
+                const percent = Math.round((e.loaded / e.total) * 100);
+                upload.progress.value = percent;
+                upload.statusText.textContent = I18n.t('upload.progress', { percent });
+            });
+
+            request.addEventListener('load', () => {
+                this.handleResponse(upload, request);
+                resolve();
+            });
+            request.addEventListener('error', () => {
+                this.fail(upload, I18n.t(FormSubmission.messages.network));
+                resolve();
+            });
+            request.addEventListener('timeout', () => {
+                this.fail(upload, I18n.t(FormSubmission.messages.timeout));
+                resolve();
+            });
+            // Removed by the user, nothing left to report
+            request.addEventListener('abort', resolve);
+        });
+
+        request.open('POST', input.dataset.endpoint || CONFIG.uploadEndpoint);
+        request.timeout = CONFIG.uploadTimeout;
+        request.setRequestHeader('Accept', 'application/json');
+        request.setRequestHeader('Content-Type', file.type || 'application/octet-stream');
+        request.setRequestHeader('X-File-Name', encodeURIComponent(file.name));
+        request.send(file);
+    },
+
+    handleResponse(upload, request) {
+        let response = {};
+        try {
+            response = JSON.parse(request.responseText);
+        } catch (error) {
+            // Answered without a body, treated like any other server error below
+        }
+
+        if (request.status >= 200 && request.status < 300 && response.id) {
+            this.complete(upload, response.id);
+        } else if (request.status === 413) {
+            this.reject(upload, I18n.t('upload.size', { max: this.formatSize(Number(upload.input.dataset.maxSize) || upload.file.size) }));
+        } else if (request.status >= 400 && request.status < 500) {
+            // Client errors fail again on retry, like in FormSubmission
+            this.reject(upload, I18n.t('upload.refused'));
+        } else {
+            this.fail(upload, I18n.t('upload.failed'));
+        }
+    },
+
+    complete(upload, id) {
+        upload.id = id;
+        this.setStatus(upload, 'done', I18n.t('upload.done'));
+
+        const field = document.createElement('input');
+        field.type = 'hidden';
+        field.name = upload.input.dataset.upload;
+        field.value = id;
+        upload.element.appendChild(field);
+
+        Utils.announceToScreenReader(I18n.t('upload.announceDone', { name: upload.file.name }));
+        this.revalidate(upload.input);
+    },
+
+    // Network and server errors can be retried
+    fail(upload, message) {
+        this.setStatus(upload, 'failed', message);
+        Utils.announceToScreenReader(I18n.t('upload.announceFailed', { name: upload.file.name, message }));
+        this.revalidate(upload.input);
+    },
+
+    // The file itself is not accepted, only removing it helps
+    reject(upload, message) {
+        this.setStatus(upload, 'rejected', message);
+        Utils.announceToScreenReader(I18n.t('upload.announceFailed', { name: upload.file.name, message }));
+        this.revalidate(upload.input);
+    },
+
+    remove(upload) {
+        const state = this.states.get(upload.input);
+        if (upload.request) upload.request.abort();
+
+        upload.element.remove();
+        state.uploads.splice(state.uploads.indexOf(upload), 1);
+
+        upload.input.focus();
+        this.revalidate(upload.input);
+    },
+
+    clear(input) {
+        const state = this.states.get(input);
+        state.uploads.forEach(upload => {
+            if (upload.request) upload.request.abort();
+        });
+        state.uploads = [];
+        state.list.textContent = '';
+    },
+
+    // An error shown for the input is updated as soon as the uploads change
+    revalidate(input) {
+        if (input.classList.contains('error')) FormHandler.validateField(input);
+    },
+
+    async validate(input) {
+        const state = this.states.get(input);
+        if (!state) return null;
+
+        // A submission waits for the uploads still running
+        await Promise.all(state.uploads.map(upload => upload.settled));
+        return state.uploads.every(upload => upload.status === 'done') ? null : I18n.t('form.uploads');
+    }
+};
+
+export default FileUpload;
@@ -0,0 +1,255 @@
+import { I18n } from '../core/i18n.js';
+import { Locations } from '../core/locations.js';
+import { Utils } from '../core/utils.js';
+import { Validation } from '../lib/validation.js';
+import FormHandler from './form.js';
+
+// Appointment Request Wizard Module
+const AppointmentWizard = {
+    weekdays: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+
+    init() {
+        this.form = document.querySelector('form[data-wizard]');
+        if (!this.form) return;
+
+        this.cacheElements();
+        this.registerValidators();
+        this.bindEvents();
+        this.showStep(0, false);
+    },
+
+    cacheElements() {
+        this.stepElements = Array.from(this.form.querySelectorAll('.wizard-step'));
+        this.prevButton = this.form.querySelector('[data-wizard-prev]');
+        this.nextButton = this.form.querySelector('[data-wizard-next]');
+        this.submitButton = this.form.querySelector('button[type="submit"]');
+        this.summary = this.form.querySelector('[data-wizard-summary]');
+        this.locationField = this.form.querySelector('[name="location"]');
+    },
+
+    registerValidators() {
+        Validation.register('appointment-date', (value) => this.validateDate(value));
+        Validation.register('appointment-time', (value, field) => this.validateTime(field, value));
+    },
+
+    bindEvents() {
+        this.nextButton.addEventListener('click', () => this.next());
+        this.prevButton.addEventListener('click', () => this.showStep(this.currentStep - 1));
+
+        // Re-check preferred times when the location changes
+        if (this.locationField) {
+            this.locationField.addEventListener('change', () => {
+                this.form.querySelectorAll('[data-validate^="appointment-"]').forEach(field => {
+                    if (field.value) FormHandler.validateField(field);
+                });
+            });
+        }
+
+        // Enter advances the wizard instead of submitting incomplete steps
+        this.form.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.tagName === 'INPUT' && !this.isLastStep()) {
+                e.preventDefault();
+                this.next();
+            }
+        });
+
+        // Edit links in the summary jump back to their step
+        this.summary.addEventListener('click', (e) => {
+            const editButton = e.target.closest('[data-edit-step]');
+            if (editButton) {
+                this.showStep(Number(editButton.dataset.editStep));
+            }
+        });
+
+        // Start over after a successful submission resets the form
+        this.form.addEventListener('reset', () => {
+            setTimeout(() => this.showStep(0, false), 0);
+        });
+    },
+
+    isLastStep() {
+        return this.currentStep === this.stepElements.length - 1;
+    },
+
+    async next() {
+        if (!await this.validateStep(this.currentStep)) return;
+
+        if (this.currentStep + 1 === this.stepElements.length - 1) {
+            this.renderSummary();
+        }
+        this.showStep(this.currentStep + 1);
+    },
+
+    showStep(index, moveFocus = true) {
+        this.currentStep = Math.max(0, Math.min(index, this.stepElements.length - 1));
+
+        this.stepElements.forEach((step, stepIndex) => {
+            step.hidden = stepIndex !== this.currentStep;
+        });
+
+        this.prevButton.hidden = this.currentStep === 0;
+        this.nextButton.hidden = this.isLastStep();
+        this.submitButton.hidden = !this.isLastStep();
+
+        this.form.dataset.currentStep = this.currentStep;
+        FormHandler.updateProgress();
+
+        if (moveFocus) {
+            const step = this.stepElements[this.currentStep];
+            const legend = step.querySelector('legend');
+            Utils.announceToScreenReader(I18n.t('wizard.step', {
+                step: this.currentStep + 1,
+                total: this.stepElements.length,
+                title: legend ? legend.textContent : ''
+            }));
+
+            const firstField = step.querySelector('input, select, textarea');
+            if (firstField) {
+                Utils.setFocusWithDelay(firstField);
+            }
+        }
+    },
+
+    async validateStep(index) {
+        const fields = FormHandler.getCheckedFields(this.stepElements[index]);
+        const results = await Promise.all(fields.map(field => FormHandler.validateField(field)));
+        const firstInvalid = fields[results.indexOf(false)];
+
+        if (firstInvalid) {
+            Utils.setFocusWithDelay(firstInvalid);
+            return false;
+        }
+        return true;
+    },
+
+    getLocation() {
+        return Locations.getLocations()[this.locationField ? this.locationField.value : ''] || null;
+    },
+
+    // Opening hours of a date at the selected location, or of any location if none is selected yet
+    getHoursForDate(date) {
+        const weekday = this.weekdays[date.getDay()];
+        const location = this.getLocation();
+
+        if (location) {
+            return location.openingHours[weekday] || [];
+        }
+        return Object.values(Locations.getLocations()).flatMap(entry => entry.openingHours[weekday] || []);
+    },
+
+    formatHours(hours) {
+        return hours.map(([start, end]) => `${start}–${end}`).join(I18n.t('hours.join'));
+    },
+
+    // Day of the week of a Date, getDay() counts from Sunday
+    getWeekdayName(date) {
+        return I18n.t(`day.${this.weekdays[date.getDay()]}`);
+    },
+
+    getLocationName() {
+        const location = this.getLocation();
+        return location ? location.name : I18n.t('wizard.practice');
+    },
+
+    validateDate(value) {
+        const date = Utils.parseDate(value);
+        const day = date.getDay();
+
+        if (day === 0 || day === 6) {
+            return I18n.t('wizard.weekend');
+        }
+
+        // Without the location data the hours are unknown, the practice checks the request anyway
+        if (!Locations.data) return null;
+
+        if (!this.getHoursForDate(date).length) {
+            return I18n.t('wizard.closedOnDay', { location: this.getLocationName(), weekday: this.getWeekdayName(date) });
+        }
+
+        return null;
+    },
+
+    validateTime(field, value) {
+        const dateField = this.form.querySelector(`#${field.dataset.dateField}`);
+        if (!Locations.data || !dateField || !dateField.value || this.validateDate(dateField.value)) {
+            // The date itself is reported by its own field
+            return null;
+        }
+
+        const date = Utils.parseDate(dateField.value);
+        const hours = this.getHoursForDate(date);
+        const minutes = Utils.timeToMinutes(value);
+
+        const isOpen = hours.some(([start, end]) => minutes >= Utils.timeToMinutes(start) && minutes < Utils.timeToMinutes(end));
+        if (isOpen) return null;
+
+        const params = { location: this.getLocationName(), weekday: this.getWeekdayName(date), hours: this.formatHours(hours) };
+        const closesAtNoon = hours.every(([, end]) => Utils.timeToMinutes(end) <= 12 * 60);
+
+        if (closesAtNoon && minutes >= 12 * 60) {
+            return I18n.t('wizard.closedAfternoon', params);
+        }
+        return I18n.t('wizard.outsideHours', params);
+    },
+
+    // Label text without the required marker and the "(optional)" note, in whatever language
+    getFieldLabel(field) {
+        const label = field.labels && field.labels[0];
+        if (!label) return field.name;
+
+        const copy = label.cloneNode(true);
+        copy.querySelectorAll('.optional').forEach(element => element.remove());
+        return copy.textContent.replace(/\*/g, '').trim();
+    },
+
+    getFieldDisplayValue(field) {
+        if (field.tagName === 'SELECT') {
+            return field.value ? field.options[field.selectedIndex].textContent : '';
+        }
+        if (field.type === 'date' && field.value) {
+            const date = Utils.parseDate(field.value);
+            return I18n.t('wizard.date', { weekday: this.getWeekdayName(date), date: date.toLocaleDateString(I18n.locale) });
+        }
+        if (field.type === 'checkbox') {
+            return field.checked ? I18n.t('wizard.yes') : '';
+        }
+        return field.value.trim();
+    },
+
+    // Build the summary with DOM methods so user input is never parsed as HTML
+    renderSummary() {
+        this.summary.textContent = '';
+
+        this.stepElements.slice(0, -1).forEach((step, index) => {
+            const section = document.createElement('div');
+            section.className = 'wizard-summary-section';
+
+            const heading = document.createElement('h4');
+            heading.textContent = step.querySelector('legend').textContent;
+
+            const editButton = document.createElement('button');
+            editButton.type = 'button';
+            editButton.className = 'btn-link';
+            editButton.dataset.editStep = index;
+            editButton.textContent = I18n.t('wizard.edit');
+            heading.appendChild(editButton);
+
+            const list = document.createElement('dl');
+            step.querySelectorAll('input, select, textarea').forEach(field => {
+                const value = this.getFieldDisplayValue(field);
+                if (!value) return;
+
+                const term = document.createElement('dt');
+                term.textContent = this.getFieldLabel(field);
+                const description = document.createElement('dd');
+                description.textContent = value;
+                list.append(term, description);
+            });
+
+            section.append(heading, list);
+            this.summary.appendChild(section);
+        });
+    }
+};
+
+export default AppointmentWizard;
@@ -0,0 +1,676 @@
+#!/usr/bin/env node
+/**
+ * Neurologie Zentralschweiz AG Website - Blog generator
+ * Renders the Markdown articles in content/blog/ into blog/artikel/ using
+ * blog/artikel-template.html, and regenerates data/blog.json, the article
+ * cards in blog/index.html and the Atom and JSON feeds, newest first.
+ *
+ * Usage:
+ *   node scripts/build-blog.js [--check]
+ *
+ *   --check    only compare, exit with an error if a generated file is out of date
+ *
+ * The generated feeds are validated, and every page must advertise them with
+ * <link rel="alternate"> elements pointing to blog/feed.xml and blog/feed.json.
+ *
+ * Each article is a file content/blog/<slug>.md that starts with a frontmatter block:
+ *   ---
+ *   title: Titel des Artikels
+ *   date: 2024-01-15                publication date, YYYY-MM-DD
+ *   updated: 2024-02-01             optional, date of the last content change
+ *   category: diagnostik            one of CATEGORIES
+ *   author: uta-kliesch             id of a member with a biography in data/team.json
+ *   tags: Migräne, Kopfschmerzen    optional, comma separated
+ *   image: assets/images/blog/x.jpg optional, requires imageAlt
+ *   imageAlt: Beschreibung des Bildes
+ *   summary: Anriss für Übersicht, Artikelkopf und Meta-Beschreibung
+ *   ---
+ *
+ * Markdown in the article body (blocks are separated by blank lines):
+ *   ## Heading / ### Subheading       h2 headings make up the table of contents
+ *   - Item / 1. Item                  unordered / ordered list
+ *   > Text                            quote, a last paragraph starting with "— " names the source
+ *   :::hinweis Title ... :::          highlighted box
+ *   **bold**, *italic*, [Text](url)   within a line, relative links start from blog/artikel/
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml, escapeAttribute, formatDate, slugify, fillTemplate } = require('./lib/html');
+const { renderAtom, renderJsonFeed, validateAtom, validateJsonFeed } = require('./lib/feeds');
+const { loadTeam } = require('./lib/team');
+const { renderPicture } = require('./lib/images');
+const { readText, isOutdated, writeText } = require('./lib/files');
+
+const ROOT = path.resolve(__dirname, '..');
+const CONTENT_DIR = path.join(ROOT, 'content', 'blog');
+const TEMPLATE_FILE = path.join(ROOT, 'blog', 'artikel-template.html');
+const ARTICLES_DIR = path.join(ROOT, 'blog', 'artikel');
+const INDEX_FILE = path.join(ROOT, 'blog', 'index.html');
+const MANIFEST_FILE = path.join(ROOT, 'data', 'blog.json');
+const TEAM_FILE = path.join(ROOT, 'data', 'team.json');
+const ATOM_FILE = path.join(ROOT, 'blog', 'feed.xml');
+const JSON_FEED_FILE = path.join(ROOT, 'blog', 'feed.json');
+
+const SITE_URL = 'https://neurologie-schwyz.ch';
+const DEFAULT_IMAGE = 'assets/images/praxis.jpg';
+
+const FEED = {
+    title: 'Neurologie Zentralschweiz AG – Blog',
+    description: 'Informative Artikel über neurologische Gesundheit und Neuigkeiten aus unserer Praxis',
+    homeUrl: `${SITE_URL}/blog/index.html`,
+    atomUrl: `${SITE_URL}/blog/feed.xml`,
+    jsonUrl: `${SITE_URL}/blog/feed.json`,
+    author: 'Neurologie Zentralschweiz AG'
+};
+
+// Directories without pages of their own, templates/ only holds page shells
+const SKIPPED_DIRS = ['.git', 'node_modules', 'templates', 'content', 'data', 'scripts'];
+
+const CATEGORIES = {
+    diagnostik: 'Diagnostik',
+    therapie: 'Therapie',
+    praevention: 'Prävention',
+    neuigkeiten: 'Neuigkeiten'
+};
+
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const REQUIRED_FIELDS = ['title', 'date', 'category', 'author', 'summary'];
+const OPTIONAL_FIELDS = ['updated', 'tags', 'image', 'imageAlt'];
+const BOX_TYPES = ['hinweis'];
+const INDEX_MARKERS = /(<!-- blog:start[^>]*-->\n)[\s\S]*?([ \t]*<!-- blog:end -->)/;
+const RELATED_LIMIT = 3;
+const WORDS_PER_MINUTE = 200;
+const INDENT = '    ';
+
+const checkOnly = process.argv.includes('--check');
+
+const errors = [];
+
+function indent(lines, depth = 1) {
+    return lines.map(line => line ? INDENT.repeat(depth) + line : line);
+}
+
+// Relative links must point to an existing file, or to another article of this build
+function checkLink(href, context, slugs) {
+    if (/^([a-z]+:|#)/i.test(href)) return;
+
+    const target = path.join(ARTICLES_DIR, href.replace(/[?#].*$/, ''));
+    const isArticle = path.dirname(target) === ARTICLES_DIR && slugs.has(path.basename(target, '.html'));
+
+    if (!isArticle && !fs.existsSync(target)) {
+        errors.push(`${context}: link target ${href} does not exist`);
+    }
+}
+
+function renderEmphasis(text, context) {
+    const html = escapeHtml(text)
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*(.+?)\*/g, '<em>$1</em>');
+
+    if (html.includes('*')) {
+        errors.push(`${context}: unclosed * or ** in "${text}"`);
+    }
+    return html;
+}
+
+// Escape a line and render emphasis and links
+function renderInline(text, context, slugs) {
+    const linkPattern = /\[([^\]]+)\]\(([^)\s]+)\)/g;
+    let html = '';
+    let last = 0;
+    let match;
+
+    while ((match = linkPattern.exec(text))) {
+        checkLink(match[2], context, slugs);
+        html += renderEmphasis(text.slice(last, match.index), context);
+        html += `<a href="${escapeAttribute(match[2])}">${renderEmphasis(match[1], context)}</a>`;
+        last = linkPattern.lastIndex;
+    }
+    return html + renderEmphasis(text.slice(last), context);
+}
+
+function isBlockStart(line) {
+    return /^(#{1,6} |> ?|:::|[-*] |\d+\. )/.test(line);
+}
+
+/**
+ * Render the Markdown body of an article into indented HTML lines.
+ * Collects the h2 headings for the table of contents on the way.
+ */
+function renderMarkdown(markdown, context, slugs, headings = null) {
+    const lines = markdown.split('\n');
+    const html = [];
+    const ids = new Set();
+    let index = 0;
+
+    const where = () => `${context}, line ${index + 1}`;
+    const inline = text => renderInline(text, where(), slugs);
+
+    while (index < lines.length) {
+        const line = lines[index];
+        let match;
+
+        if (!line.trim()) {
+            index++;
+            continue;
+        }
+
+        if ((match = line.match(/^(#{1,6}) (.+)$/))) {
+            const level = match[1].length;
+            if (level < 2 || level > 4) {
+                errors.push(`${where()}: use ## to #### for headings, the title comes from the frontmatter`);
+            }
+
+            if (level === 2 && headings) {
+                const base = slugify(match[2].replace(/\*/g, ''));
+                let id = base;
+                for (let count = 2; ids.has(id); count++) id = `${base}-${count}`;
+                ids.add(id);
+                headings.push({ id, text: match[2] });
+                // Blank line before each section, unless it is the first one
+                if (html.length) html.push('');
+                html.push(`<h2 id="${id}">${inline(match[2])}</h2>`);
+            } else {
+                html.push(`<h${level}>${inline(match[2])}</h${level}>`);
+            }
+            index++;
+            continue;
+        }
+
+        if ((match = line.match(/^:::(\w*)\s*(.*)$/))) {
+            const start = index;
+            const type = match[1];
+            const title = match[2].trim();
+
+            if (!BOX_TYPES.includes(type)) {
+                errors.push(`${where()}: unknown box type ":::${type}", use one of ${BOX_TYPES.map(name => `:::${name}`).join(', ')}`);
+            }
+
+            index++;
+            while (index < lines.length && lines[index].trim() !== ':::') index++;
+            if (index === lines.length) {
+                errors.push(`${context}, line ${start + 1}: box is not closed with :::`);
+            }
+
+            // Keep the lines before the box empty, so errors inside report the line in the file
+            const content = '\n'.repeat(start + 1) + lines.slice(start + 1, index).join('\n');
+            html.push('<div class="article-highlight">');
+            if (title) html.push(`${INDENT}<h3>${renderInline(title, `${context}, line ${start + 1}`, slugs)}</h3>`);
+            html.push(...indent(renderMarkdown(content, context, slugs)));
+            html.push('</div>');
+            index++;
+            continue;
+        }
+
+        if (/^> ?/.test(line)) {
+            const paragraphs = [[]];
+            while (index < lines.length && /^> ?/.test(lines[index])) {
+                const text = lines[index].replace(/^> ?/, '').trim();
+                if (text) {
+                    paragraphs[paragraphs.length - 1].push(inline(text));
+                } else if (paragraphs[paragraphs.length - 1].length) {
+                    paragraphs.push([]);
+                }
+                index++;
+            }
+
+            const texts = paragraphs.filter(paragraph => paragraph.length).map(paragraph => paragraph.join(' '));
+            const source = texts.length > 1 && /^— /.test(texts[texts.length - 1]) ? texts.pop() : null;
+
+            html.push('<blockquote class="article-quote">');
+            texts.forEach(text => html.push(`${INDENT}<p>${text}</p>`));
+            if (source) html.push(`${INDENT}<cite>${source}</cite>`);
+            html.push('</blockquote>');
+            continue;
+        }
+
+        if ((match = line.match(/^([-*]|\d+\.) /))) {
+            const ordered = /\d/.test(match[1]);
+            const itemPattern = ordered ? /^\d+\. +(.*)$/ : /^[-*] +(.*)$/;
+            const items = [];
+
+            while (index < lines.length && lines[index].trim()) {
+                const itemMatch = lines[index].match(itemPattern);
+                if (itemMatch) {
+                    items.push({ text: itemMatch[1], line: index });
+                } else if (/^\s+\S/.test(lines[index])) {
+                    // Indented lines continue the previous item
+                    items[items.length - 1].text += ' ' + lines[index].trim();
+                } else {
+                    break;
+                }
+                index++;
+            }
+
+            html.push(ordered ? '<ol>' : '<ul class="article-list">');
+            items.forEach(item => {
+                html.push(`${INDENT}<li>${renderInline(item.text, `${context}, line ${item.line + 1}`, slugs)}</li>`);
+            });
+            html.push(ordered ? '</ol>' : '</ul>');
+            continue;
+        }
+
+        const start = index;
+        const paragraph = [];
+        while (index < lines.length && lines[index].trim() && (index === start || !isBlockStart(lines[index]))) {
+            paragraph.push(lines[index].trim());
+            index++;
+        }
+        html.push(`<p>${renderInline(paragraph.join(' '), `${context}, line ${start + 1}`, slugs)}</p>`);
+    }
+
+    return html;
+}
+
+function parseArticle(file) {
+    const source = fs.readFileSync(path.join(CONTENT_DIR, file), 'utf8').replace(/\r\n/g, '\n');
+    const match = source.match(/^---\n([\s\S]*?)\n---\n/);
+    const article = { slug: path.basename(file, '.md'), file: `content/blog/${file}` };
+
+    if (!match) {
+        errors.push(`${article.file}: missing frontmatter block between --- lines`);
+        return null;
+    }
+
+    match[1].split('\n').forEach((line, index) => {
+        if (!line.trim()) return;
+
+        const field = line.match(/^(\w+):\s*(.*)$/);
+        if (!field) {
+            errors.push(`${article.file}, line ${index + 2}: expected "field: value"`);
+        } else if (!REQUIRED_FIELDS.includes(field[1]) && !OPTIONAL_FIELDS.includes(field[1])) {
+            errors.push(`${article.file}, line ${index + 2}: unknown field "${field[1]}"`);
+        } else if (field[1] in article) {
+            errors.push(`${article.file}, line ${index + 2}: duplicate field "${field[1]}"`);
+        } else {
+            article[field[1]] = field[2].trim();
+        }
+    });
+
+    article.tags = article.tags ? article.tags.split(',').map(tag => tag.trim()).filter(Boolean) : [];
+    // Frontmatter lines stay as empty lines, so line numbers in errors match the file
+    article.body = '\n'.repeat(match[0].split('\n').length - 1) + source.slice(match[0].length);
+    return article;
+}
+
+// Every team member with a biography can sign an article
+function loadAuthors() {
+    const authors = {};
+
+    loadTeam(TEAM_FILE, ROOT, errors)
+        .filter(member => member.biography)
+        .forEach(member => {
+            const skills = member.biography.sections.find(section => section.list === 'skills');
+            authors[member.id] = {
+                name: member.biography.name || member.name,
+                title: member.biography.title,
+                photo: member.photo,
+                // Deep link that opens the biography dialog on the team page
+                profile: `team.html#bio-${member.id}`,
+                skills: skills ? skills.items : []
+            };
+        });
+    return authors;
+}
+
+function validateArticle(article, authors) {
+    const missing = REQUIRED_FIELDS.filter(field => !article[field]);
+
+    if (missing.length) {
+        errors.push(`${article.file}: missing ${missing.join(', ')}`);
+        return false;
+    }
+    if (!SLUG_PATTERN.test(article.slug)) {
+        errors.push(`${article.file}: file name must be lowercase words separated by hyphens, without umlauts`);
+    }
+    ['date', 'updated'].forEach(field => {
+        if (article[field] && (!DATE_PATTERN.test(article[field]) || isNaN(new Date(article[field])))) {
+            errors.push(`${article.file}: ${field} must be YYYY-MM-DD`);
+        }
+    });
+    if (article.updated && article.updated < article.date) {
+        errors.push(`${article.file}: updated is before date`);
+    }
+    if (article.image && !fs.existsSync(path.join(ROOT, article.image))) {
+        errors.push(`${article.file}: image ${article.image} does not exist`);
+    }
+    if (article.image && !article.imageAlt) {
+        errors.push(`${article.file}: image needs an imageAlt text`);
+    }
+
+    // Without a known category and author the article cannot be rendered
+    if (!CATEGORIES[article.category]) {
+        errors.push(`${article.file}: unknown category "${article.category}", use one of ${Object.keys(CATEGORIES).join(', ')}`);
+    }
+    if (!authors[article.author]) {
+        errors.push(`${article.file}: unknown author "${article.author}", use one of ${Object.keys(authors).join(', ')}`);
+    }
+    return Boolean(CATEGORIES[article.category] && authors[article.author]);
+}
+
+function loadArticles(authors) {
+    const articles = fs.readdirSync(CONTENT_DIR)
+        .filter(name => name.endsWith('.md'))
+        .map(parseArticle)
+        .filter(article => article && validateArticle(article, authors));
+
+    // Newest first, articles of the same day alphabetically
+    return articles.sort((a, b) => b.date.localeCompare(a.date) || a.title.localeCompare(b.title, 'de'));
+}
+
+function readingTime(words) {
+    const minutes = Math.max(1, Math.ceil(words / WORDS_PER_MINUTE));
+    return minutes === 1 ? '1 Minute Lesezeit' : `${minutes} Minuten Lesezeit`;
+}
+
+function renderToc(headings) {
+    // A single section needs no table of contents
+    if (headings.length < 2) return [];
+
+    return [
+        '<nav class="table-of-contents" aria-labelledby="toc-title">',
+        `${INDENT}<h2 id="toc-title">Inhaltsverzeichnis</h2>`,
+        `${INDENT}<ul class="toc-list">`,
+        ...headings.map(heading => `${INDENT.repeat(2)}<li><a href="#${heading.id}">${renderEmphasis(heading.text, heading.id)}</a></li>`),
+        `${INDENT}</ul>`,
+        '</nav>'
+    ];
+}
+
+function renderTags(article) {
+    if (!article.tags.length) return [];
+
+    return [
+        '<div class="article-tags">',
+        `${INDENT}<h3>Schlagwörter</h3>`,
+        `${INDENT}<div class="tags-list">`,
+        ...article.tags.map(tag => `${INDENT.repeat(2)}<a href="../index.html?tag=${encodeURIComponent(tag)}" class="tag">${escapeHtml(tag)}</a>`),
+        `${INDENT}</div>`,
+        '</div>'
+    ];
+}
+
+function renderRelated(article, articles) {
+    const related = articles
+        .filter(other => other !== article && other.category === article.category)
+        .slice(0, RELATED_LIMIT);
+
+    if (!related.length) return [];
+
+    return [
+        '<div class="sidebar-card related-articles">',
+        `${INDENT}<h3>Verwandte Artikel</h3>`,
+        `${INDENT}<ul class="related-list">`,
+        ...indent(related.flatMap(other => [
+            '<li>',
+            `${INDENT}<a href="${other.slug}.html">`,
+            ...(other.image ? [`${INDENT.repeat(2)}<img src="../../${other.image}" alt="" loading="lazy">`] : []),
+            `${INDENT.repeat(2)}<div class="related-info">`,
+            `${INDENT.repeat(3)}<h4>${escapeHtml(other.title)}</h4>`,
+            `${INDENT.repeat(3)}<time datetime="${other.date}">${formatDate(other.date)}</time>`,
+            `${INDENT.repeat(2)}</div>`,
+            `${INDENT}</a>`,
+            '</li>'
+        ]), 2),
+        `${INDENT}</ul>`,
+        '</div>'
+    ];
+}
+
+// Previous is the next older article, next the next newer one
+function renderNavigation(article, articles) {
+    const position = articles.indexOf(article);
+    const links = [
+        { article: articles[position + 1], className: 'prev-article', label: '← Vorheriger Artikel' },
+        { article: articles[position - 1], className: 'next-article', label: 'Nächster Artikel →' }
+    ];
+
+    return links.filter(link => link.article).flatMap(link => [
+        `<div class="${link.className}">`,
+        `${INDENT}<a href="${link.article.slug}.html" class="nav-link">`,
+        `${INDENT.repeat(2)}<span class="nav-label">${link.label}</span>`,
+        `${INDENT.repeat(2)}<span class="nav-title">${escapeHtml(link.article.title)}</span>`,
+        `${INDENT}</a>`,
+        '</div>'
+    ]);
+}
+
+function renderStructuredData(article, author, words) {
+    const url = `${SITE_URL}/blog/artikel/${article.slug}.html`;
+    const data = {
+        '@context': 'https://schema.org',
+        '@type': 'Article',
+        headline: article.title,
+        description: article.summary,
+        image: `${SITE_URL}/${article.image || DEFAULT_IMAGE}`,
+        author: {
+            '@type': 'Person',
+            name: author.name,
+            jobTitle: author.title,
+            url: `${SITE_URL}/${author.profile}`
+        },
+        publisher: {
+            '@type': 'Organization',
+            name: 'Neurologie Schwyz',
+            logo: {
+                '@type': 'ImageObject',
+                url: `${SITE_URL}/assets/images/logo.png`
+            }
+        },
+        datePublished: article.date,
+        dateModified: article.updated || article.date,
+        mainEntityOfPage: {
+            '@type': 'WebPage',
+            '@id': url
+        },
+        articleSection: CATEGORIES[article.category],
+        keywords: article.tags.join(', '),
+        wordCount: words
+    };
+
+    // "<" is escaped so that text can never close the script element
+    return JSON.stringify(data, null, 4).replace(/</g, '\\u003c').split('\n');
+}
+
+function renderArticle(template, article, articles, authors, slugs) {
+    const author = authors[article.author];
+    const headings = [];
+    const body = renderMarkdown(article.body, article.file, slugs, headings);
+    const text = [article.summary, ...body].join(' ').replace(/<[^>]+>/g, ' ');
+    const words = text.split(/\s+/).filter(word => /\w/.test(word)).length;
+
+    return fillTemplate(template, {
+        title: escapeHtml(article.title),
+        summary: escapeAttribute(article.summary),
+        keywords: escapeAttribute([...article.tags, 'Neurologie', 'Zentralschweiz', 'Gesundheit'].join(', ')),
+        url: `${SITE_URL}/blog/artikel/${article.slug}.html`,
+        imageUrl: `${SITE_URL}/${article.image || DEFAULT_IMAGE}`,
+        date: article.date,
+        updated: article.updated || article.date,
+        dateFormatted: formatDate(article.date),
+        categoryLabel: CATEGORIES[article.category],
+        readingTime: readingTime(words),
+        authorName: escapeAttribute(author.name),
+        authorTitle: escapeHtml(author.title),
+        authorAvatar: renderPicture(author.photo, { alt: author.name, sizes: '60px', prefix: '../../' }),
+        authorCardImage: renderPicture(author.photo, { alt: author.name, sizes: '80px', prefix: '../../' }),
+        authorProfile: `../../${author.profile}`,
+        authorBio: author.skills.length ? [`<p class="author-card-bio">Schwerpunkte: ${escapeHtml(author.skills.join(', '))}</p>`] : [],
+        structuredData: renderStructuredData(article, author, words),
+        articleImage: article.image ? [
+            '<div class="article-image">',
+            `${INDENT}<img src="../../${article.image}" alt="${escapeAttribute(article.imageAlt)}">`,
+            '</div>'
+        ] : [],
+        toc: renderToc(headings),
+        body,
+        tags: renderTags(article),
+        related: renderRelated(article, articles),
+        articleNavigation: renderNavigation(article, articles)
+    });
+}
+
+// Same markup as Blog.renderCard in assets/js/modules/blog.js, which replaces these cards when filtering
+function renderCard(article, authors) {
+    const href = `artikel/${article.slug}.html`;
+    return [
+        `<article class="blog-card" data-category="${article.category}">`,
+        ...(article.image ? [
+            `${INDENT}<div class="blog-card-image">`,
+            `${INDENT.repeat(2)}<img src="../${article.image}" alt="${escapeAttribute(article.imageAlt)}" loading="lazy">`,
+            `${INDENT.repeat(2)}<div class="blog-category">${CATEGORIES[article.category]}</div>`,
+            `${INDENT}</div>`
+        ] : []),
+        `${INDENT}<div class="blog-card-content">`,
+        `${INDENT.repeat(2)}<div class="blog-meta">`,
+        `${INDENT.repeat(3)}<time datetime="${article.date}">${formatDate(article.date)}</time>`,
+        `${INDENT.repeat(3)}<span class="blog-author">${escapeHtml(authors[article.author].name)}</span>`,
+        `${INDENT.repeat(2)}</div>`,
+        `${INDENT.repeat(2)}<h3 class="blog-title">`,
+        `${INDENT.repeat(3)}<a href="${href}">${escapeHtml(article.title)}</a>`,
+        `${INDENT.repeat(2)}</h3>`,
+        `${INDENT.repeat(2)}<p class="blog-excerpt">${escapeHtml(article.summary)}</p>`,
+        ...(article.tags.length ? [
+            `${INDENT.repeat(2)}<ul class="blog-tags" aria-label="Themen">`,
+            ...article.tags.map(tag => `${INDENT.repeat(3)}<li>${escapeHtml(tag)}</li>`),
+            `${INDENT.repeat(2)}</ul>`
+        ] : []),
+        `${INDENT.repeat(2)}<a href="${href}" class="blog-read-more">Weiterlesen →</a>`,
+        `${INDENT}</div>`,
+        '</article>'
+    ];
+}
+
+function renderIndex(html, articles, authors) {
+    if (!INDEX_MARKERS.test(html)) {
+        errors.push('blog/index.html: blog:start/end markers not found');
+        return html;
+    }
+
+    return html.replace(INDEX_MARKERS, (match, start, end) => {
+        const lineIndent = end.match(/^[ \t]*/)[0];
+        const cards = articles
+            .map(article => renderCard(article, authors).map(line => lineIndent + line).join('\n') + '\n')
+            .join('\n');
+        return `${start}${cards}${end}`;
+    });
+}
+
+function renderManifest(articles, authors) {
+    const manifest = {
+        categories: CATEGORIES,
+        articles: articles.map(article => Object.assign({
+            slug: article.slug,
+            title: article.title,
+            date: article.date,
+            category: article.category,
+            tags: article.tags,
+            author: authors[article.author].name,
+            summary: article.summary,
+            url: `blog/artikel/${article.slug}.html`
+        }, article.image ? { image: article.image, imageAlt: article.imageAlt } : {}))
+    };
+    // Tag lists stay on one line, like in the hand-written manifest
+    return JSON.stringify(manifest, null, 2)
+        .replace(/\[\s+([^[\]{}]*?)\s+\]/g, (match, items) => `[${items.split(/,\s+/).join(', ')}]`) + '\n';
+}
+
+function renderFeeds(articles, authors) {
+    const items = articles.map(article => ({
+        url: `${SITE_URL}/blog/artikel/${article.slug}.html`,
+        title: article.title,
+        date: article.date,
+        updated: article.updated,
+        category: article.category,
+        categoryLabel: CATEGORIES[article.category],
+        summary: article.summary,
+        author: authors[article.author].name
+    }));
+    const atom = renderAtom(FEED, items);
+    const json = renderJsonFeed(FEED, items);
+
+    validateAtom(atom).forEach(error => errors.push(`blog/feed.xml: ${error}`));
+    validateJsonFeed(json).forEach(error => errors.push(`blog/feed.json: ${error}`));
+
+    return { atom, json };
+}
+
+function listPages(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) return SKIPPED_DIRS.includes(entry.name) ? [] : listPages(file);
+        return entry.name.endsWith('.html') && file !== TEMPLATE_FILE ? [file] : [];
+    });
+}
+
+// Feed readers and browsers discover the feeds through these links in the page head
+function checkFeedLinks(outputs) {
+    listPages(ROOT).forEach(file => {
+        const html = outputs.has(file) ? outputs.get(file) : readText(file);
+        const page = path.relative(ROOT, file).split(path.sep).join('/');
+
+        [['application/atom+xml', ATOM_FILE], ['application/feed+json', JSON_FEED_FILE]].forEach(([type, feedFile]) => {
+            const href = path.relative(path.dirname(file), feedFile).split(path.sep).join('/');
+            const link = html.match(new RegExp(`<link rel="alternate" type="${type.replace('+', '\\+')}"[^>]*>`));
+
+            if (!link) {
+                errors.push(`${page}: missing <link rel="alternate" type="${type}" href="${href}">`);
+            } else if (!link[0].includes(`href="${href}"`)) {
+                errors.push(`${page}: the ${type} feed link must point to ${href}`);
+            }
+        });
+    });
+}
+
+function main() {
+    const authors = loadAuthors();
+    const articles = loadArticles(authors);
+    const slugs = new Set(articles.map(article => article.slug));
+    const template = readText(TEMPLATE_FILE);
+    const outputs = new Map();
+
+    articles.forEach(article => {
+        outputs.set(path.join(ARTICLES_DIR, `${article.slug}.html`), renderArticle(template, article, articles, authors, slugs));
+    });
+
+    (fs.existsSync(ARTICLES_DIR) ? fs.readdirSync(ARTICLES_DIR) : [])
+        .filter(name => name.endsWith('.html') && !slugs.has(name.slice(0, -5)))
+        .forEach(name => errors.push(`blog/artikel/${name}: page has no source in content/blog/ (delete it together with the article)`));
+
+    outputs.set(INDEX_FILE, renderIndex(readText(INDEX_FILE), articles, authors));
+    outputs.set(MANIFEST_FILE, renderManifest(articles, authors));
+
+    const feeds = renderFeeds(articles, authors);
+    outputs.set(ATOM_FILE, feeds.atom);
+    outputs.set(JSON_FEED_FILE, feeds.json);
+
+    checkFeedLinks(outputs);
+
+    if (errors.length) {
+        console.error(`Blog build failed with ${errors.length} error(s):`);
+        errors.forEach(error => console.error(`  - ${error}`));
+        process.exit(1);
+    }
+
+    const changed = [...outputs].filter(([file, content]) => isOutdated(file, content));
+
+    if (checkOnly) {
+        if (changed.length) {
+            console.error('Generated files are out of date, run node scripts/build-blog.js:');
+            changed.forEach(([file]) => console.error(`  - ${path.relative(ROOT, file)}`));
+            process.exit(1);
+        }
+        console.log(`Blog up to date (${articles.length} articles).`);
+        return;
+    }
+
+    fs.mkdirSync(ARTICLES_DIR, { recursive: true });
+    changed.forEach(([file, content]) => writeText(file, content));
+    console.log(`Blog built: ${articles.length} articles, ${changed.length} file(s) updated.`);
+}
+
+main();
@@ -0,0 +1,351 @@
+#!/usr/bin/env node
+/**
+ * Neurologie Zentralschweiz AG Website - Translated pages
+ * Builds the English, Italian and Albanian versions of the pages listed in
+ * data/i18n/pages.<lang>.json into <lang>/, links every version to the others
+ * (hreflang alternates and the language switcher in the navigation) and reports how
+ * much of each page and of the interface texts in assets/js/core/messages.js is translated.
+ *
+ * A page catalog is { pages: ["index.html", ...], texts: { "<German text>": "<translation>" } }.
+ * Texts are matched by the German wording of each text run between tags and of the
+ * alt, title, aria-label and placeholder attributes, so one entry covers the same text on
+ * every page. Anything without an entry stays German. Elements with translate="no" or
+ * data-contact (filled from data/locations.json) and SVG graphics are left alone.
+ * The interface texts are in data/i18n/messages.<lang>.json, keyed like MESSAGES in messages.js.
+ *
+ * Run it after the other generators, the translated pages start from their output.
+ *
+ * Usage:
+ *   node scripts/build-i18n.js [--check]
+ *
+ *   --check    only compare, exit with an error if a generated file is out of date
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { escapeHtml, escapeAttribute, decodeEntities } = require('./lib/html');
+const { readText, isOutdated, writeText } = require('./lib/files');
+
+const ROOT = path.resolve(__dirname, '..');
+const I18N_DIR = path.join(ROOT, 'data', 'i18n');
+const MESSAGES_FILE = path.join(ROOT, 'assets', 'js', 'core', 'messages.js');
+const SITE_URL = 'https://neurologie-schwyz.ch';
+
+// The German pages are the source, the others are listed with their name in their own language
+const SOURCE_LANGUAGE = 'de';
+const LANGUAGES = { de: 'Deutsch', en: 'English', it: 'Italiano', sq: 'Shqip' };
+
+const TRANSLATED_ATTRIBUTES = ['alt', 'title', 'aria-label', 'placeholder', 'data-handout-title'];
+const TRANSLATED_META = ['description', 'og:title', 'og:description'];
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'data-src'];
+const SKIPPED_ELEMENTS = ['svg', 'code'];
+const RAW_TEXT_ELEMENTS = ['script', 'style'];
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+const INDENT = '    ';
+
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<![^>]*>|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g;
+
+const checkOnly = process.argv.includes('--check');
+
+const errors = [];
+
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        errors.push(`${path.relative(ROOT, file)}: ${error.message}`);
+        return null;
+    }
+}
+
+// MESSAGES is plain data, so it can be evaluated on its own without the module around it
+function readMessages() {
+    const match = fs.readFileSync(MESSAGES_FILE, 'utf8').match(/^export const MESSAGES = (\{[\s\S]*?\n\});$/m);
+    if (!match) {
+        errors.push('assets/js/core/messages.js: export const MESSAGES = { ... }; not found');
+        return {};
+    }
+    return vm.runInNewContext(`(${match[1]})`);
+}
+
+function placeholders(message) {
+    return (message.match(/\{\w+\}/g) || []).sort().join(' ');
+}
+
+function checkMessages(language, messages, reference) {
+    const context = `data/i18n/messages.${language}.json`;
+
+    Object.entries(messages).forEach(([key, message]) => {
+        if (!(key in reference)) {
+            errors.push(`${context}: unknown key ${key}`);
+        } else if (typeof message !== 'string' || !message.trim()) {
+            errors.push(`${context}: ${key} must be text`);
+        } else if (placeholders(message) !== placeholders(reference[key])) {
+            errors.push(`${context}: ${key} must use the placeholders ${placeholders(reference[key]) || '(none)'}`);
+        }
+    });
+}
+
+function loadCatalog(language, messages) {
+    const context = `data/i18n/pages.${language}.json`;
+    const catalog = readJson(path.join(I18N_DIR, `pages.${language}.json`));
+    const uiMessages = readJson(path.join(I18N_DIR, `messages.${language}.json`)) || {};
+
+    if (!catalog) return null;
+    if (!Array.isArray(catalog.pages) || !catalog.texts || typeof catalog.texts !== 'object') {
+        errors.push(`${context}: expected { pages: [...], texts: {...} }`);
+        return null;
+    }
+
+    catalog.pages.forEach(page => {
+        if (!fs.existsSync(path.join(ROOT, page))) errors.push(`${context}: page ${page} does not exist`);
+    });
+    Object.entries(catalog.texts).forEach(([text, translation]) => {
+        if (typeof translation !== 'string' || !translation.trim()) errors.push(`${context}: translation of "${text}" must be text`);
+    });
+    checkMessages(language, uiMessages, messages);
+
+    return { language, pages: catalog.pages, texts: catalog.texts, messages: uiMessages, used: new Set() };
+}
+
+function normalize(text) {
+    return decodeEntities(text).replace(/\s+/g, ' ').trim();
+}
+
+function getAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? match[1] : null;
+}
+
+/**
+ * Translate the texts of a page and point its links to the translated pages, or to the
+ * German pages one folder up. Every text found is added to segments with whether it has
+ * a translation, for the coverage report.
+ */
+function translateHtml(html, page, catalog, segments) {
+    let skipped = null;
+    let output = '';
+    let match;
+
+    const translate = (text) => {
+        const key = normalize(text);
+        if (!/\p{L}/u.test(key)) return null;
+
+        const translation = catalog.texts[key];
+        segments.set(key, translation !== undefined);
+        if (translation === undefined) return null;
+
+        catalog.used.add(key);
+        return translation;
+    };
+
+    const rewriteUrl = (url) => {
+        if (!url || /^([a-z]+:|\/|#)/i.test(url)) return url;
+        const target = path.posix.join(path.posix.dirname(page), url.split(/[?#]/)[0]);
+        return catalog.pages.includes(target) ? url : `../${url}`;
+    };
+
+    TOKEN_PATTERN.lastIndex = 0;
+    while ((match = TOKEN_PATTERN.exec(html))) {
+        let [token, closing, tag, attributes] = match;
+
+        if (!tag) {
+            if (token.startsWith('<!') || skipped) {
+                output += token;
+            } else {
+                const translation = translate(token);
+                output += translation === null ? token : token.replace(/^(\s*)[\s\S]*?(\s*)$/, (all, before, after) => before + escapeHtml(translation) + after);
+            }
+            continue;
+        }
+
+        tag = tag.toLowerCase();
+
+        // Attributes of the element that starts a skipped part are still translated
+        const inSkipped = Boolean(skipped);
+
+        if (skipped) {
+            if (tag === skipped.tag && !VOID_ELEMENTS.includes(tag)) skipped.depth += closing ? -1 : 1;
+            if (!skipped.depth) skipped = null;
+        } else if (!closing && !VOID_ELEMENTS.includes(tag) && !attributes.endsWith('/') &&
+            (SKIPPED_ELEMENTS.includes(tag) || /\stranslate="no"|\sdata-contact="/.test(attributes))) {
+            skipped = { tag, depth: 1 };
+        }
+
+        if (!closing) {
+            if (tag === 'html') attributes = attributes.replace(/\slang="[^"]*"/, ` lang="${catalog.language}"`);
+
+            URL_ATTRIBUTES.forEach(name => {
+                attributes = attributes.replace(new RegExp(`(\\s${name}=")([^"]*)"`), (all, start, url) => `${start}${rewriteUrl(url)}"`);
+            });
+            // srcset lists "url width" candidates separated by commas
+            attributes = attributes.replace(/(\ssrcset=")([^"]*)"/, (all, start, candidates) =>
+                `${start}${candidates.replace(/(^|,)(\s*)([^\s,]+)/g, (candidate, comma, space, url) => comma + space + rewriteUrl(url))}"`);
+        }
+
+        if (!closing && !inSkipped) {
+            const meta = tag === 'meta' ? getAttribute(attributes, 'name') || getAttribute(attributes, 'property') : null;
+            const names = TRANSLATED_META.includes(meta) ? ['content'] : TRANSLATED_ATTRIBUTES;
+
+            names.forEach(name => {
+                attributes = attributes.replace(new RegExp(`(\\s${name}=")([^"]*)"`), (all, start, value) => {
+                    const translation = translate(value);
+                    return translation === null ? all : `${start}${escapeAttribute(translation)}"`;
+                });
+            });
+        }
+
+        output += `<${closing}${match[2]}${attributes}>`;
+
+        // Scripts and styles are copied up to their end tag without looking inside
+        if (RAW_TEXT_ELEMENTS.includes(tag) && !closing) {
+            const end = html.indexOf(`</${tag}`, TOKEN_PATTERN.lastIndex);
+            output += html.slice(TOKEN_PATTERN.lastIndex, end);
+            TOKEN_PATTERN.lastIndex = end;
+        }
+    }
+
+    return output;
+}
+
+function regionPattern(name) {
+    return new RegExp(`(<!-- i18n:${name}:start[^>]*-->\\n)(?:[\\s\\S]*?\\n)?([ \\t]*<!-- i18n:${name}:end -->)`);
+}
+
+function fillRegion(html, name, lines, page) {
+    const pattern = regionPattern(name);
+
+    if (!pattern.test(html)) {
+        errors.push(`${page}: i18n:${name}:start/end markers not found`);
+        return html;
+    }
+    return html.replace(pattern, (match, start, end) => {
+        const indent = end.match(/^[ \t]*/)[0];
+        return lines.length ? `${start}${lines.map(line => indent + line).join('\n')}\n${end}` : `${start}${end}`;
+    });
+}
+
+// Languages a page is available in, the German source first
+function versionsOf(page, catalogs) {
+    return [SOURCE_LANGUAGE, ...catalogs.filter(catalog => catalog.pages.includes(page)).map(catalog => catalog.language)];
+}
+
+function pagePath(page, language) {
+    return language === SOURCE_LANGUAGE ? page : `${language}/${page}`;
+}
+
+function renderAlternates(page, versions) {
+    if (versions.length < 2) return [];
+    return [
+        ...versions.map(language => `<link rel="alternate" hreflang="${language}" href="${SITE_URL}/${pagePath(page, language)}">`),
+        `<link rel="alternate" hreflang="x-default" href="${SITE_URL}/${page}">`
+    ];
+}
+
+function renderSwitcher(page, versions, current, label) {
+    if (versions.length < 2) return [];
+
+    // Links are relative to the version being rendered
+    const links = versions.map(language => {
+        const href = language === current ? path.posix.basename(page) : path.posix.relative(
+            path.posix.dirname(pagePath(page, current)), pagePath(page, language));
+        const currentAttribute = language === current ? ' aria-current="true"' : '';
+        return `${INDENT.repeat(2)}<li><a href="${href}" hreflang="${language}" lang="${language}"${currentAttribute}>` +
+            `<span aria-hidden="true">${language.toUpperCase()}</span><span class="sr-only">${LANGUAGES[language]}</span></a></li>`;
+    });
+
+    return [
+        '<li class="nav-language">',
+        `${INDENT}<ul class="language-switcher" aria-label="${escapeAttribute(label)}">`,
+        ...links,
+        `${INDENT}</ul>`,
+        '</li>'
+    ];
+}
+
+function renderVersion(html, page, versions, language, label) {
+    return fillRegion(
+        fillRegion(html, 'alternates', renderAlternates(page, versions), page),
+        'languages', renderSwitcher(page, versions, language, label), page);
+}
+
+function percent(done, total) {
+    return `${done}/${total} (${total ? Math.floor(done / total * 100) : 100}%)`;
+}
+
+function main() {
+    const messages = readMessages();
+    const catalogs = Object.keys(LANGUAGES)
+        .filter(language => language !== SOURCE_LANGUAGE)
+        .map(language => loadCatalog(language, messages))
+        .filter(Boolean);
+    const sources = [...new Set(catalogs.flatMap(catalog => catalog.pages))].sort();
+    const outputs = new Map();
+    const report = [];
+
+    sources.forEach(page => {
+        const file = path.join(ROOT, page);
+        const versions = versionsOf(page, catalogs);
+        const source = readText(file);
+
+        outputs.set(file, renderVersion(source, page, versions, SOURCE_LANGUAGE, messages['language.label']));
+
+        // The regions are filled per version after the translation, so their links stay as they are
+        const template = renderVersion(source, page, [], SOURCE_LANGUAGE);
+
+        catalogs.filter(catalog => catalog.pages.includes(page)).forEach(catalog => {
+            const segments = new Map();
+            const label = catalog.messages['language.label'] || messages['language.label'];
+            const html = translateHtml(template, page, catalog, segments);
+
+            outputs.set(path.join(ROOT, catalog.language, page), renderVersion(html, page, versions, catalog.language, label));
+            catalog.coverage = (catalog.coverage || []).concat(
+                `${page} ${percent([...segments.values()].filter(Boolean).length, segments.size)}`);
+        });
+    });
+
+    catalogs.forEach(catalog => {
+        const dir = path.join(ROOT, catalog.language);
+        const listed = new Set(catalog.pages);
+        const messageCount = Object.keys(messages).filter(key => key in catalog.messages).length;
+        const unused = Object.keys(catalog.texts).filter(text => !catalog.used.has(text)).length;
+
+        if (fs.existsSync(dir)) {
+            fs.readdirSync(dir)
+                .filter(name => name.endsWith('.html') && !listed.has(name))
+                .forEach(name => errors.push(`${catalog.language}/${name}: page is not listed in data/i18n/pages.${catalog.language}.json`));
+        }
+
+        report.push(`  ${catalog.language}: ${[...(catalog.coverage || []), `interface ${percent(messageCount, Object.keys(messages).length)}`].join(', ')}` +
+            (unused ? `; ${unused} text(s) no longer on any page` : ''));
+    });
+
+    if (errors.length) {
+        console.error(`Translation build failed with ${errors.length} error(s):`);
+        errors.forEach(error => console.error(`  - ${error}`));
+        process.exit(1);
+    }
+
+    const changed = [...outputs].filter(([file, html]) => isOutdated(file, html));
+
+    if (checkOnly) {
+        if (changed.length) {
+            console.error('Translated pages are out of date, run node scripts/build-i18n.js:');
+            changed.forEach(([file]) => console.error(`  - ${path.relative(ROOT, file)}`));
+            process.exit(1);
+        }
+        console.log(`Translated pages up to date (${outputs.size - sources.length} pages). Coverage:`);
+    } else {
+        changed.forEach(([file, html]) => {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            writeText(file, html);
+        });
+        console.log(`Translated pages built: ${outputs.size - sources.length} pages, ${changed.length} file(s) updated. Coverage:`);
+    }
+    report.forEach(line => console.log(line));
+}
+
+main();
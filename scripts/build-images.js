@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+/**
+ * Neurologie Zentralschweiz AG Website - Image build
+ * Renders the team photos listed in data/team.json as responsive variants (see
+ * scripts/lib/images.js): each photo is cropped to the 800x534 format of the team
+ * cards and written as AVIF, WebP and JPEG in several widths. The favicon, the Apple touch icon and the PNG icons of
+ * the web app manifest are rendered from assets/images/icon.svg.
+ *
+ * data/images.json records a hash of every source together with the settings below,
+ * so only new or changed sources are rendered again and --check works without sharp.
+ *
+ * Afterwards every page, style sheet and data file is scanned: images that are
+ * referenced but do not exist fail the build, image files nothing refers to are
+ * listed as orphans.
+ *
+ * Rendering needs the sharp package (npm install --no-save sharp), the check does not.
+ *
+ * Usage:
+ *   node scripts/build-images.js [--check]
+ *
+ *   --check    only compare, exit with an error if a variant is missing or out of date
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadTeam } = require('./lib/team');
+const { PHOTO_WIDTH, PHOTO_HEIGHT, WIDTHS, OUTPUT_DIR, heightFor, listVariants } = require('./lib/images');
+const { decodeEntities } = require('./lib/html');
+
+const ROOT = path.resolve(__dirname, '..');
+const TEAM_FILE = path.join(ROOT, 'data', 'team.json');
+const HASH_FILE = path.join(ROOT, 'data', 'images.json');
+const SITE_URL = 'https://neurologie-schwyz.ch';
+
+const ICON_SOURCE = 'assets/images/icon.svg';
+const ICONS = [
+    { file: 'assets/favicon.ico', size: 32 },
+    { file: 'assets/apple-touch-icon.png', size: 180 },
+    { file: 'assets/images/icon-192.png', size: 192 },
+    { file: 'assets/images/icon-512.png', size: 512 }
+];
+
+// Part of every source hash, changing a setting renders all images again
+const QUALITY = { avif: 50, webp: 80, jpg: 80 };
+// The portraits show the face in their upper part, so the crop keeps the top of the photo
+const CROP_POSITION = 'north';
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.avif', '.gif', '.svg', '.ico'];
+const IMAGE_DIRS = ['images', 'assets'];
+const SCANNED_EXTENSIONS = ['.html', '.css', '.json', '.webmanifest'];
+// Directories without pages of their own, templates/ only holds page shells
+const SKIPPED_DIRS = ['.git', 'node_modules', 'templates', 'scripts', 'docs'];
+// Rendered into blog/artikel/, its links start from there
+const TEMPLATE_FILE = path.join(ROOT, 'blog', 'artikel-template.html');
+
+const REFERENCE_PATTERN = /\b(?:src|href|content|data-src)="([^"]+)"|\bsrcset="([^"]+)"|url\(\s*['"]?([^'")]+)['"]?\s*\)|"(?:photo|src|image|url)":\s*"([^"]+)"/g;
+
+const checkOnly = process.argv.includes('--check');
+
+const errors = [];
+
+function toPosix(file) {
+    return path.relative(ROOT, file).split(path.sep).join('/');
+}
+
+function readJson(file, fallback) {
+    if (!fs.existsSync(file)) return fallback;
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        errors.push(`${toPosix(file)}: ${error.message}`);
+        return fallback;
+    }
+}
+
+function hashSource(source) {
+    return crypto.createHash('sha256')
+        .update(fs.readFileSync(path.join(ROOT, source)))
+        .update(JSON.stringify({ PHOTO_WIDTH, PHOTO_HEIGHT, WIDTHS, QUALITY, CROP_POSITION, ICONS }))
+        .digest('hex')
+        .slice(0, 12);
+}
+
+// Every source with the files rendered from it
+function listJobs() {
+    const photos = [...new Set(loadTeam(TEAM_FILE, ROOT, errors).map(member => member.photo))];
+    const jobs = photos.map(photo => ({ source: photo, outputs: listVariants(photo).map(variant => variant.file), render: renderPhoto }));
+
+    jobs.push({ source: ICON_SOURCE, outputs: ICONS.map(icon => icon.file), render: renderIcons });
+
+    return jobs.filter(job => {
+        if (fs.existsSync(path.join(ROOT, job.source))) return true;
+        errors.push(`${job.source}: source image does not exist`);
+        return false;
+    });
+}
+
+async function renderPhoto(sharp, job) {
+    const cropped = await sharp(path.join(ROOT, job.source))
+        .rotate()
+        .resize(PHOTO_WIDTH, PHOTO_HEIGHT, { fit: 'cover', position: CROP_POSITION })
+        .toBuffer();
+
+    for (const variant of listVariants(job.source)) {
+        const image = sharp(cropped).resize(variant.width, heightFor(variant.width));
+        const encoded = variant.ext === 'avif' ? image.avif({ quality: QUALITY.avif })
+            : variant.ext === 'webp' ? image.webp({ quality: QUALITY.webp })
+            : image.jpeg({ quality: QUALITY.jpg, mozjpeg: true });
+        await encoded.toFile(path.join(ROOT, variant.file));
+    }
+}
+
+// An .ico file may hold a PNG image, so the favicon needs no encoder of its own
+function toIco(png, size) {
+    const header = Buffer.alloc(22);
+    header.writeUInt16LE(0, 0);
+    header.writeUInt16LE(1, 2);
+    header.writeUInt16LE(1, 4);
+    header.writeUInt8(size, 6);
+    header.writeUInt8(size, 7);
+    header.writeUInt16LE(1, 10);
+    header.writeUInt16LE(32, 12);
+    header.writeUInt32LE(png.length, 14);
+    header.writeUInt32LE(header.length, 18);
+    return Buffer.concat([header, png]);
+}
+
+async function renderIcons(sharp, job) {
+    for (const icon of ICONS) {
+        const png = await sharp(path.join(ROOT, job.source))
+            .resize(icon.size, icon.size)
+            .png()
+            .toBuffer();
+        fs.writeFileSync(path.join(ROOT, icon.file), icon.file.endsWith('.ico') ? toIco(png, icon.size) : png);
+    }
+}
+
+function loadSharp() {
+    try {
+        return require('sharp');
+    } catch (error) {
+        errors.push('sharp is not installed, run npm install --no-save sharp to render the images');
+        return null;
+    }
+}
+
+function listFiles(dir, extensions) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) return SKIPPED_DIRS.includes(entry.name) ? [] : listFiles(file, extensions);
+        return extensions.includes(path.extname(entry.name).toLowerCase()) && file !== TEMPLATE_FILE ? [file] : [];
+    });
+}
+
+// Local image a reference points to, or null for external and inline images
+function resolveReference(reference, file) {
+    const url = decodeEntities(reference).trim().split(/[?#]/)[0];
+
+    if (!IMAGE_EXTENSIONS.includes(path.extname(url).toLowerCase())) return null;
+    if (url.startsWith(`${SITE_URL}/`)) return { path: url.slice(SITE_URL.length + 1), absolute: true };
+    if (/^([a-z]+:|\/\/)/i.test(url)) return null;
+
+    let resolved;
+    if (url.startsWith('/')) {
+        resolved = url.slice(1);
+    } else if (path.extname(file) === '.json') {
+        // Paths in the data files start from the site root, like CONFIG in assets/js/core/config.js
+        resolved = url;
+    } else {
+        resolved = toPosix(path.resolve(path.dirname(file), decodeURIComponent(url)));
+    }
+    return { path: resolved, absolute: false };
+}
+
+function scanReferences() {
+    const references = new Map();
+
+    listFiles(ROOT, SCANNED_EXTENSIONS).forEach(file => {
+        const text = fs.readFileSync(file, 'utf8');
+        let match;
+
+        REFERENCE_PATTERN.lastIndex = 0;
+        while ((match = REFERENCE_PATTERN.exec(text))) {
+            const values = match[2] ? match[2].split(',').map(candidate => candidate.trim().split(/\s+/)[0]) : [match[1] || match[3] || match[4]];
+
+            values.forEach(value => {
+                const reference = resolveReference(value, file);
+                if (!reference) return;
+                if (!references.has(reference.path)) references.set(reference.path, { absolute: true, files: new Set() });
+                const entry = references.get(reference.path);
+                entry.absolute = entry.absolute && reference.absolute;
+                entry.files.add(toPosix(file));
+            });
+        }
+    });
+    return references;
+}
+
+function checkReferences(references, warnings) {
+    references.forEach((entry, image) => {
+        if (fs.existsSync(path.join(ROOT, image))) return;
+        const files = [...entry.files].sort();
+        const where = files.length > 2 ? `${files.slice(0, 2).join(', ')} and ${files.length - 2} more` : files.join(', ');
+
+        // Links with the full address are only followed by search engines and social networks
+        if (entry.absolute) {
+            warnings.push(`${image} (linked as ${SITE_URL}/${image} from ${where}) does not exist`);
+        } else {
+            errors.push(`${image}: missing image, referenced from ${where}`);
+        }
+    });
+
+    IMAGE_DIRS.flatMap(dir => listFiles(path.join(ROOT, dir), IMAGE_EXTENSIONS))
+        .map(toPosix)
+        .filter(image => !references.has(image))
+        .forEach(image => warnings.push(`${image} is not used anywhere (orphan)`));
+}
+
+async function main() {
+    const jobs = listJobs();
+    const hashes = readJson(HASH_FILE, {});
+    const expected = new Set(jobs.flatMap(job => job.outputs));
+    const stale = jobs.filter(job => hashes[job.source] !== hashSource(job.source) ||
+        job.outputs.some(output => !fs.existsSync(path.join(ROOT, output))));
+    const leftovers = listFiles(path.join(ROOT, OUTPUT_DIR), IMAGE_EXTENSIONS).map(toPosix).filter(file => !expected.has(file));
+
+    if (checkOnly) {
+        stale.forEach(job => errors.push(`${job.source}: variants are missing or out of date, run node scripts/build-images.js`));
+        leftovers.forEach(file => errors.push(`${file}: no source in data/team.json, run node scripts/build-images.js to remove it`));
+    } else if (stale.length) {
+        const sharp = loadSharp();
+
+        if (sharp) {
+            fs.mkdirSync(path.join(ROOT, OUTPUT_DIR), { recursive: true });
+            for (const job of stale) {
+                try {
+                    await job.render(sharp, job);
+                    hashes[job.source] = hashSource(job.source);
+                } catch (error) {
+                    errors.push(`${job.source}: ${error.message}`);
+                }
+            }
+        }
+    }
+
+    if (!checkOnly) {
+        // The output directory only holds generated variants
+        leftovers.forEach(file => fs.unlinkSync(path.join(ROOT, file)));
+
+        const sources = new Set(jobs.map(job => job.source));
+        const json = JSON.stringify(Object.fromEntries(Object.entries(hashes).filter(([source]) => sources.has(source)).sort()), null, 2) + '\n';
+        if (!fs.existsSync(HASH_FILE) || fs.readFileSync(HASH_FILE, 'utf8') !== json) fs.writeFileSync(HASH_FILE, json);
+    }
+
+    const warnings = [];
+    checkReferences(scanReferences(), warnings);
+
+    if (errors.length) {
+        console.error(`Image build failed with ${errors.length} error(s):`);
+        errors.forEach(error => console.error(`  - ${error}`));
+        process.exit(1);
+    }
+
+    const count = jobs.reduce((total, job) => total + job.outputs.length, 0);
+    if (checkOnly) {
+        console.log(`Images up to date (${jobs.length} sources, ${count} files).`);
+    } else {
+        console.log(`Images built: ${jobs.length} sources, ${stale.length} rendered, ${leftovers.length} old variant(s) removed.`);
+    }
+    if (warnings.length) {
+        console.log(`${warnings.length} warning(s):`);
+        warnings.forEach(warning => console.log(`  - ${warning}`));
+    }
+}
+
+main();
@@ -0,0 +1,347 @@
+#!/usr/bin/env node
+/**
+ * Neurologie Zentralschweiz AG Website - Krankheitsbilder generator
+ * Builds the condition pages under krankheitsbilder/ and the overview cards
+ * in krankheitsbilder.html from the canonical data/krankheitsbilder.json, and checks
+ * that the symptom navigator in data/symptom-navigator.json only links existing entries.
+ *
+ * Usage:
+ *   node scripts/build-krankheitsbilder.js [--check] [--create]
+ *
+ *   --check    only compare, exit with an error if a generated file is out of date
+ *   --create   allow entries whose page does not exist yet (new conditions)
+ *
+ * Content format of an entry (one block per line):
+ *   ## Heading         h2 to h5, depending on the number of #
+ *   - Item / • Item    unordered list, indent by two spaces to nest
+ *   1. Item            ordered list
+ *   **Text**           bold text within a line
+ *   everything else    paragraph
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml, escapeAttribute, formatDate, slugify, fillTemplate } = require('./lib/html');
+const { readText, isOutdated, writeText } = require('./lib/files');
+
+const ROOT = path.resolve(__dirname, '..');
+const DATA_FILE = path.join(ROOT, 'data', 'krankheitsbilder.json');
+const NAVIGATOR_FILE = path.join(ROOT, 'data', 'symptom-navigator.json');
+const TEMPLATE_FILE = path.join(ROOT, 'templates', 'krankheitsbild.html');
+const PAGES_DIR = path.join(ROOT, 'krankheitsbilder');
+const OVERVIEW_FILE = path.join(ROOT, 'krankheitsbilder.html');
+
+const SLUG_PATTERN = /^[a-z0-9äöü]+(-[a-z0-9äöü]+)*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const REQUIRED_FIELDS = ['slug', 'title', 'heading', 'subtitle', 'date', 'summary', 'content'];
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const OVERVIEW_MARKERS = /(<!-- krankheitsbilder:start[^>]*-->\n)[\s\S]*?\n([ \t]*<!-- krankheitsbilder:end -->)/;
+const INDENT = '    ';
+
+const args = new Set(process.argv.slice(2));
+const checkOnly = args.has('--check');
+const allowCreate = args.has('--create');
+
+const errors = [];
+
+// Escape a line and turn **bold** into <strong>
+function renderInline(text, context) {
+    const parts = escapeHtml(text).split('**');
+    if (parts.length % 2 === 0) {
+        errors.push(`${context}: unclosed ** in "${text}"`);
+        return escapeHtml(text);
+    }
+    return parts.map((part, index) => index % 2 ? `<strong>${part}</strong>` : part).join('');
+}
+
+function parseLine(line) {
+    const indent = line.match(/^ */)[0].length;
+    const text = line.trim();
+    let match;
+
+    if ((match = text.match(/^(#{2,5}) (.+)$/))) {
+        return { type: 'heading', level: match[1].length, text: match[2] };
+    }
+    if ((match = text.match(/^(?:-|•)\s+(.+)$/))) {
+        return { type: 'item', list: 'ul', depth: Math.floor(indent / 2), text: match[1] };
+    }
+    if ((match = text.match(/^\d+\.\s+(.+)$/))) {
+        return { type: 'item', list: 'ol', depth: Math.floor(indent / 2), text: match[1] };
+    }
+    return { type: 'paragraph', text };
+}
+
+/**
+ * Render the content text of an entry into indented HTML lines.
+ * Lists are kept on a stack so indented items nest inside the previous item.
+ * Every h2 gets an anchor id and is added to headings for the table of contents.
+ */
+function renderContent(content, slug, headings) {
+    const lines = [];
+    const stack = [];
+    const ids = new Set();
+
+    const closeLists = depth => {
+        while (stack.length > depth) {
+            lines.push(INDENT.repeat((stack.length - 1) * 2) + `</${stack.pop()}>`);
+            // A nested list lives inside the parent item, close that one too
+            if (stack.length) {
+                lines.push(INDENT.repeat(stack.length * 2 - 1) + '</li>');
+            }
+        }
+    };
+
+    content.split('\n').forEach((raw, index) => {
+        if (!raw.trim()) return;
+
+        const context = `${slug}, line ${index + 1}`;
+        const block = parseLine(raw);
+
+        if (block.type !== 'item') {
+            closeLists(0);
+            const tag = block.type === 'heading' ? `h${block.level}` : 'p';
+            // Blank line before each section, unless it directly follows another heading
+            if (block.type === 'heading' && lines.length && !/^<h\d[ >]/.test(lines[lines.length - 1])) lines.push('');
+
+            if (block.type === 'heading' && block.level === 2) {
+                const base = slugify(block.text.replace(/\*/g, ''));
+                let id = base;
+                for (let count = 2; ids.has(id); count++) id = `${base}-${count}`;
+                ids.add(id);
+                headings.push({ id, text: block.text });
+                lines.push(`<h2 id="${id}">${renderInline(block.text, context)}</h2>`);
+                return;
+            }
+
+            lines.push(`<${tag}>${renderInline(block.text, context)}</${tag}>`);
+            return;
+        }
+
+        if (block.depth > stack.length) {
+            errors.push(`${context}: list item is indented deeper than its parent`);
+            block.depth = stack.length;
+        }
+
+        closeLists(block.depth + 1);
+
+        if (stack[block.depth] && stack[block.depth] !== block.list) {
+            closeLists(block.depth);
+        }
+
+        if (!stack[block.depth]) {
+            if (block.depth) {
+                // Reopen the parent item so the nested list ends up inside it
+                const last = lines.pop();
+                if (last.trim() !== '</li>') lines.push(last.replace(/<\/li>$/, ''));
+            }
+            lines.push(INDENT.repeat(block.depth * 2) + `<${block.list}>`);
+            stack.push(block.list);
+        }
+
+        lines.push(INDENT.repeat(block.depth * 2 + 1) + `<li>${renderInline(block.text, context)}</li>`);
+    });
+
+    closeLists(0);
+    return lines;
+}
+
+// Same markup as the table of contents of the blog articles, see scripts/build-blog.js
+function renderToc(headings) {
+    // A single section needs no table of contents
+    if (headings.length < 2) return [];
+
+    return [
+        '<nav class="table-of-contents" aria-labelledby="toc-title">',
+        `${INDENT}<h2 id="toc-title">Inhaltsverzeichnis</h2>`,
+        `${INDENT}<ul class="toc-list">`,
+        ...headings.map(heading => `${INDENT.repeat(2)}<li><a href="#${heading.id}">${escapeHtml(heading.text.replace(/\*\*/g, ''))}</a></li>`),
+        `${INDENT}</ul>`,
+        '</nav>'
+    ];
+}
+
+function renderPage(template, entry) {
+    const headings = [];
+    const content = renderContent(entry.content, entry.slug, headings);
+
+    return fillTemplate(template, {
+        heading: escapeHtml(entry.heading),
+        subtitle: escapeHtml(entry.subtitle),
+        description: escapeAttribute(entry.description || `${entry.heading}: ${entry.subtitle}`),
+        toc: renderToc(headings),
+        content
+    });
+}
+
+function renderCard(entry) {
+    const href = `krankheitsbilder/${entry.slug}.html`;
+    return [
+        '<article class="blog-card">',
+        `${INDENT}<div class="blog-content">`,
+        `${INDENT.repeat(2)}<div class="blog-meta">`,
+        `${INDENT.repeat(3)}<time datetime="${entry.date}">${formatDate(entry.date)}</time>`,
+        `${INDENT.repeat(2)}</div>`,
+        `${INDENT.repeat(2)}<h2><a href="${href}">${escapeHtml(entry.title)}</a></h2>`,
+        `${INDENT.repeat(2)}<p>${escapeHtml(entry.summary)}</p>`,
+        `${INDENT.repeat(2)}<a href="${href}" class="read-more">Mehr erfahren</a>`,
+        `${INDENT}</div>`,
+        '</article>'
+    ];
+}
+
+function renderOverview(overview, entries) {
+    if (!OVERVIEW_MARKERS.test(overview)) {
+        errors.push('krankheitsbilder.html: krankheitsbilder:start/end markers not found');
+        return overview;
+    }
+
+    return overview.replace(OVERVIEW_MARKERS, (match, start, end) => {
+        const indent = end.match(/^[ \t]*/)[0];
+        const cards = entries
+            .map(entry => renderCard(entry).map(line => indent + line).join('\n'))
+            .join('\n\n');
+        return `${start}${cards}\n${end}`;
+    });
+}
+
+function validateEntries(entries) {
+    if (!Array.isArray(entries)) {
+        errors.push('data/krankheitsbilder.json: expected an array of entries');
+        return [];
+    }
+
+    const seen = new Set();
+
+    return entries.filter((entry, index) => {
+        const name = entry && entry.slug ? entry.slug : `entry ${index + 1}`;
+        const missing = REQUIRED_FIELDS.filter(field => typeof entry[field] !== 'string' || !entry[field].trim());
+
+        if (missing.length) {
+            errors.push(`${name}: missing ${missing.join(', ')}`);
+            return false;
+        }
+        if (!SLUG_PATTERN.test(entry.slug)) {
+            errors.push(`${name}: slug must be lowercase words separated by hyphens`);
+            return false;
+        }
+        if (seen.has(entry.slug)) {
+            errors.push(`${name}: duplicate slug`);
+            return false;
+        }
+        if (!DATE_PATTERN.test(entry.date) || isNaN(new Date(entry.date))) {
+            errors.push(`${name}: date must be YYYY-MM-DD`);
+        }
+
+        seen.add(entry.slug);
+        return true;
+    });
+}
+
+function isText(value) {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Check the symptom navigator mapping. Every answer either leads to one or more
+ * condition pages or is a red flag that sends the visitor to the emergency numbers.
+ */
+function validateNavigator(slugs) {
+    let data;
+
+    try {
+        data = JSON.parse(fs.readFileSync(NAVIGATOR_FILE, 'utf8'));
+    } catch (error) {
+        errors.push(`data/symptom-navigator.json: ${error.message}`);
+        return;
+    }
+
+    if (!data || !Array.isArray(data.symptoms) || !data.symptoms.length) {
+        errors.push('data/symptom-navigator.json: expected an object with a non-empty symptoms array');
+        return;
+    }
+
+    const seen = new Set();
+
+    data.symptoms.forEach((symptom, index) => {
+        const context = `data/symptom-navigator.json, ${symptom && isText(symptom.id) ? symptom.id : `symptom ${index + 1}`}`;
+
+        if (!symptom || !isText(symptom.id) || !isText(symptom.label) || !isText(symptom.question)) {
+            errors.push(`${context}: id, label and question are required`);
+            return;
+        }
+        if (!ID_PATTERN.test(symptom.id)) errors.push(`${context}: id must be lowercase words separated by hyphens, without umlauts`);
+        if (seen.has(symptom.id)) errors.push(`${context}: duplicate id`);
+        seen.add(symptom.id);
+
+        if (!Array.isArray(symptom.answers) || symptom.answers.length < 2) {
+            errors.push(`${context}: needs at least two answers`);
+            return;
+        }
+
+        symptom.answers.forEach((answer, answerIndex) => {
+            const answerContext = `${context} answer ${answerIndex + 1}`;
+
+            if (!isText(answer.label)) errors.push(`${answerContext}: label is missing`);
+            if (answer.redFlag !== undefined && answer.redFlag !== true) errors.push(`${answerContext}: redFlag can only be true`);
+            if (answer.redFlag) {
+                if (answer.conditions) errors.push(`${answerContext}: a red flag leads to the emergency numbers, remove conditions`);
+                return;
+            }
+            if (!Array.isArray(answer.conditions) || !answer.conditions.length) {
+                errors.push(`${answerContext}: needs conditions or redFlag`);
+                return;
+            }
+            answer.conditions
+                .filter(slug => !slugs.has(slug))
+                .forEach(slug => errors.push(`${answerContext}: unknown condition ${slug}`));
+        });
+    });
+}
+
+function main() {
+    const entries = validateEntries(JSON.parse(fs.readFileSync(DATA_FILE, 'utf8')));
+    const template = readText(TEMPLATE_FILE);
+    const slugs = new Set(entries.map(entry => entry.slug));
+    const outputs = new Map();
+
+    validateNavigator(slugs);
+
+    entries.forEach(entry => {
+        const file = path.join(PAGES_DIR, `${entry.slug}.html`);
+        if (!fs.existsSync(file) && !allowCreate) {
+            errors.push(`${entry.slug}: no page krankheitsbilder/${entry.slug}.html (check the slug or run with --create)`);
+        }
+        outputs.set(file, renderPage(template, entry));
+    });
+
+    fs.readdirSync(PAGES_DIR)
+        .filter(name => name.endsWith('.html') && !slugs.has(name.slice(0, -5)))
+        .forEach(name => errors.push(`krankheitsbilder/${name}: page has no entry in data/krankheitsbilder.json`));
+
+    outputs.set(OVERVIEW_FILE, renderOverview(readText(OVERVIEW_FILE), entries));
+
+    if (errors.length) {
+        console.error(`Krankheitsbilder build failed with ${errors.length} error(s):`);
+        errors.forEach(error => console.error(`  - ${error}`));
+        process.exit(1);
+    }
+
+    const changed = [...outputs].filter(([file, html]) => isOutdated(file, html));
+
+    if (checkOnly) {
+        if (changed.length) {
+            console.error('Generated files are out of date, run node scripts/build-krankheitsbilder.js:');
+            changed.forEach(([file]) => console.error(`  - ${path.relative(ROOT, file)}`));
+            process.exit(1);
+        }
+        console.log(`Krankheitsbilder up to date (${entries.length} entries).`);
+        return;
+    }
+
+    changed.forEach(([file, html]) => writeText(file, html));
+    console.log(`Krankheitsbilder built: ${entries.length} entries, ${changed.length} file(s) updated.`);
+}
+
+main();
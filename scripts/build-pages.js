@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+/**
+ * Neurologie Zentralschweiz AG Website - Page layout
+ * Fills the Content-Security-Policy, the header, the footer and the script tags of
+ * every German page from the partials in templates/partials/, so the navigation and
+ * the policy are the same everywhere. Links in the partials
+ * start from the site root ({{root}}) and are made relative to each page, and the
+ * navigation link of the current section is marked with aria-current="page".
+ * The page templates of the other generators are filled as well, with the links of
+ * the pages rendered from them.
+ *
+ * Afterwards the links and image sources of all pages, including the translated ones,
+ * are checked: a local target that does not exist or an #anchor without a matching id
+ * fails the build.
+ *
+ * Run it after the generators of the page content and before build-i18n.js.
+ *
+ * Usage:
+ *   node scripts/build-pages.js [--check]
+ *
+ *   --check    only compare, exit with an error if a page is out of date
+ *
+ * A page marks the parts the build fills like this:
+ *   <!-- layout:header:start (generated from templates/partials/header.html, see scripts/build-pages.js) -->
+ *   <!-- layout:header:end -->
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { decodeEntities, fillTemplate } = require('./lib/html');
+const { readText, writeText } = require('./lib/files');
+
+const ROOT = path.resolve(__dirname, '..');
+const PARTIALS_DIR = path.join(ROOT, 'templates', 'partials');
+const I18N_DIR = path.join(ROOT, 'data', 'i18n');
+
+const PARTIALS = ['csp', 'header', 'footer', 'scripts'];
+// Templates of the other generators, with the directory of the pages rendered from them
+const TEMPLATES = {
+    'templates/krankheitsbild.html': 'krankheitsbilder',
+    'blog/artikel-template.html': 'blog/artikel'
+};
+// Pages in these places belong to the navigation entry, besides the entry itself
+const NAV_SECTIONS = {
+    'krankheitsbilder.html': ['krankheitsbilder/'],
+    'blog/index.html': ['blog/', 'blog.html'],
+    'kontakt.html': ['zuweisung.html']
+};
+
+// Directories without pages of their own, templates/ only holds page shells
+const SKIPPED_DIRS = ['.git', 'node_modules', 'templates', 'content', 'data', 'scripts', 'docs'];
+const LINK_PATTERN = /\s(href|src)="([^"]*)"/g;
+const ID_PATTERN = /\s(?:id|name)="([^"]+)"/g;
+const LANGUAGES_REGION = /^([ \t]*)(<!-- i18n:languages:start[^>]*-->\n[\s\S]*?<!-- i18n:languages:end -->)/m;
+
+const checkOnly = process.argv.includes('--check');
+
+const errors = [];
+
+function toPosix(file) {
+    return path.relative(ROOT, file).split(path.sep).join('/');
+}
+
+function regionPattern(name) {
+    return new RegExp(`^([ \\t]*)(<!-- layout:${name}:start[^>]*-->\\n)(?:[\\s\\S]*?\\n)?[ \\t]*(<!-- layout:${name}:end -->)`, 'm');
+}
+
+// Translated versions are written by build-i18n.js, their directories are named after the catalogs
+function listLanguageDirs() {
+    if (!fs.existsSync(I18N_DIR)) return [];
+    return fs.readdirSync(I18N_DIR)
+        .map(name => name.match(/^pages\.(\w+)\.json$/))
+        .filter(Boolean)
+        .map(match => match[1]);
+}
+
+function listPages(dir, skipped) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) return skipped.includes(entry.name) ? [] : listPages(file, skipped);
+        return entry.name.endsWith('.html') && !(toPosix(file) in TEMPLATES) ? [file] : [];
+    });
+}
+
+function loadPartials() {
+    return Object.fromEntries(PARTIALS.map(name => {
+        const file = path.join(PARTIALS_DIR, `${name}.html`);
+        if (fs.existsSync(file)) return [name, readText(file)];
+        errors.push(`templates/partials/${name}.html does not exist`);
+        return [name, ''];
+    }));
+}
+
+// Navigation target of the section a page belongs to, e.g. krankheitsbilder/x.html -> krankheitsbilder.html
+function currentTarget(page) {
+    const section = Object.entries(NAV_SECTIONS)
+        .find(([, places]) => places.some(place => place.endsWith('/') ? page.startsWith(place) : page === place));
+    return section ? section[0] : page;
+}
+
+/**
+ * Partial lines for a page. location is where the page is served from, which
+ * differs from the file itself for the templates.
+ */
+function renderPartial(partial, location, languages) {
+    const root = '../'.repeat(location.split('/').length - 1);
+    const current = `<a href="${root}${currentTarget(location)}" class="nav-link">`;
+    const html = fillTemplate(partial, { root, languages })
+        .replace(current, current.replace('class="nav-link">', 'class="nav-link active" aria-current="page">'));
+
+    return html.replace(/\n$/, '').split('\n');
+}
+
+// The language switcher of build-i18n.js sits inside the navigation and is kept as it is
+function extractLanguages(region) {
+    const match = region.match(LANGUAGES_REGION);
+    if (!match) return [];
+    return match[2].split('\n').map((line, index) => index ? line.replace(new RegExp(`^${match[1]}`), '') : line);
+}
+
+function renderPage(html, page, location, partials) {
+    return PARTIALS.reduce((output, name) => {
+        const pattern = regionPattern(name);
+        const match = output.match(pattern);
+
+        if (!match) {
+            errors.push(`${page}: layout:${name}:start/end markers not found`);
+            return output;
+        }
+        const [region, indent, start, end] = match;
+        const lines = renderPartial(partials[name], location, extractLanguages(region));
+        return output.replace(pattern, () =>
+            `${indent}${start}${lines.map(line => (line ? indent + line : line)).join('\n')}\n${indent}${end}`);
+    }, html);
+}
+
+// Scripts, styles and comments may contain text that looks like a link
+function stripRawText(html) {
+    return html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/(<(script|style)\b[^>]*>)[\s\S]*?(<\/\2>)/gi, '$1$3');
+}
+
+function collectIds(file, cache) {
+    if (!cache.has(file)) {
+        const html = stripRawText(fs.readFileSync(file, 'utf8'));
+        const ids = new Set();
+        let match;
+
+        ID_PATTERN.lastIndex = 0;
+        while ((match = ID_PATTERN.exec(html))) ids.add(decodeEntities(match[1]));
+        cache.set(file, ids);
+    }
+    return cache.get(file);
+}
+
+// Local file a link points to, or null for external addresses and links that run a script
+function resolveLink(url, file) {
+    if (!url || url === '#' || /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(url)) return null;
+
+    const [target, anchor] = url.split('#');
+    let resolved = file;
+
+    if (target.split('?')[0]) {
+        const decoded = decodeURIComponent(target.split('?')[0]);
+        resolved = decoded.startsWith('/') ? path.join(ROOT, decoded) : path.resolve(path.dirname(file), decoded);
+        if (decoded.endsWith('/') || (fs.existsSync(resolved) && fs.statSync(resolved).isDirectory())) {
+            resolved = path.join(resolved, 'index.html');
+        }
+    }
+    return { file: resolved, anchor: anchor ? decodeURIComponent(anchor) : null };
+}
+
+function checkLinks(files) {
+    const ids = new Map();
+    let count = 0;
+
+    files.forEach(file => {
+        const page = toPosix(file);
+        const html = stripRawText(fs.readFileSync(file, 'utf8'));
+        let match;
+
+        LINK_PATTERN.lastIndex = 0;
+        while ((match = LINK_PATTERN.exec(html))) {
+            const url = decodeEntities(match[2]).trim();
+            let link;
+
+            try {
+                link = resolveLink(url, file);
+            } catch (error) {
+                errors.push(`${page}: ${match[1]}="${url}" is not a valid address`);
+                continue;
+            }
+            if (!link) continue;
+            count++;
+
+            if (!fs.existsSync(link.file)) {
+                errors.push(`${page}: ${match[1]}="${url}" points to ${toPosix(link.file)}, which does not exist`);
+            } else if (link.anchor && link.file.endsWith('.html') && !collectIds(link.file, ids).has(link.anchor)) {
+                errors.push(`${page}: ${match[1]}="${url}" points to a missing anchor #${link.anchor}`);
+            }
+        }
+    });
+    return count;
+}
+
+function main() {
+    const partials = loadPartials();
+    const pages = listPages(ROOT, [...SKIPPED_DIRS, ...listLanguageDirs()]);
+    const outputs = new Map();
+
+    pages.forEach(file => outputs.set(file, toPosix(file)));
+    // A template is filled as if it were one of the pages rendered from it
+    Object.entries(TEMPLATES).forEach(([template, dir]) => outputs.set(path.join(ROOT, template), `${dir}/${path.posix.basename(template)}`));
+
+    const changed = [];
+    outputs.forEach((location, file) => {
+        const html = readText(file);
+        const output = renderPage(html, toPosix(file), location, partials);
+        if (output !== html) changed.push([file, output]);
+    });
+
+    if (errors.length) {
+        console.error(`Page build failed with ${errors.length} error(s):`);
+        errors.forEach(error => console.error(`  - ${error}`));
+        process.exit(1);
+    }
+
+    if (checkOnly) {
+        if (changed.length) {
+            console.error('Pages are out of date, run node scripts/build-pages.js:');
+            changed.forEach(([file]) => console.error(`  - ${toPosix(file)}`));
+            process.exit(1);
+        }
+    } else {
+        changed.forEach(([file, html]) => writeText(file, html));
+    }
+
+    // The links are checked on the result, including the translated pages
+    const linkCount = checkLinks(listPages(ROOT, SKIPPED_DIRS));
+
+    if (errors.length) {
+        console.error(`Link check failed with ${errors.length} error(s):`);
+        errors.forEach(error => console.error(`  - ${error}`));
+        process.exit(1);
+    }
+
+    const summary = `${outputs.size} pages, ${linkCount} internal links checked`;
+    console.log(checkOnly ? `Pages up to date (${summary}).` : `Pages built: ${summary}, ${changed.length} file(s) updated.`);
+}
+
+main();
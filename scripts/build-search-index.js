@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+/**
+ * Neurologie Zentralschweiz AG Website - Search index builder
+ * Collects the title, headings and text of the content pages into
+ * data/search-index.json, which the site search in the header loads on demand.
+ *
+ * Usage:
+ *   node scripts/build-search-index.js [--check]
+ *
+ *   --check    only compare, exit with an error if the index is out of date
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { decodeEntities } = require('./lib/html');
+
+const ROOT = path.resolve(__dirname, '..');
+const INDEX_FILE = path.join(ROOT, 'data', 'search-index.json');
+
+// Pages to index, grouped by the label shown next to each result
+const SOURCES = [
+    { section: 'Krankheitsbild', dir: 'krankheitsbilder' },
+    { section: 'Blog', dir: 'blog', exclude: ['artikel-template.html'] },
+    { section: 'Blog', dir: 'blog/artikel' },
+    { section: 'Diagnostik', files: ['diagnostik.html'] },
+    { section: 'Therapie', files: ['therapie.html'] }
+];
+
+// Blocks repeated on many pages that would only add noise to the results
+const BOILERPLATE = [
+    /<div class="contact-hint"/,
+    /<section class="contact-quick"/,
+    /<nav class="breadcrumb"/,
+    /<nav class="table-of-contents"/,
+    /<aside class="article-sidebar"/,
+    /<footer class="article-footer"/,
+    /<section class="article-cta"/
+];
+
+const checkOnly = process.argv.includes('--check');
+
+function toText(html) {
+    return decodeEntities(html.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+// Remove an element including its children, matching nested tags of the same name
+function removeElement(html, startPattern) {
+    let match;
+    while ((match = startPattern.exec(html))) {
+        const tag = html.slice(match.index + 1).match(/^\w+/)[0];
+        const tagPattern = new RegExp(`<(/?)${tag}\\b[^>]*>`, 'g');
+        tagPattern.lastIndex = match.index;
+
+        let depth = 0;
+        let end = html.length;
+        let tagMatch;
+        while ((tagMatch = tagPattern.exec(html))) {
+            depth += tagMatch[1] ? -1 : 1;
+            if (depth === 0) {
+                end = tagPattern.lastIndex;
+                break;
+            }
+        }
+        html = html.slice(0, match.index) + html.slice(end);
+    }
+    return html;
+}
+
+function indexPage(file, section) {
+    const html = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    const mainMatch = html.match(/<main\b[^>]*>([\s\S]*)<\/main>/);
+
+    if (!mainMatch) {
+        throw new Error(`${file}: no <main> element`);
+    }
+
+    const main = BOILERPLATE.reduce(removeElement, mainMatch[1]
+        .replace(/<script\b[\s\S]*?<\/script>/g, '')
+        .replace(/<style\b[\s\S]*?<\/style>/g, ''));
+
+    const titleMatch = main.match(/<h1\b[^>]*>([\s\S]*?)<\/h1>/);
+    const headings = [];
+    const text = main
+        .replace(/<h1\b[\s\S]*?<\/h1>/, '')
+        .replace(/<h([2-4])\b[^>]*>([\s\S]*?)<\/h\1>/g, (match, level, content) => {
+            headings.push(toText(content));
+            return ' ';
+        });
+
+    return {
+        url: file.split(path.sep).join('/'),
+        section,
+        title: titleMatch ? toText(titleMatch[1]) : path.basename(file, '.html'),
+        headings: headings.filter(Boolean),
+        text: toText(text)
+    };
+}
+
+function listFiles(source) {
+    if (source.files) return source.files;
+
+    return fs.readdirSync(path.join(ROOT, source.dir))
+        .filter(name => name.endsWith('.html') && !(source.exclude || []).includes(name))
+        .sort()
+        .map(name => path.join(source.dir, name));
+}
+
+function main() {
+    const pages = SOURCES.flatMap(source => listFiles(source).map(file => indexPage(file, source.section)));
+    const json = JSON.stringify(pages) + '\n';
+    const current = fs.existsSync(INDEX_FILE) ? fs.readFileSync(INDEX_FILE, 'utf8') : null;
+
+    if (checkOnly) {
+        if (current !== json) {
+            console.error('data/search-index.json is out of date, run node scripts/build-search-index.js');
+            process.exit(1);
+        }
+        console.log(`Search index up to date (${pages.length} pages).`);
+        return;
+    }
+
+    fs.writeFileSync(INDEX_FILE, json);
+    console.log(`Search index built: ${pages.length} pages, ${Math.round(json.length / 1024)} KB.`);
+}
+
+main();
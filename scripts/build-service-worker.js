@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+/**
+ * Neurologie Zentralschweiz AG Website - Service worker precache
+ * Writes the list of files sw.js keeps for offline use and a version hashed from
+ * their content into sw.js. Every change to a precached file gives a new version,
+ * and the new service worker deletes the caches of the old one when it takes over.
+ *
+ * Precached are the core pages with their translated versions, the offline page,
+ * style.css, every script in assets/js (the feature modules a page loads on demand
+ * included), the data the core pages load, the AVIF variants of the team
+ * photos from data/team.json and the web app manifest with its icons.
+ *
+ * Every page must link the manifest and set the theme color of the manifest, so the
+ * site can be installed from any page.
+ *
+ * Run it after the other generators, the precached pages start from their output.
+ *
+ * Usage:
+ *   node scripts/build-service-worker.js [--check]
+ *
+ *   --check    only compare, exit with an error if sw.js is out of date
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadTeam } = require('./lib/team');
+const { listVariants } = require('./lib/images');
+
+const ROOT = path.resolve(__dirname, '..');
+const WORKER_FILE = path.join(ROOT, 'sw.js');
+const MANIFEST_FILE = path.join(ROOT, 'manifest.webmanifest');
+const TEAM_FILE = path.join(ROOT, 'data', 'team.json');
+const I18N_DIR = path.join(ROOT, 'data', 'i18n');
+
+// Pages patients need without a connection: contact numbers, team and the condition overview
+const CORE_PAGES = ['index.html', 'kontakt.html', 'team.html', 'krankheitsbilder.html', 'offline.html'];
+const ASSETS = ['assets/css/style.css'];
+const SCRIPTS_DIR = path.join(ROOT, 'assets', 'js');
+// Loaded by the core pages, see CONFIG in assets/js/core/config.js
+const DATA_FILES = ['data/locations.json', 'data/closures.json', 'data/team.json', 'data/symptom-navigator.json', 'data/postcodes.json'];
+
+// Directories without pages of their own, templates/ only holds page shells
+const SKIPPED_DIRS = ['.git', 'node_modules', 'templates', 'content', 'data', 'scripts'];
+// Rendered into blog/artikel/, its links start from there
+const TEMPLATE_FILE = path.join(ROOT, 'blog', 'artikel-template.html');
+const MANIFEST_FIELDS = ['name', 'short_name', 'start_url', 'display', 'theme_color', 'icons'];
+const INDENT = '    ';
+
+const PRECACHE_MARKERS = /(\/\* precache:start[^*]*\*\/\n)[\s\S]*?(\/\* precache:end \*\/)/;
+
+const checkOnly = process.argv.includes('--check');
+
+const errors = [];
+
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        errors.push(`${path.relative(ROOT, file)}: ${error.message}`);
+        return null;
+    }
+}
+
+function loadManifest() {
+    const manifest = readJson(MANIFEST_FILE);
+    if (!manifest) return { icons: [] };
+
+    MANIFEST_FIELDS
+        .filter(field => !(field in manifest))
+        .forEach(field => errors.push(`manifest.webmanifest: missing ${field}`));
+
+    if (manifest.start_url && !fs.existsSync(path.join(ROOT, manifest.start_url))) {
+        errors.push(`manifest.webmanifest: start_url ${manifest.start_url} does not exist`);
+    }
+    if (!Array.isArray(manifest.icons) || !manifest.icons.length) {
+        errors.push('manifest.webmanifest: icons must list at least one icon');
+        manifest.icons = [];
+    }
+    return manifest;
+}
+
+// Translated versions of the core pages and the interface texts they load
+function listTranslations() {
+    if (!fs.existsSync(I18N_DIR)) return [];
+
+    return fs.readdirSync(I18N_DIR)
+        .map(name => name.match(/^pages\.(\w+)\.json$/))
+        .filter(Boolean)
+        .flatMap(([name, language]) => {
+            const catalog = readJson(path.join(I18N_DIR, name)) || {};
+            const pages = (catalog.pages || []).filter(page => CORE_PAGES.includes(page));
+            return pages.length ? [...pages.map(page => `${language}/${page}`), `data/i18n/messages.${language}.json`] : [];
+        });
+}
+
+// main.js, legacy.js and the modules, sorted so the list only changes with the files
+function listScripts(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .flatMap(entry => {
+            const file = path.join(dir, entry.name);
+            if (entry.isDirectory()) return listScripts(file);
+            return entry.name.endsWith('.js') ? [path.relative(ROOT, file).split(path.sep).join('/')] : [];
+        });
+}
+
+function listPrecache(manifest) {
+    // Every current browser picks the AVIF variants, the others load their format when online
+    const photos = loadTeam(TEAM_FILE, ROOT, errors)
+        .flatMap(member => listVariants(member.photo).filter(variant => variant.ext === 'avif').map(variant => variant.file));
+    const icons = manifest.icons.map(icon => icon.src);
+    const files = [...new Set([
+        ...CORE_PAGES, ...listTranslations(), ...ASSETS, ...listScripts(SCRIPTS_DIR), ...DATA_FILES,
+        ...photos, 'manifest.webmanifest', ...icons
+    ])];
+
+    files
+        .filter(file => !fs.existsSync(path.join(ROOT, file)))
+        .forEach(file => errors.push(`precached file ${file} does not exist`));
+    return files;
+}
+
+// The version only depends on the precached files, so unchanged deployments keep their caches
+function hashFiles(files) {
+    const hash = crypto.createHash('sha256');
+    files.forEach(file => {
+        hash.update(`${file}\n`);
+        if (fs.existsSync(path.join(ROOT, file))) hash.update(fs.readFileSync(path.join(ROOT, file)));
+    });
+    return hash.digest('hex').slice(0, 12);
+}
+
+function renderWorker(worker, version, files) {
+    if (!PRECACHE_MARKERS.test(worker)) {
+        errors.push('sw.js: precache:start/end markers not found');
+        return worker;
+    }
+    const lines = [
+        `const VERSION = '${version}';`,
+        'const PRECACHE_URLS = [',
+        files.map(file => `${INDENT}'${file}'`).join(',\n'),
+        '];'
+    ];
+    return worker.replace(PRECACHE_MARKERS, (match, start, end) => `${start}${lines.join('\n')}\n${end}`);
+}
+
+function listPages(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) return SKIPPED_DIRS.includes(entry.name) ? [] : listPages(file);
+        return entry.name.endsWith('.html') && file !== TEMPLATE_FILE ? [file] : [];
+    });
+}
+
+function checkManifestLinks(manifest) {
+    listPages(ROOT).forEach(file => {
+        const html = fs.readFileSync(file, 'utf8');
+        const page = path.relative(ROOT, file).split(path.sep).join('/');
+        const href = path.relative(path.dirname(file), MANIFEST_FILE).split(path.sep).join('/');
+        const link = html.match(/<link rel="manifest"[^>]*>/);
+        const themeColor = html.match(/<meta name="theme-color" content="([^"]*)">/);
+
+        if (!link) {
+            errors.push(`${page}: missing <link rel="manifest" href="${href}">`);
+        } else if (!link[0].includes(`href="${href}"`)) {
+            errors.push(`${page}: the manifest link must point to ${href}`);
+        }
+        if (!themeColor) {
+            errors.push(`${page}: missing <meta name="theme-color" content="${manifest.theme_color}">`);
+        } else if (themeColor[1] !== manifest.theme_color) {
+            errors.push(`${page}: theme-color ${themeColor[1]} differs from the manifest (${manifest.theme_color})`);
+        }
+    });
+}
+
+function main() {
+    const manifest = loadManifest();
+    const files = listPrecache(manifest);
+    const version = hashFiles(files);
+    const worker = fs.readFileSync(WORKER_FILE, 'utf8');
+    const output = renderWorker(worker, version, files);
+
+    checkManifestLinks(manifest);
+
+    if (errors.length) {
+        console.error(`Service worker build failed with ${errors.length} error(s):`);
+        errors.forEach(error => console.error(`  - ${error}`));
+        process.exit(1);
+    }
+
+    const size = files.reduce((total, file) => total + fs.statSync(path.join(ROOT, file)).size, 0);
+    const summary = `${files.length} files, ${Math.round(size / 1024)} KB, version ${version}`;
+
+    if (checkOnly) {
+        if (output !== worker) {
+            console.error('sw.js is out of date, run node scripts/build-service-worker.js');
+            process.exit(1);
+        }
+        console.log(`Service worker up to date (${summary}).`);
+        return;
+    }
+
+    if (output !== worker) fs.writeFileSync(WORKER_FILE, output);
+    console.log(`Service worker built: ${summary}${output === worker ? ', unchanged' : ''}.`);
+}
+
+main();
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/**
+ * Neurologie Zentralschweiz AG Website - Team page generator
+ * Checks data/team.json and builds the team cards in team.html from it, one grid
+ * per group. The biographies in the modal are rendered from the same file in the browser.
+ *
+ * Usage:
+ *   node scripts/build-team.js [--check]
+ *
+ *   --check    only compare, exit with an error if team.html is out of date
+ */
+
+'use strict';
+
+const path = require('path');
+const { escapeHtml } = require('./lib/html');
+const { GROUPS, loadTeam } = require('./lib/team');
+const { renderPicture } = require('./lib/images');
+const { readText, isOutdated, writeText } = require('./lib/files');
+
+const ROOT = path.resolve(__dirname, '..');
+const DATA_FILE = path.join(ROOT, 'data', 'team.json');
+const TEAM_FILE = path.join(ROOT, 'team.html');
+
+const BADGE_CLASSES = { aerzte: 'team-badge', mpa: 'team-badge support-badge', raumpflege: 'team-badge cleaning-badge' };
+const LOCATION_LABELS = { zug: 'Zug', schwyz: 'Schwyz' };
+// Two cards per row from 768px, the container is at most 1200px wide
+const PHOTO_SIZES = '(min-width: 1200px) 576px, (min-width: 768px) 50vw, 100vw';
+const INDENT = '    ';
+
+const checkOnly = process.argv.includes('--check');
+
+const errors = [];
+
+function markers(group) {
+    return new RegExp(`(<!-- team:${group}:start[^>]*-->\\n)(?:[\\s\\S]*?\\n)?([ \\t]*<!-- team:${group}:end -->)`);
+}
+
+function renderCard(member) {
+    // The blog author bylines link team.html#bio-<id>, the id keeps the link working without JavaScript
+    const id = member.biography ? ` id="bio-${member.id}"` : '';
+    const lines = [
+        `<article class="team-card"${id}>`,
+        `${INDENT}<div class="team-card-image">`,
+        ...renderPicture(member.photo, { alt: member.name, className: 'team-photo', sizes: PHOTO_SIZES })
+            .map(line => INDENT.repeat(2) + line),
+        `${INDENT.repeat(2)}<div class="${BADGE_CLASSES[member.group]}">`,
+        `${INDENT.repeat(3)}<span>${escapeHtml(member.badge)}</span>`,
+        `${INDENT.repeat(2)}</div>`
+    ];
+
+    if (member.locations) {
+        lines.push(
+            `${INDENT.repeat(2)}<div class="location-badge">`,
+            `${INDENT.repeat(3)}<span>${escapeHtml(member.locations.map(key => LOCATION_LABELS[key]).join(' & '))}</span>`,
+            `${INDENT.repeat(2)}</div>`
+        );
+    }
+
+    lines.push(
+        `${INDENT}</div>`,
+        `${INDENT}<div class="team-card-content">`,
+        `${INDENT.repeat(2)}<h3>${escapeHtml(member.name)}</h3>`,
+        `${INDENT.repeat(2)}<p class="team-title">${escapeHtml(member.title)}</p>`,
+        `${INDENT.repeat(2)}<div class="team-specialties">`,
+        ...member.specialties.map(specialty => `${INDENT.repeat(3)}<span class="specialty-tag">${escapeHtml(specialty)}</span>`),
+        `${INDENT.repeat(2)}</div>`
+    );
+
+    if (member.biography) {
+        lines.push(
+            `${INDENT.repeat(2)}<button type="button" class="btn-more-info" data-team-member="${member.id}" aria-haspopup="dialog">`,
+            `${INDENT.repeat(3)}Mehr erfahren`,
+            `${INDENT.repeat(3)}<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">`,
+            `${INDENT.repeat(4)}<path d="M6 9l6 6 6-6"/>`,
+            `${INDENT.repeat(3)}</svg>`,
+            `${INDENT.repeat(2)}</button>`
+        );
+    }
+
+    lines.push(`${INDENT}</div>`, '</article>');
+    return lines;
+}
+
+function renderTeamPage(html, members) {
+    return GROUPS.reduce((page, group) => {
+        const pattern = markers(group);
+
+        if (!pattern.test(page)) {
+            errors.push(`team.html: team:${group}:start/end markers not found`);
+            return page;
+        }
+
+        return page.replace(pattern, (match, start, end) => {
+            const indent = end.match(/^[ \t]*/)[0];
+            const cards = members
+                .filter(member => member.group === group)
+                .map(member => renderCard(member).map(line => indent + line).join('\n'))
+                .join('\n\n');
+            return cards ? `${start}${cards}\n${end}` : `${start}${end}`;
+        });
+    }, html);
+}
+
+function main() {
+    const members = loadTeam(DATA_FILE, ROOT, errors);
+    const html = renderTeamPage(readText(TEAM_FILE), members);
+
+    if (errors.length) {
+        console.error(`Team build failed with ${errors.length} error(s):`);
+        errors.forEach(error => console.error(`  - ${error}`));
+        process.exit(1);
+    }
+
+    const changed = isOutdated(TEAM_FILE, html);
+
+    if (checkOnly) {
+        if (changed) {
+            console.error('team.html is out of date, run node scripts/build-team.js');
+            process.exit(1);
+        }
+        console.log(`Team page up to date (${members.length} members).`);
+        return;
+    }
+
+    if (changed) writeText(TEAM_FILE, html);
+    console.log(`Team page built: ${members.length} members, ${changed ? 'team.html updated' : 'no changes'}.`);
+}
+
+main();
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/**
+ * Neurologie Zentralschweiz AG Website - Script size budget
+ * Reports how much JavaScript the pages load, measured gzip-compressed per file as the
+ * server sends it: the core (assets/js/main.js with everything it imports) and each
+ * feature module a page names with data-module, with the files it adds to the core.
+ * Files shared by several modules of a page count once.
+ *
+ * Fails when the core, a module or a page goes over its budget below, or when a page
+ * names a module that does not exist in assets/js/modules/.
+ *
+ * Usage:
+ *   node scripts/check-bundle-size.js [--pages]
+ *
+ *   --pages    list every page with the modules it loads, not only the largest
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const ROOT = path.resolve(__dirname, '..');
+const SCRIPTS_DIR = path.join(ROOT, 'assets', 'js');
+const ENTRY_FILE = path.join(SCRIPTS_DIR, 'main.js');
+const MODULES_DIR = path.join(SCRIPTS_DIR, 'modules');
+
+// Budgets in bytes after gzip. The core runs on every page, so it gets the tightest one
+const BUDGETS = {
+    core: 20 * 1024,
+    module: 12 * 1024,
+    page: 40 * 1024
+};
+
+// Directories without pages of their own, templates/ only holds page shells
+const SKIPPED_DIRS = ['.git', 'node_modules', 'templates', 'content', 'data', 'scripts', 'docs'];
+// Rendered into blog/artikel/, measured there
+const SKIPPED_PAGES = ['blog/artikel-template.html'];
+const IMPORT_PATTERN = /^import\s+(?:[\w{}\s,*]+\s+from\s+)?'([^']+)';$/gm;
+const MODULE_PATTERN = /\sdata-module="([^"]*)"/g;
+
+const listAll = process.argv.includes('--pages');
+
+const errors = [];
+
+function toPosix(file) {
+    return path.relative(ROOT, file).split(path.sep).join('/');
+}
+
+function formatSize(bytes) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+function listPages(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) return SKIPPED_DIRS.includes(entry.name) ? [] : listPages(file);
+        return entry.name.endsWith('.html') && !SKIPPED_PAGES.includes(toPosix(file)) ? [file] : [];
+    });
+}
+
+// Raw and compressed size of every file, read once
+function measure(file, sizes) {
+    if (!sizes.has(file)) {
+        const content = fs.readFileSync(file);
+        sizes.set(file, { raw: content.length, gzip: zlib.gzipSync(content, { level: 9 }).length });
+    }
+    return sizes.get(file);
+}
+
+// A file with everything it imports statically; import() is loaded on demand and not followed
+function collectImports(file, files = new Set()) {
+    if (files.has(file)) return files;
+    if (!fs.existsSync(file)) {
+        errors.push(`${toPosix(file)} is imported but does not exist`);
+        return files;
+    }
+    files.add(file);
+
+    const source = fs.readFileSync(file, 'utf8');
+    let match;
+
+    IMPORT_PATTERN.lastIndex = 0;
+    while ((match = IMPORT_PATTERN.exec(source))) {
+        collectImports(path.resolve(path.dirname(file), match[1]), files);
+    }
+    return files;
+}
+
+function total(files, sizes) {
+    return [...files].reduce((sum, file) => {
+        const size = measure(file, sizes);
+        return { raw: sum.raw + size.raw, gzip: sum.gzip + size.gzip };
+    }, { raw: 0, gzip: 0 });
+}
+
+function listPageModules(file) {
+    const html = fs.readFileSync(file, 'utf8');
+    const names = new Set();
+    let match;
+
+    MODULE_PATTERN.lastIndex = 0;
+    while ((match = MODULE_PATTERN.exec(html))) {
+        match[1].split(/\s+/).filter(Boolean).forEach(name => names.add(name));
+    }
+    return [...names];
+}
+
+function checkBudget(label, size, budget) {
+    if (size.gzip > budget) {
+        errors.push(`${label} loads ${formatSize(size.gzip)} gzip, the budget is ${formatSize(budget)}`);
+    }
+}
+
+function main() {
+    const sizes = new Map();
+    const core = collectImports(ENTRY_FILE);
+    const coreSize = total(core, sizes);
+    checkBudget('the core (main.js)', coreSize, BUDGETS.core);
+
+    console.log(`Core: ${core.size} files, ${formatSize(coreSize.raw)}, ${formatSize(coreSize.gzip)} gzip (budget ${formatSize(BUDGETS.core)})`);
+
+    // Only the files a module adds to the core are its own cost
+    const modules = new Map(fs.readdirSync(MODULES_DIR)
+        .filter(name => name.endsWith('.js'))
+        .sort()
+        .map(name => {
+            const files = [...collectImports(path.join(MODULES_DIR, name))].filter(file => !core.has(file));
+            return [path.basename(name, '.js'), files];
+        }));
+
+    console.log('Modules, with the files they add to the core:');
+    modules.forEach((files, name) => {
+        const size = total(files, sizes);
+        const shared = files.slice(1).map(file => path.relative(SCRIPTS_DIR, file).split(path.sep).join('/'));
+        checkBudget(`module ${name}`, size, BUDGETS.module);
+        console.log(`  ${name.padEnd(18)} ${formatSize(size.gzip).padStart(8)} gzip${shared.length ? `  (+ ${shared.join(', ')})` : ''}`);
+    });
+
+    const pages = listPages(ROOT).map(file => {
+        const page = toPosix(file);
+        const names = listPageModules(file);
+        const files = new Set(core);
+
+        names.forEach(name => {
+            if (modules.has(name)) {
+                modules.get(name).forEach(moduleFile => files.add(moduleFile));
+            } else {
+                errors.push(`${page}: data-module="${name}" has no assets/js/modules/${name}.js`);
+            }
+        });
+        const size = total(files, sizes);
+        checkBudget(page, size, BUDGETS.page);
+        return { page, names, size };
+    }).sort((a, b) => b.size.gzip - a.size.gzip);
+
+    const listed = listAll ? pages : pages.slice(0, 1);
+    console.log(listAll ? 'Pages:' : `Largest of ${pages.length} pages:`);
+    listed.forEach(({ page, names, size }) => {
+        console.log(`  ${page}: ${formatSize(size.gzip)} gzip (budget ${formatSize(BUDGETS.page)})${names.length ? `, ${names.join(' ')}` : ''}`);
+    });
+
+    if (errors.length) {
+        console.error(`Size check failed with ${errors.length} error(s):`);
+        errors.forEach(error => console.error(`  - ${error}`));
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+/**
+ * Neurologie Zentralschweiz AG Website - Content-Security-Policy check
+ * The pages carry a strict policy (templates/partials/csp.html, filled in by
+ * build-pages.js): scripts and styles only come from the site itself. This check
+ * keeps the pages and scripts compatible with it and fails on anything the browser
+ * would block:
+ *
+ *   - pages without the policy, or a policy that allows inline code or eval
+ *   - <script> blocks with inline code (JSON-LD data blocks are not run and are allowed), also
+ *     consent-gated ones: ConsentManager only activates gated scripts from data-src
+ *   - inline event handlers (onclick="...") and javascript: URLs
+ *   - style="..." attributes and <style> elements
+ *   - scripts in assets/js that inject styles (<style>, style.cssText, setAttribute('style')),
+ *     build handlers or styles into HTML strings, or run strings as code
+ *
+ * Setting single properties like element.style.width from a script is allowed, the
+ * policy does not cover it.
+ *
+ * Usage:
+ *   node scripts/check-csp.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const SCRIPTS_DIR = path.join(ROOT, 'assets', 'js');
+
+// templates/ holds page shells and partials, they are checked like the pages
+const SKIPPED_DIRS = ['.git', 'node_modules', 'content', 'data', 'scripts', 'docs'];
+// Partials are parts of pages, only whole pages need the policy
+const PARTIALS_DIR = path.join(ROOT, 'templates', 'partials');
+
+const POLICY_PATTERN = /<meta\s+http-equiv="Content-Security-Policy"\s+content="([^"]*)"/i;
+const SCRIPT_PATTERN = /<script\b([^>]*)>([\s\S]*?)<\/script>/gi;
+const TAG_PATTERN = /<[a-zA-Z][\w:-]*((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+// Scripts with these types hold data, browsers do not run them
+const DATA_TYPES = ['application/ld+json', 'application/json', 'text/plain'];
+const UNSAFE_SOURCES = ["'unsafe-inline'", "'unsafe-eval'", "'unsafe-hashes'", 'data:', '*'];
+
+// Patterns in the scripts, with what the policy would block
+const SCRIPT_RULES = [
+    { pattern: /createElement\(\s*['"]style['"]\s*\)/, message: 'creates a <style> element' },
+    { pattern: /\.style\.cssText\s*=/, message: 'sets style.cssText' },
+    { pattern: /setAttribute\(\s*['"](?:style|on\w+)['"]/, message: 'sets a style or event handler attribute' },
+    { pattern: /\b(?:innerHTML|outerHTML)\s*\+?=|insertAdjacentHTML\(/, message: 'writes HTML', check: (line) => /\son\w+\s*=|\sstyle\s*=|<script|<style/i.test(line) },
+    { pattern: /\beval\(|\bnew Function\(/, message: 'runs a string as code' },
+    { pattern: /\bset(?:Timeout|Interval)\(\s*['"`]/, message: 'runs a string as code' },
+    { pattern: /document\.write(?:ln)?\(/, message: 'uses document.write' }
+];
+
+const errors = [];
+
+function toPosix(file) {
+    return path.relative(ROOT, file).split(path.sep).join('/');
+}
+
+function listFiles(dir, extension, skipped) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) return skipped.includes(entry.name) ? [] : listFiles(file, extension, skipped);
+        return entry.name.endsWith(extension) ? [file] : [];
+    });
+}
+
+function lineOf(text, index) {
+    return text.slice(0, index).split('\n').length;
+}
+
+function getAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`\\s${name}="([^"]*)"`, 'i'));
+    return match ? match[1] : null;
+}
+
+// script-src and style-src fall back to default-src when they are missing
+function checkPolicy(page, policy) {
+    const directives = new Map(policy.split(';')
+        .map(directive => directive.trim().split(/\s+/))
+        .filter(([name]) => name)
+        .map(([name, ...sources]) => [name.toLowerCase(), sources]));
+
+    ['script-src', 'style-src'].forEach(name => {
+        const sources = directives.get(name) || directives.get('default-src');
+        if (!sources) {
+            errors.push(`${page}: the policy sets neither ${name} nor default-src`);
+            return;
+        }
+        sources
+            .filter(source => UNSAFE_SOURCES.includes(source.toLowerCase()))
+            .forEach(source => errors.push(`${page}: ${name} allows ${source}`));
+    });
+}
+
+function checkPage(file) {
+    const page = toPosix(file);
+    const html = fs.readFileSync(file, 'utf8').replace(/<!--[\s\S]*?-->/g, comment => comment.replace(/[^\n]/g, ' '));
+    let match;
+
+    if (!file.startsWith(PARTIALS_DIR + path.sep)) {
+        const policy = html.match(POLICY_PATTERN);
+        if (policy) {
+            checkPolicy(page, policy[1]);
+        } else {
+            errors.push(`${page}: Content-Security-Policy meta tag missing, see templates/partials/csp.html`);
+        }
+    }
+
+    SCRIPT_PATTERN.lastIndex = 0;
+    while ((match = SCRIPT_PATTERN.exec(html))) {
+        const type = (getAttribute(match[1], 'type') || '').toLowerCase();
+        const line = lineOf(html, match.index);
+
+        if (/\sdata-consent=/i.test(match[1])) {
+            if (match[2].trim() || !getAttribute(match[1], 'data-src')) {
+                errors.push(`${page}:${line}: consent-gated <script> needs data-src and no inline code, see assets/js/core/consent.js`);
+            }
+        } else if (match[2].trim() && !DATA_TYPES.includes(type)) {
+            errors.push(`${page}:${line}: inline <script> block, move the code into a module in assets/js/modules/`);
+        }
+    }
+
+    if (/<style\b/i.test(html)) {
+        errors.push(`${page}:${lineOf(html, html.search(/<style\b/i))}: <style> element, move the rules into assets/css/style.css`);
+    }
+
+    // Script contents may look like attributes, only the tags themselves are checked
+    const tags = html.replace(SCRIPT_PATTERN, (script, attributes, content) => script.replace(content, content.replace(/[^\n]/g, ' ')));
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(tags))) {
+        const attributes = match[1];
+        const line = lineOf(tags, match.index);
+        const handler = attributes.match(/\s(on[a-z]+)\s*=/i);
+
+        if (handler) errors.push(`${page}:${line}: inline event handler ${handler[1]}, bind it in a module instead`);
+        if (/\sstyle\s*=/i.test(attributes)) errors.push(`${page}:${line}: style attribute, use a class from assets/css/style.css`);
+        if (/\s(?:href|src|action)\s*=\s*"\s*javascript:/i.test(attributes)) errors.push(`${page}:${line}: javascript: URL`);
+    }
+}
+
+function checkScript(file) {
+    const script = toPosix(file);
+    fs.readFileSync(file, 'utf8').split('\n').forEach((line, index) => {
+        if (/^\s*(\/\/|\*)/.test(line)) return;
+
+        SCRIPT_RULES
+            .filter(rule => rule.pattern.test(line) && (!rule.check || rule.check(line)))
+            .forEach(rule => errors.push(`${script}:${index + 1}: ${rule.message}, which the Content-Security-Policy blocks`));
+    });
+}
+
+function main() {
+    const pages = listFiles(ROOT, '.html', SKIPPED_DIRS);
+    const scripts = listFiles(SCRIPTS_DIR, '.js', []);
+
+    pages.forEach(checkPage);
+    scripts.forEach(checkScript);
+
+    if (errors.length) {
+        console.error(`CSP check failed with ${errors.length} error(s):`);
+        errors.forEach(error => console.error(`  - ${error}`));
+        process.exit(1);
+    }
+    console.log(`CSP check OK (${pages.length} pages, ${scripts.length} scripts).`);
+}
+
+main();
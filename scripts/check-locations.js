@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+/**
+ * Neurologie Zentralschweiz AG Website - Location data check
+ * Validates data/locations.json, data/closures.json and data/postcodes.json (the
+ * postcode/town pairs forms check addresses against) and compares every page
+ * against the locations: each element
+ * with data-contact="<key>.<field>" must show what assets/js/core/locations.js
+ * renders for it, so the static fallback is correct without JavaScript, and every
+ * tel: link must dial a number from the data.
+ *
+ * Usage:
+ *   node scripts/check-locations.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const DATA_FILE = path.join(ROOT, 'data', 'locations.json');
+const CLOSURES_FILE = path.join(ROOT, 'data', 'closures.json');
+const POSTCODES_FILE = path.join(ROOT, 'data', 'postcodes.json');
+
+const SKIPPED_DIRS = ['.git', 'node_modules', 'content', 'data', 'scripts'];
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const DAY_NAMES = ['Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag', 'Samstag', 'Sonntag'];
+const SHORT_DAY_NAMES = ['Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa', 'So'];
+const LOCATION_FIELDS = ['name', 'street', 'postalCode', 'town', 'canton', 'phone', 'fax', 'email'];
+const CONTACT_FIELDS = ['name', 'phone', 'tel', 'fax', 'email', 'address', 'map', 'hours'];
+const RESERVED_KEYS = ['main', 'all'];
+
+const PHONE_PATTERN = /^\+41\d{9}$/;
+const SHORT_NUMBER_PATTERN = /^1\d{2,3}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', nbsp: ' ' };
+
+const errors = [];
+
+function isText(value) {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+// The formatting below mirrors the Locations module in assets/js/core/locations.js
+function formatPhone(number) {
+    const match = number.match(/^\+41(\d{2})(\d{3})(\d{2})(\d{2})$/);
+    return match ? `0${match[1]} ${match[2]} ${match[3]} ${match[4]}` : number;
+}
+
+function getMapUrl(location) {
+    return `https://maps.google.com/?q=${[location.street, location.postalCode, location.town].join(' ').replace(/\s+/g, '+')}`;
+}
+
+function groupDays(openingHours) {
+    return WEEKDAYS.reduce((groups, weekday, index) => {
+        const hours = openingHours[weekday] || [];
+        const last = groups[groups.length - 1];
+
+        if (last && JSON.stringify(last.hours) === JSON.stringify(hours)) {
+            last.to = index;
+        } else {
+            groups.push({ from: index, to: index, hours });
+        }
+        return groups;
+    }, []);
+}
+
+function hoursSummary(locations) {
+    const shared = locations.every(location => JSON.stringify(location.openingHours) === JSON.stringify(locations[0].openingHours));
+
+    return (shared ? locations.slice(0, 1) : locations).flatMap(location => groupDays(location.openingHours)
+        .filter(group => group.hours.length)
+        .map(group => {
+            const days = group.from === group.to
+                ? SHORT_DAY_NAMES[group.from]
+                : `${SHORT_DAY_NAMES[group.from]}–${SHORT_DAY_NAMES[group.to]}`;
+            const line = `${days}: ${group.hours.map(([start, end]) => `${start}–${end}`).join(' | ')}`;
+            return shared ? line : `${location.name} ${line}`;
+        }));
+}
+
+function hoursRows(location) {
+    return groupDays(location.openingHours).map(group => {
+        let days = DAY_NAMES[group.from];
+        if (group.to === group.from + 1) {
+            days += ` und ${DAY_NAMES[group.to]}`;
+        } else if (group.to > group.from) {
+            days += ` - ${DAY_NAMES[group.to]}`;
+        }
+        const hours = group.hours.length
+            ? `${group.hours.map(([start, end]) => `${start} - ${end}`).join(' und ')} Uhr`
+            : 'geschlossen';
+        return `${days} ${hours}`;
+    });
+}
+
+function validateHours(openingHours, context) {
+    if (!openingHours || typeof openingHours !== 'object') {
+        errors.push(`${context}: openingHours is missing`);
+        return;
+    }
+
+    Object.entries(openingHours).forEach(([weekday, hours]) => {
+        if (!WEEKDAYS.includes(weekday)) {
+            errors.push(`${context}: unknown weekday ${weekday}`);
+            return;
+        }
+        const valid = Array.isArray(hours) && hours.every(interval => Array.isArray(interval) &&
+            interval.length === 2 && interval.every(time => TIME_PATTERN.test(time)) && interval[0] < interval[1]);
+        if (!valid) {
+            errors.push(`${context}: ${weekday} must list [start, end] pairs as HH:MM with start before end`);
+        } else if (hours.some((interval, index) => index && interval[0] < hours[index - 1][1])) {
+            errors.push(`${context}: ${weekday} has overlapping or unsorted hours`);
+        }
+    });
+}
+
+function validateData(data) {
+    if (!data || !data.organization || !data.locations || !data.emergency) {
+        errors.push('data/locations.json: expected organization, locations and emergency');
+        return false;
+    }
+
+    const { organization, locations, emergency } = data;
+
+    ['name', 'url'].forEach(field => {
+        if (!isText(organization[field])) errors.push(`organization: ${field} is missing`);
+    });
+    if (!locations[organization.mainLocation]) errors.push('organization: mainLocation must be the key of a location');
+
+    Object.entries(locations).forEach(([key, location]) => {
+        const missing = LOCATION_FIELDS.filter(field => !isText(location[field]));
+
+        if (missing.length) errors.push(`${key}: missing ${missing.join(', ')}`);
+        ['phone', 'fax'].forEach(field => {
+            if (isText(location[field]) && !PHONE_PATTERN.test(location[field])) {
+                errors.push(`${key}: ${field} must be written as +41 followed by nine digits`);
+            }
+        });
+        if (isText(location.postalCode) && !/^\d{4}$/.test(location.postalCode)) errors.push(`${key}: postalCode must have four digits`);
+        if (isText(location.canton) && !/^[A-Z]{2}$/.test(location.canton)) errors.push(`${key}: canton must be a two-letter abbreviation`);
+        if (!emergency[location.emergency]) errors.push(`${key}: emergency must be the key of an emergency number`);
+        validateHours(location.openingHours, key);
+    });
+
+    Object.entries(emergency).forEach(([key, entry]) => {
+        if (locations[key]) errors.push(`${key}: used for a location and an emergency number`);
+        if (!isText(entry.name)) errors.push(`${key}: name is missing`);
+        if (!PHONE_PATTERN.test(entry.phone) && !SHORT_NUMBER_PATTERN.test(entry.phone)) {
+            errors.push(`${key}: phone must be +41 followed by nine digits or a short emergency number`);
+        }
+    });
+
+    [...Object.keys(locations), ...Object.keys(emergency)]
+        .filter(key => RESERVED_KEYS.includes(key) || key.includes('.'))
+        .forEach(key => errors.push(`${key}: this key cannot be used in data-contact`));
+
+    return errors.length === 0;
+}
+
+// Practice closures count as closed days for the opening status
+function validateClosures(closures, locations) {
+    if (!Array.isArray(closures)) {
+        errors.push('data/closures.json: expected an object with a closures array');
+        return;
+    }
+
+    closures.forEach((closure, index) => {
+        const context = `data/closures.json, closure ${index + 1}`;
+
+        ['from', 'to'].forEach(field => {
+            if (!DATE_PATTERN.test(closure[field]) || isNaN(new Date(closure[field]))) {
+                errors.push(`${context}: ${field} must be YYYY-MM-DD`);
+            }
+        });
+        if (closure.from > closure.to) errors.push(`${context}: from is after to`);
+        if (!isText(closure.reason)) errors.push(`${context}: reason is missing`);
+        if (!Array.isArray(closure.locations) || !closure.locations.length || !closure.locations.every(key => locations[key])) {
+            errors.push(`${context}: locations must list one or more of ${Object.keys(locations).join(', ')}`);
+        }
+    });
+}
+
+// Same format as the postcode rule of the Validation module in assets/js/lib/validation.js
+function validatePostcodes(postcodes, locations) {
+    if (!postcodes || typeof postcodes !== 'object' || Array.isArray(postcodes)) {
+        errors.push('data/postcodes.json: expected an object with a postcodes map');
+        return;
+    }
+
+    Object.entries(postcodes).forEach(([postcode, towns]) => {
+        if (!/^[1-9]\d{3}$/.test(postcode)) errors.push(`data/postcodes.json: ${postcode} is not a four-digit postcode`);
+        if (!Array.isArray(towns) || !towns.length || !towns.every(isText)) {
+            errors.push(`data/postcodes.json, ${postcode}: expected a list of town names`);
+        }
+    });
+
+    Object.entries(locations)
+        .filter(([, location]) => !(postcodes[location.postalCode] || []).includes(location.town))
+        .forEach(([key]) => errors.push(`data/postcodes.json: ${locations[key].postalCode} ${locations[key].town} (location ${key}) is missing`));
+}
+
+function listPages(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) return SKIPPED_DIRS.includes(entry.name) ? [] : listPages(file);
+        return entry.name.endsWith('.html') ? [file] : [];
+    });
+}
+
+function toText(html) {
+    return html
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&(\w+);/g, (match, name) => ENTITIES[name] !== undefined ? ENTITIES[name] : match)
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Inner HTML of the element whose start tag begins at index, nested tags of the same name included
+function innerHtml(html, index) {
+    const tag = html.slice(index + 1).match(/^\w+/)[0];
+    const tagPattern = new RegExp(`<(/?)${tag}\\b[^>]*>`, 'g');
+    const start = html.indexOf('>', index) + 1;
+    let depth = 0;
+    let match;
+
+    tagPattern.lastIndex = index;
+    while ((match = tagPattern.exec(html))) {
+        depth += match[1] ? -1 : 1;
+        if (depth === 0) return html.slice(start, match.index);
+    }
+    return html.slice(start);
+}
+
+// Text and link target the Locations module renders for a hook, null for unknown hooks
+function expected(data, key, field) {
+    if (key === 'all') {
+        return field === 'hours' ? { text: hoursSummary(Object.values(data.locations)).join(' ') } : null;
+    }
+
+    const id = key === 'main' ? data.organization.mainLocation : key;
+    const entry = data.locations[id] || data.emergency[id];
+    const isLocation = Boolean(data.locations[id]);
+
+    if (!entry || !CONTACT_FIELDS.includes(field)) return null;
+    if (!isLocation && !['name', 'phone', 'tel'].includes(field)) return null;
+
+    switch (field) {
+        case 'name': return { text: entry.name };
+        case 'phone': return { text: formatPhone(entry.phone), href: `tel:${entry.phone}` };
+        case 'tel': return { href: `tel:${entry.phone}` };
+        case 'fax': return { text: formatPhone(entry.fax) };
+        case 'email': return { text: entry.email, href: `mailto:${entry.email}` };
+        case 'address': return { text: `${entry.street} CH-${entry.postalCode} ${entry.town}` };
+        case 'map': return { href: getMapUrl(entry) };
+        case 'hours': return { text: hoursRows(entry).join(' ') };
+    }
+    return null;
+}
+
+function checkPage(file, data, numbers) {
+    const html = fs.readFileSync(file, 'utf8');
+    const page = path.relative(ROOT, file).split(path.sep).join('/');
+    const hookPattern = /<(\w+)\b[^>]*\bdata-contact="([^"]*)"[^>]*>/g;
+    let count = 0;
+    let match;
+
+    while ((match = hookPattern.exec(html))) {
+        const [startTag, tag, hook] = match;
+        const [key, field] = hook.split('.');
+        const result = expected(data, key, field);
+        const href = (startTag.match(/\bhref="([^"]*)"/) || [])[1];
+
+        count++;
+        if (!result) {
+            errors.push(`${page}: unknown data-contact="${hook}"`);
+            continue;
+        }
+        if (result.text !== undefined) {
+            const text = toText(innerHtml(html, match.index));
+            if (text !== result.text) errors.push(`${page}: data-contact="${hook}" shows "${text}", expected "${result.text}"`);
+        }
+        if (result.href && tag === 'a' && href !== result.href) {
+            errors.push(`${page}: data-contact="${hook}" links to ${href}, expected ${result.href}`);
+        }
+    }
+
+    (html.match(/data-opening-status="[^"]*"/g) || [])
+        .map(attribute => attribute.slice(21, -1))
+        .filter(key => !data.locations[key])
+        .forEach(key => errors.push(`${page}: unknown data-opening-status="${key}"`));
+
+    (html.match(/href="tel:[^"]*"/g) || [])
+        .map(attribute => attribute.slice(10, -1))
+        .filter(number => !numbers.has(number))
+        .forEach(number => errors.push(`${page}: tel:${number} is not a number from data/locations.json`));
+
+    return count;
+}
+
+function main() {
+    const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    const closures = JSON.parse(fs.readFileSync(CLOSURES_FILE, 'utf8')).closures;
+    const postcodes = JSON.parse(fs.readFileSync(POSTCODES_FILE, 'utf8')).postcodes;
+
+    if (validateData(data)) {
+        validateClosures(closures, data.locations);
+        validatePostcodes(postcodes, data.locations);
+    }
+    if (!errors.length) {
+        const numbers = new Set([...Object.values(data.locations), ...Object.values(data.emergency)].map(entry => entry.phone));
+        const pages = listPages(ROOT);
+        const hooks = pages.reduce((count, file) => count + checkPage(file, data, numbers), 0);
+
+        if (!errors.length) {
+            console.log(`Location data OK (${Object.keys(data.locations).length} locations, ${hooks} contact hooks on ${pages.length} pages).`);
+            return;
+        }
+    }
+
+    console.error(`Location check failed with ${errors.length} error(s):`);
+    errors.forEach(error => console.error(`  - ${error}`));
+    process.exit(1);
+}
+
+main();
@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+/**
+ * Neurologie Zentralschweiz AG Website - Local development server
+ * Serves the static site and stand-ins for the form submission and file upload
+ * endpoints, so the complete form flow can be tested offline.
+ *
+ * Endpoints:
+ *   POST /api/anfrage   form submissions as JSON, attachment ids must come from /api/upload;
+ *                       a repeated Idempotency-Key gets the first answer again and is not
+ *                       stored twice
+ *   POST /api/upload    one file as the request body (PDF, JPEG or PNG, at most 10 MB),
+ *                       answers with the id the form sends; files are only kept in memory
+ *
+ * Usage:
+ *   node scripts/dev-server.js [--port=8080] [--simulate=<mode>]
+ *
+ * Required as a module it only exports the server and the upload check, for
+ * scripts/test-dev-server.js; nothing listens until the caller starts it.
+ *
+ * Simulation modes for both endpoints:
+ *   ok        always accept (default)
+ *   400       reject every request as invalid
+ *   500       fail every request with a server error
+ *   timeout   never answer (client runs into CONFIG.submitTimeout)
+ *   flaky     fail the first attempt of each submission or file with 503, then accept
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.resolve(__dirname, '..');
+const MAX_BODY_SIZE = 64 * 1024;
+const MAX_UPLOAD_SIZE = 10 * 1024 * 1024;
+
+// Accepted attachment types with the bytes their files start with
+const UPLOAD_TYPES = {
+    'application/pdf': Buffer.from('%PDF-'),
+    'image/jpeg': Buffer.from([0xff, 0xd8, 0xff]),
+    'image/png': Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+};
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.webmanifest': 'application/manifest+json'
+};
+
+// Parse --key=value arguments
+const args = Object.fromEntries(process.argv.slice(2)
+    .filter(arg => arg.startsWith('--'))
+    .map(arg => {
+        const [key, value = 'true'] = arg.slice(2).split('=');
+        return [key, value];
+    }));
+
+const port = Number(args.port || process.env.PORT || 8080);
+const simulate = args.simulate || 'ok';
+
+// Submissions seen in flaky mode, keyed by their idempotency key, files by name and size
+const seenSubmissions = new Set();
+
+// Answers to accepted submissions by idempotency key, a retry gets the same answer
+const acceptedSubmissions = new Map();
+
+// Uploaded files by id, only their details are kept
+const uploads = new Map();
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'] });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req, limit = MAX_BODY_SIZE) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                reject(Object.assign(new Error('Payload too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+async function handleSubmission(req, res) {
+    let payload;
+
+    try {
+        payload = JSON.parse((await readBody(req)).toString('utf8'));
+    } catch (error) {
+        sendJson(res, error.status || 400, { ok: false, error: error.status ? 'too_large' : 'invalid_json' });
+        return;
+    }
+
+    if (!payload || typeof payload.data !== 'object' || !Object.keys(payload.data).length) {
+        sendJson(res, 422, { ok: false, error: 'empty_submission' });
+        return;
+    }
+
+    // A single attachment is sent as a string, several as an array
+    const attachments = [].concat(payload.data.attachments || []);
+    if (attachments.some(id => !uploads.has(id))) {
+        sendJson(res, 422, { ok: false, error: 'unknown_attachment' });
+        return;
+    }
+
+    const key = req.headers['idempotency-key'] || payload.id;
+    if (key && acceptedSubmissions.has(key)) {
+        console.log(`[submission] ${acceptedSubmissions.get(key).id} received again, not stored twice`);
+        sendJson(res, 201, acceptedSubmissions.get(key));
+        return;
+    }
+
+    if (simulateFailure(res, key || payload.submittedAt)) return;
+
+    const id = crypto.randomUUID();
+    console.log(`[submission] ${id} from ${payload.page || 'unknown page'} (form "${payload.form}")`);
+    console.log(JSON.stringify(payload.data, null, 2));
+    attachments.forEach(attachment => {
+        const file = uploads.get(attachment);
+        console.log(`  attachment ${attachment}: ${file.name} (${file.type}, ${file.size} bytes)`);
+    });
+    if (key) acceptedSubmissions.set(key, { ok: true, id });
+    sendJson(res, 201, { ok: true, id });
+}
+
+// Error code for an upload whose type is not accepted or whose content does not start
+// with the bytes of its declared type, null for an acceptable file
+function checkUpload(type, body) {
+    const signature = UPLOAD_TYPES[type];
+
+    if (!signature) return 'unsupported_type';
+    if (!body.length || !body.subarray(0, signature.length).equals(signature)) return 'content_mismatch';
+    return null;
+}
+
+async function handleUpload(req, res) {
+    const type = (req.headers['content-type'] || '').split(';')[0].trim();
+
+    if (!UPLOAD_TYPES[type]) {
+        sendJson(res, 415, { ok: false, error: 'unsupported_type' });
+        return;
+    }
+    if (Number(req.headers['content-length']) > MAX_UPLOAD_SIZE) {
+        sendJson(res, 413, { ok: false, error: 'too_large' });
+        return;
+    }
+
+    let body;
+    try {
+        body = await readBody(req, MAX_UPLOAD_SIZE);
+    } catch (error) {
+        sendJson(res, error.status || 400, { ok: false, error: error.status ? 'too_large' : 'invalid_body' });
+        return;
+    }
+
+    // The declared type has to match the content
+    const error = checkUpload(type, body);
+    if (error) {
+        sendJson(res, 415, { ok: false, error });
+        return;
+    }
+
+    let name;
+    try {
+        name = decodeURIComponent(req.headers['x-file-name'] || 'unbenannt');
+    } catch (error) {
+        name = 'unbenannt';
+    }
+
+    if (simulateFailure(res, `${name}:${body.length}`)) return;
+
+    const id = crypto.randomUUID();
+    uploads.set(id, { name, type, size: body.length });
+    console.log(`[upload] ${id}: ${name} (${type}, ${body.length} bytes)`);
+    sendJson(res, 201, { ok: true, id });
+}
+
+// Answers a request as the simulation mode asks, returns false if it should be accepted
+function simulateFailure(res, key) {
+    switch (simulate) {
+        case '400':
+            sendJson(res, 400, { ok: false, error: 'simulated_client_error' });
+            return true;
+        case '500':
+            sendJson(res, 500, { ok: false, error: 'simulated_server_error' });
+            return true;
+        case 'timeout':
+            // Keep the connection open until the client gives up
+            return true;
+        case 'flaky':
+            if (!seenSubmissions.has(key)) {
+                seenSubmissions.add(key);
+                sendJson(res, 503, { ok: false, error: 'simulated_unavailable' });
+                return true;
+            }
+            return false;
+        default:
+            return false;
+    }
+}
+
+function serveStatic(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    let filePath;
+
+    try {
+        filePath = path.join(ROOT, decodeURIComponent(url.pathname));
+    } catch (error) {
+        // Malformed escapes like %E0%A4%A
+        res.writeHead(400);
+        res.end();
+        return;
+    }
+
+    // Never serve anything outside the project root, not even a directory next to it
+    if (filePath !== ROOT && !filePath.startsWith(ROOT + path.sep)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+        filePath = path.join(filePath, 'index.html');
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            fs.readFile(path.join(ROOT, '404.html'), (notFoundError, notFound) => {
+                res.writeHead(404, { 'Content-Type': MIME_TYPES['.html'] });
+                res.end(notFoundError ? 'Not found' : notFound);
+            });
+            return;
+        }
+
+        const type = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+        res.writeHead(200, { 'Content-Type': type });
+        res.end(content);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+
+    if (pathname.startsWith('/api/')) {
+        if (req.method !== 'POST') {
+            sendJson(res, 405, { ok: false, error: 'method_not_allowed' });
+            return;
+        }
+        if (pathname === '/api/anfrage') {
+            handleSubmission(req, res);
+            return;
+        }
+        if (pathname === '/api/upload') {
+            handleUpload(req, res);
+            return;
+        }
+        sendJson(res, 404, { ok: false, error: 'unknown_endpoint' });
+        return;
+    }
+
+    serveStatic(req, res);
+});
+
+// Tests require the module and start the server themselves
+if (require.main === module) {
+    server.listen(port, () => {
+        console.log(`Neurologie Schwyz dev server running at http://localhost:${port}/ (simulate: ${simulate})`);
+    });
+}
+
+module.exports = { server, checkUpload, UPLOAD_TYPES, MAX_UPLOAD_SIZE };
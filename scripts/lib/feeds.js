@@ -0,0 +1,266 @@
+/**
+ * Neurologie Zentralschweiz AG Website - Blog feeds
+ * Renders the Atom and JSON Feed documents from the article metadata and checks
+ * the generated output against the parts of both formats that feed readers rely on.
+ *
+ * A feed is described by { title, description, homeUrl, atomUrl, jsonUrl, author },
+ * each item by { url, title, date, updated, category, categoryLabel, summary, author },
+ * with absolute URLs and dates as YYYY-MM-DD.
+ */
+
+'use strict';
+
+const ATOM_NAMESPACE = 'http://www.w3.org/2005/Atom';
+const JSON_FEED_VERSION = 'https://jsonfeed.org/version/1.1';
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+const INVALID_ENTITY_PATTERN = /&(?!(amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);)/i;
+const ABSOLUTE_URL_PATTERN = /^https?:\/\/[^\s/]+\/\S*$/;
+const INDENT = '    ';
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Articles carry dates only, feeds need a full RFC 3339 timestamp
+function toTimestamp(date) {
+    return `${date}T00:00:00Z`;
+}
+
+function latestUpdate(items) {
+    return items.reduce((latest, item) => {
+        const updated = item.updated || item.date;
+        return updated > latest ? updated : latest;
+    }, '1970-01-01');
+}
+
+function renderAtom(feed, items) {
+    const lines = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        `<feed xmlns="${ATOM_NAMESPACE}" xml:lang="de-CH">`,
+        `${INDENT}<title>${escapeXml(feed.title)}</title>`,
+        `${INDENT}<subtitle>${escapeXml(feed.description)}</subtitle>`,
+        `${INDENT}<id>${escapeXml(feed.homeUrl)}</id>`,
+        `${INDENT}<link rel="self" type="application/atom+xml" href="${escapeXml(feed.atomUrl)}"/>`,
+        `${INDENT}<link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}"/>`,
+        `${INDENT}<updated>${toTimestamp(latestUpdate(items))}</updated>`,
+        `${INDENT}<author><name>${escapeXml(feed.author)}</name></author>`
+    ];
+
+    items.forEach(item => {
+        lines.push(
+            `${INDENT}<entry>`,
+            `${INDENT.repeat(2)}<title>${escapeXml(item.title)}</title>`,
+            `${INDENT.repeat(2)}<id>${escapeXml(item.url)}</id>`,
+            `${INDENT.repeat(2)}<link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`,
+            `${INDENT.repeat(2)}<published>${toTimestamp(item.date)}</published>`,
+            `${INDENT.repeat(2)}<updated>${toTimestamp(item.updated || item.date)}</updated>`,
+            `${INDENT.repeat(2)}<author><name>${escapeXml(item.author)}</name></author>`,
+            `${INDENT.repeat(2)}<category term="${escapeXml(item.category)}" label="${escapeXml(item.categoryLabel)}"/>`,
+            `${INDENT.repeat(2)}<summary>${escapeXml(item.summary)}</summary>`,
+            `${INDENT}</entry>`
+        );
+    });
+
+    lines.push('</feed>');
+    return lines.join('\n') + '\n';
+}
+
+function renderJsonFeed(feed, items) {
+    const document = {
+        version: JSON_FEED_VERSION,
+        title: feed.title,
+        description: feed.description,
+        home_page_url: feed.homeUrl,
+        feed_url: feed.jsonUrl,
+        language: 'de-CH',
+        authors: [{ name: feed.author }],
+        items: items.map(item => ({
+            id: item.url,
+            url: item.url,
+            title: item.title,
+            summary: item.summary,
+            content_text: item.summary,
+            date_published: toTimestamp(item.date),
+            date_modified: toTimestamp(item.updated || item.date),
+            authors: [{ name: item.author }],
+            tags: [item.categoryLabel]
+        }))
+    };
+    return JSON.stringify(document, null, 2) + '\n';
+}
+
+/**
+ * Parse XML into a tree of { name, attributes, children, text } nodes.
+ * Only what the feeds use is supported; anything not well-formed ends up in errors.
+ */
+function parseXml(xml, errors) {
+    const tokenPattern = /<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<(\/?)([A-Za-z_][\w:.-]*)((?:\s+[\w:.-]+\s*=\s*"[^"<]*")*)\s*(\/?)>|<|[^<]+/g;
+    const root = { name: '#document', attributes: {}, children: [], text: '' };
+    const stack = [root];
+    let match;
+
+    while ((match = tokenPattern.exec(xml))) {
+        const [token, closing, name, attributeText, selfClosing] = match;
+        const parent = stack[stack.length - 1];
+
+        if (token.startsWith('<?') || token.startsWith('<!--')) continue;
+
+        if (token === '<') {
+            errors.push(`malformed tag near "${xml.slice(match.index, match.index + 30)}"`);
+            continue;
+        }
+
+        if (!name) {
+            if (INVALID_ENTITY_PATTERN.test(token)) errors.push(`unescaped & in "${token.trim().slice(0, 40)}"`);
+            if (stack.length === 1 && token.trim()) errors.push('text outside the root element');
+            parent.text += token;
+            continue;
+        }
+
+        if (closing) {
+            if (parent.name !== name) {
+                errors.push(`</${name}> does not close <${parent.name}>`);
+            } else {
+                stack.pop();
+            }
+            continue;
+        }
+
+        const attributes = {};
+        attributeText.replace(/([\w:.-]+)\s*=\s*"([^"]*)"/g, (attribute, key, value) => {
+            if (key in attributes) errors.push(`<${name}> has the attribute ${key} twice`);
+            if (INVALID_ENTITY_PATTERN.test(value)) errors.push(`unescaped & in the ${key} attribute of <${name}>`);
+            attributes[key] = value;
+        });
+
+        const node = { name, attributes, children: [], text: '' };
+        parent.children.push(node);
+        if (!selfClosing) stack.push(node);
+    }
+
+    stack.slice(1).forEach(node => errors.push(`<${node.name}> is not closed`));
+    if (root.children.length !== 1) errors.push('expected exactly one root element');
+
+    return root.children[0] || null;
+}
+
+function childText(node, name) {
+    const child = node.children.find(element => element.name === name);
+    return child ? child.text.trim() : '';
+}
+
+// Elements that must appear exactly once, see RFC 4287 sections 4.1.1 and 4.1.2
+function checkRequired(node, names, context, errors) {
+    names.forEach(name => {
+        const count = node.children.filter(child => child.name === name).length;
+        if (count !== 1) errors.push(`${context}: expected one <${name}>, found ${count}`);
+    });
+}
+
+function validateAtom(xml) {
+    const errors = [];
+    const feed = parseXml(xml, errors);
+
+    if (!feed) return errors;
+    if (feed.name !== 'feed' || feed.attributes.xmlns !== ATOM_NAMESPACE) {
+        errors.push(`root element must be <feed xmlns="${ATOM_NAMESPACE}">`);
+        return errors;
+    }
+
+    checkRequired(feed, ['id', 'title', 'updated'], 'feed', errors);
+
+    const hasAuthor = feed.children.some(child => child.name === 'author');
+    const selfLink = feed.children.find(child => child.name === 'link' && child.attributes.rel === 'self');
+    if (!selfLink || !ABSOLUTE_URL_PATTERN.test(selfLink.attributes.href || '')) {
+        errors.push('feed: missing <link rel="self"> with an absolute href');
+    }
+
+    const ids = new Set();
+    const timestamps = [['feed', feed]];
+
+    feed.children.filter(child => child.name === 'entry').forEach((entry, index) => {
+        const context = `entry ${index + 1}`;
+        const id = childText(entry, 'id');
+
+        checkRequired(entry, ['id', 'title', 'updated'], context, errors);
+        timestamps.push([context, entry]);
+
+        if (ids.has(id)) errors.push(`${context}: duplicate id ${id}`);
+        ids.add(id);
+
+        const link = entry.children.find(child => child.name === 'link' && (child.attributes.rel || 'alternate') === 'alternate');
+        if (!link || !ABSOLUTE_URL_PATTERN.test(link.attributes.href || '')) {
+            errors.push(`${context}: missing <link rel="alternate"> with an absolute href`);
+        }
+        if (!hasAuthor && !entry.children.some(child => child.name === 'author')) {
+            errors.push(`${context}: needs an <author> because the feed has none`);
+        }
+        if (!childText(entry, 'summary')) {
+            errors.push(`${context}: missing <summary>`);
+        }
+    });
+
+    timestamps.forEach(([context, node]) => {
+        node.children
+            .filter(child => child.name === 'updated' || child.name === 'published')
+            .forEach(child => {
+                if (!TIMESTAMP_PATTERN.test(child.text) || isNaN(new Date(child.text))) {
+                    errors.push(`${context}: <${child.name}> "${child.text}" is not an RFC 3339 timestamp`);
+                }
+            });
+    });
+
+    return errors;
+}
+
+function validateJsonFeed(text) {
+    const errors = [];
+    let feed;
+
+    try {
+        feed = JSON.parse(text);
+    } catch (error) {
+        return [`invalid JSON: ${error.message}`];
+    }
+
+    if (feed.version !== JSON_FEED_VERSION) errors.push(`version must be ${JSON_FEED_VERSION}`);
+    if (typeof feed.title !== 'string' || !feed.title) errors.push('missing title');
+    ['home_page_url', 'feed_url'].forEach(key => {
+        if (!ABSOLUTE_URL_PATTERN.test(feed[key] || '')) errors.push(`${key} must be an absolute URL`);
+    });
+    if (!Array.isArray(feed.items)) {
+        errors.push('items must be an array');
+        return errors;
+    }
+
+    const ids = new Set();
+
+    feed.items.forEach((item, index) => {
+        const context = `item ${index + 1}`;
+
+        if (typeof item.id !== 'string' || !item.id) errors.push(`${context}: id must be a non-empty string`);
+        if (ids.has(item.id)) errors.push(`${context}: duplicate id ${item.id}`);
+        ids.add(item.id);
+
+        if (!ABSOLUTE_URL_PATTERN.test(item.url || '')) errors.push(`${context}: url must be an absolute URL`);
+        if (typeof item.content_text !== 'string' && typeof item.content_html !== 'string') {
+            errors.push(`${context}: needs content_text or content_html`);
+        }
+        ['date_published', 'date_modified'].forEach(key => {
+            if (item[key] !== undefined && (!TIMESTAMP_PATTERN.test(item[key]) || isNaN(new Date(item[key])))) {
+                errors.push(`${context}: ${key} "${item[key]}" is not an RFC 3339 timestamp`);
+            }
+        });
+        if (item.tags !== undefined && !(Array.isArray(item.tags) && item.tags.every(tag => typeof tag === 'string'))) {
+            errors.push(`${context}: tags must be an array of strings`);
+        }
+    });
+
+    return errors;
+}
+
+module.exports = { renderAtom, renderJsonFeed, validateAtom, validateJsonFeed };
@@ -0,0 +1,30 @@
+/**
+ * Neurologie Zentralschweiz AG Website - Text files for the build scripts
+ * Several pages are saved with Windows line endings (CRLF). The generators work on LF text:
+ * readText() converts while reading, isOutdated() compares without looking at line endings
+ * and writeText() writes with the endings the file already uses, so regenerating a region
+ * never rewrites the whole page.
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+function readText(file) {
+    return fs.readFileSync(file, 'utf8').replace(/\r\n/g, '\n');
+}
+
+function isOutdated(file, text) {
+    return !fs.existsSync(file) || readText(file) !== text;
+}
+
+// New files get LF, existing ones keep the ending most of their lines use
+function writeText(file, text) {
+    const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+    const crlf = (current.match(/\r\n/g) || []).length;
+    const usesCrlf = crlf > (current.match(/\n/g) || []).length - crlf;
+
+    fs.writeFileSync(file, usesCrlf ? text.replace(/\n/g, '\r\n') : text);
+}
+
+module.exports = { readText, isOutdated, writeText };
@@ -0,0 +1,61 @@
+/**
+ * Neurologie Zentralschweiz AG Website - HTML helpers for the build scripts
+ * Escaping, entity decoding, date formatting, heading anchors and the {{placeholder}} templates shared by the generators.
+ */
+
+'use strict';
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©' };
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;');
+}
+
+function escapeAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
+// Named entities used in the pages and numeric references, unknown names stay as they are
+function decodeEntities(text) {
+    return text.replace(/&(#x?[0-9a-f]+|\w+);/gi, (match, code) => {
+        if (code[0] === '#') {
+            const number = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : Number(code.slice(1));
+            return String.fromCodePoint(number);
+        }
+        return ENTITIES[code] !== undefined ? ENTITIES[code] : match;
+    });
+}
+
+function formatDate(value) {
+    return new Date(`${value}T00:00:00Z`).toLocaleDateString('de-CH', {
+        day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC'
+    });
+}
+
+// Anchor id for a heading, umlauts are written out like in the page URLs of the site
+function slugify(text) {
+    return text
+        .toLowerCase()
+        .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+}
+
+/**
+ * Replace {{name}} placeholders. A placeholder on its own line may expand to several
+ * lines, which keep the indentation of the placeholder; an empty array drops the line.
+ */
+function fillTemplate(template, values) {
+    return template
+        .replace(/^([ \t]*)\{\{(\w+)\}\}\n/gm, (match, indent, name) => {
+            const value = values[name];
+            if (!Array.isArray(value)) return `${indent}${value}\n`;
+            return value.map(line => (line ? indent + line : line) + '\n').join('');
+        })
+        .replace(/\{\{(\w+)\}\}/g, (match, name) => values[name]);
+}
+
+module.exports = { escapeHtml, escapeAttribute, decodeEntities, formatDate, slugify, fillTemplate };
@@ -0,0 +1,71 @@
+/**
+ * Neurologie Zentralschweiz AG Website - Responsive images
+ * Names and markup of the team photo variants scripts/build-images.js renders.
+ * Every photo is cropped to the 800x534 format of the team cards and written as
+ * AVIF, WebP and JPEG in WIDTHS to assets/images/team/<name>-<width>.<ext>.
+ */
+
+'use strict';
+
+const path = require('path');
+const { escapeAttribute } = require('./html');
+
+const PHOTO_WIDTH = 800;
+const PHOTO_HEIGHT = 534;
+const WIDTHS = [400, 600, 800];
+const OUTPUT_DIR = 'assets/images/team';
+
+// Offered in this order, the browser takes the first it supports; the last one is the <img> fallback
+const FORMATS = [
+    { ext: 'avif', type: 'image/avif' },
+    { ext: 'webp', type: 'image/webp' },
+    { ext: 'jpg', type: 'image/jpeg' }
+];
+
+const INDENT = '    ';
+
+function heightFor(width) {
+    return Math.round(width * PHOTO_HEIGHT / PHOTO_WIDTH);
+}
+
+// Variant of a source photo, e.g. images/team/uta-kliesch.jpeg -> assets/images/team/uta-kliesch-400.avif
+function variantPath(photo, width, ext) {
+    return `${OUTPUT_DIR}/${path.posix.basename(photo, path.posix.extname(photo))}-${width}.${ext}`;
+}
+
+function listVariants(photo) {
+    return FORMATS.flatMap(format => WIDTHS.map(width => ({ width, ext: format.ext, file: variantPath(photo, width, format.ext) })));
+}
+
+function srcset(photo, ext, prefix) {
+    return WIDTHS.map(width => `${prefix}${variantPath(photo, width, ext)} ${width}w`).join(', ');
+}
+
+/**
+ * <picture> lines for a photo. prefix leads from the page to the site root,
+ * sizes tells the browser how wide the image is shown. width and height are set
+ * on the <img> so the browser reserves the space before the image is loaded.
+ */
+function renderPicture(photo, { alt, className, sizes, prefix = '', lazy = true }) {
+    const fallback = FORMATS[FORMATS.length - 1];
+    const imgAttributes = [
+        `src="${escapeAttribute(prefix + variantPath(photo, PHOTO_WIDTH, fallback.ext))}"`,
+        `srcset="${escapeAttribute(srcset(photo, fallback.ext, prefix))}"`,
+        `sizes="${sizes}"`,
+        `width="${PHOTO_WIDTH}"`,
+        `height="${PHOTO_HEIGHT}"`,
+        `alt="${escapeAttribute(alt)}"`,
+        className ? `class="${className}"` : '',
+        lazy ? 'loading="lazy" decoding="async"' : ''
+    ].filter(Boolean);
+
+    return [
+        '<picture>',
+        ...FORMATS.slice(0, -1).map(format =>
+            `${INDENT}<source type="${format.type}" srcset="${escapeAttribute(srcset(photo, format.ext, prefix))}" sizes="${sizes}">`),
+        `${INDENT}<img ${imgAttributes.join(' ')}>`,
+        '</picture>'
+    ];
+}
+
+module.exports = { PHOTO_WIDTH, PHOTO_HEIGHT, WIDTHS, FORMATS, OUTPUT_DIR, heightFor, variantPath, listVariants, renderPicture };
@@ -0,0 +1,129 @@
+/**
+ * Neurologie Zentralschweiz AG Website - Team data
+ * Loads data/team.json and checks it against the one schema shared by the team page,
+ * the biography modal and the author bylines of the blog.
+ *
+ * A member is { id, group, name, title, badge, photo, specialties, locations?, biography? },
+ * a biography { name?, title, approbation?, sections: [{ title, list, items }] }.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const GROUPS = ['aerzte', 'mpa', 'raumpflege'];
+const LOCATIONS = ['zug', 'schwyz'];
+// Each list style has its own look in the modal, see .career-list and friends in style.css
+const LIST_STYLES = ['career', 'skills', 'memberships'];
+
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const YEAR_PATTERN = /^\d{4}$/;
+const MEMBER_FIELDS = ['id', 'group', 'name', 'title', 'badge', 'photo', 'specialties', 'locations', 'biography'];
+const BIOGRAPHY_FIELDS = ['name', 'title', 'approbation', 'sections'];
+const SECTION_FIELDS = ['title', 'list', 'items'];
+
+function isText(value) {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+function isTextList(value) {
+    return Array.isArray(value) && value.every(isText);
+}
+
+// Unknown keys are reported so typos and leftovers of old data shapes do not go unnoticed
+function checkKeys(object, allowed, context, errors) {
+    Object.keys(object)
+        .filter(key => !allowed.includes(key))
+        .forEach(key => errors.push(`${context}: unknown field ${key}`));
+}
+
+function validateBiography(biography, context, errors) {
+    if (!biography || typeof biography !== 'object' || Array.isArray(biography)) {
+        errors.push(`${context}: biography must be an object`);
+        return;
+    }
+
+    checkKeys(biography, BIOGRAPHY_FIELDS, `${context} biography`, errors);
+
+    if (biography.name !== undefined && !isText(biography.name)) errors.push(`${context}: biography name must be text`);
+    if (!isText(biography.title)) errors.push(`${context}: biography title is missing`);
+    if (biography.approbation !== undefined && !YEAR_PATTERN.test(biography.approbation)) {
+        errors.push(`${context}: approbation must be a year (YYYY)`);
+    }
+    if (!Array.isArray(biography.sections) || !biography.sections.length) {
+        errors.push(`${context}: biography needs at least one section`);
+        return;
+    }
+
+    biography.sections.forEach((section, index) => {
+        const sectionContext = `${context} section ${index + 1}`;
+
+        checkKeys(section, SECTION_FIELDS, sectionContext, errors);
+        if (!isText(section.title)) errors.push(`${sectionContext}: title is missing`);
+        if (!LIST_STYLES.includes(section.list)) {
+            errors.push(`${sectionContext}: list must be one of ${LIST_STYLES.join(', ')}`);
+        }
+        if (!isTextList(section.items) || !section.items.length) {
+            errors.push(`${sectionContext}: items must be a non-empty list of text`);
+        }
+    });
+}
+
+/**
+ * Read and validate the team data. Problems are added to errors; only members
+ * that passed the checks are returned, in the order of the file.
+ */
+function loadTeam(file, root, errors) {
+    const relative = path.relative(root, file);
+    let data;
+
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        errors.push(`${relative}: ${error.message}`);
+        return [];
+    }
+
+    if (!data || !Array.isArray(data.members)) {
+        errors.push(`${relative}: expected an object with a members array`);
+        return [];
+    }
+
+    const seen = new Set();
+
+    return data.members.filter((member, index) => {
+        const name = member && isText(member.id) ? member.id : `member ${index + 1}`;
+        const context = `${relative}, ${name}`;
+        const count = errors.length;
+
+        if (!member || typeof member !== 'object' || Array.isArray(member)) {
+            errors.push(`${context}: expected an object`);
+            return false;
+        }
+
+        checkKeys(member, MEMBER_FIELDS, context, errors);
+
+        const missing = ['id', 'group', 'name', 'title', 'badge', 'photo'].filter(field => !isText(member[field]));
+        if (missing.length) {
+            errors.push(`${context}: missing ${missing.join(', ')}`);
+            return false;
+        }
+        if (!ID_PATTERN.test(member.id)) errors.push(`${context}: id must be lowercase words separated by hyphens, without umlauts`);
+        if (seen.has(member.id)) errors.push(`${context}: duplicate id`);
+        seen.add(member.id);
+
+        if (!GROUPS.includes(member.group)) errors.push(`${context}: group must be one of ${GROUPS.join(', ')}`);
+        if (!fs.existsSync(path.join(root, member.photo))) errors.push(`${context}: photo ${member.photo} does not exist`);
+        if (!isTextList(member.specialties)) errors.push(`${context}: specialties must be a list of text`);
+        if (member.locations !== undefined &&
+            !(Array.isArray(member.locations) && member.locations.length && member.locations.every(key => LOCATIONS.includes(key)))) {
+            errors.push(`${context}: locations must list one or more of ${LOCATIONS.join(', ')}`);
+        }
+        if (member.biography !== undefined) validateBiography(member.biography, context, errors);
+
+        return errors.length === count;
+    });
+}
+
+module.exports = { GROUPS, LOCATIONS, LIST_STYLES, loadTeam };
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+/**
+ * Neurologie Zentralschweiz AG Website - Tests for the upload endpoint of the dev server
+ * Checks that POST /api/upload of scripts/dev-server.js only accepts PDF, JPEG and PNG
+ * files whose first bytes match the declared type, and refuses files above 10 MB. The
+ * server runs on a free port for the duration of the tests.
+ *
+ * Usage:
+ *   node --test scripts/test-*.js        all tests
+ *   node scripts/test-dev-server.js      only these
+ */
+
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { server, checkUpload, MAX_UPLOAD_SIZE } = require('./dev-server');
+
+const PDF = Buffer.from('%PDF-1.7\n%âãÏÓ\n');
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46]);
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0x00, 0x0d]);
+
+// Answer of the upload endpoint as { status, body }
+function upload(type, body, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const request = http.request({
+            port: server.address().port,
+            method: 'POST',
+            path: '/api/upload',
+            headers: { 'Content-Type': type, 'Content-Length': body.length, 'X-File-Name': 'befund.pdf', ...headers }
+        }, response => {
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => resolve({ status: response.statusCode, body: JSON.parse(Buffer.concat(chunks)) }));
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+before(() => new Promise(resolve => server.listen(0, '127.0.0.1', resolve)));
+
+// Kept-alive connections would hold the server open for another five seconds
+after(() => new Promise(resolve => {
+    server.close(resolve);
+    server.closeAllConnections();
+}));
+
+test('checkUpload accepts files that start with the bytes of their type', () => {
+    assert.equal(checkUpload('application/pdf', PDF), null);
+    assert.equal(checkUpload('image/jpeg', JPEG), null);
+    assert.equal(checkUpload('image/png', PNG), null);
+});
+
+test('checkUpload rejects content that does not match the declared type', () => {
+    assert.equal(checkUpload('application/pdf', PNG), 'content_mismatch');
+    assert.equal(checkUpload('image/png', JPEG), 'content_mismatch');
+    assert.equal(checkUpload('image/jpeg', Buffer.from('<html>')), 'content_mismatch');
+    assert.equal(checkUpload('application/pdf', Buffer.from('%PD')), 'content_mismatch');
+    assert.equal(checkUpload('application/pdf', Buffer.alloc(0)), 'content_mismatch');
+});
+
+test('checkUpload rejects types other than PDF, JPEG and PNG', () => {
+    assert.equal(checkUpload('image/gif', Buffer.from('GIF89a')), 'unsupported_type');
+    assert.equal(checkUpload('', PDF), 'unsupported_type');
+});
+
+test('the upload endpoint stores matching files and answers with an id', async () => {
+    const { status, body } = await upload('application/pdf; charset=binary', PDF);
+
+    assert.equal(status, 201);
+    assert.equal(body.ok, true);
+    assert.match(body.id, /^[0-9a-f-]{36}$/);
+});
+
+test('the upload endpoint answers 415 for wrong content and unsupported types', async () => {
+    assert.deepEqual(await upload('application/pdf', PNG), { status: 415, body: { ok: false, error: 'content_mismatch' } });
+    assert.deepEqual(await upload('image/gif', Buffer.from('GIF89a')), { status: 415, body: { ok: false, error: 'unsupported_type' } });
+});
+
+test('the upload endpoint answers 413 for files above 10 MB', async () => {
+    const tooLarge = Buffer.alloc(MAX_UPLOAD_SIZE + 1);
+    PDF.copy(tooLarge);
+
+    assert.deepEqual(await upload('application/pdf', tooLarge), { status: 413, body: { ok: false, error: 'too_large' } });
+});
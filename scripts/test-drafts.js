@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+/**
+ * Neurologie Zentralschweiz AG Website - Tests for the form drafts
+ * Runs FormDrafts (assets/js/modules/drafts.js) on a plain form object and an in-memory
+ * sessionStorage: which fields a draft keeps, that fields marked with data-sensitive never
+ * reach the storage (on the referral form: all patient data), and that drafts need the
+ * 'drafts' consent and expire.
+ *
+ * Usage:
+ *   node --test scripts/test-*.js    all tests
+ *   node scripts/test-drafts.js      only these
+ */
+
+'use strict';
+
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Patient data on the referral form, none of it may reach the storage
+const SENSITIVE_REFERRAL_FIELDS = ['patientFirstName', 'patientLastName', 'patientBirthDate', 'patientAhv', 'patientPhone', 'question'];
+const PATIENT_VALUES = ['Erika', 'Beispiel', '1956-11-03', '756.1234.5678.97', '079 123 45 67', 'Seit drei Monaten Kopfschmerzen und Sehstörungen'];
+
+let FormDrafts;
+let ConsentManager;
+let CONFIG;
+
+function load(file) {
+    return import(pathToFileURL(path.join(ROOT, file)).href);
+}
+
+// Form element as FormDrafts sees it: a name and its elements
+function createForm(name, fields) {
+    return { id: '', getAttribute: (attribute) => (attribute === 'name' ? name : null), elements: fields };
+}
+
+// Form control with the attributes given; sensitive stands for data-sensitive
+function createField(name, value, { type = 'text', checked = false, required = false, disabled = false, sensitive = false } = {}) {
+    return {
+        name, value, type, checked, required, disabled,
+        hasAttribute: (attribute) => attribute === 'data-sensitive' && sensitive
+    };
+}
+
+// Fields of the contact form, with patient data marked as sensitive
+function contactForm() {
+    return createForm('kontakt', [
+        createField('name', 'Anna Muster'),
+        createField('email', 'anna@example.ch', { type: 'email' }),
+        createField('phone', '   ', { type: 'tel' }),
+        createField('birthDate', '1980-04-12', { type: 'date', sensitive: true }),
+        createField('insuranceCard', '80756000001234567897', { sensitive: true }),
+        createField('location', 'schwyz', { type: 'radio', checked: true }),
+        createField('location', 'zug', { type: 'radio' }),
+        createField('callback', 'yes', { type: 'checkbox', checked: true }),
+        createField('privacy', 'yes', { type: 'checkbox', checked: true, required: true }),
+        createField('attachment', 'C:\\fakepath\\befund.pdf', { type: 'file' }),
+        createField('token', 'abc123', { type: 'hidden' }),
+        createField('subject', 'Termin', { disabled: true }),
+        createField('', 'ohne Namen'),
+        createField('message', 'Ich möchte einen Termin vereinbaren.', { type: 'textarea' })
+    ]);
+}
+
+// Fields of the referral form as zuweisung.html marks them
+function referralForm() {
+    const [firstName, lastName, birthDate, ahv, phone, question] = PATIENT_VALUES;
+    return createForm('zuweisung', [
+        createField('referrerName', 'Dr. med. Beat Hausarzt'),
+        createField('referrerEmail', 'praxis@example.ch', { type: 'email' }),
+        createField('patientFirstName', firstName, { sensitive: true }),
+        createField('patientLastName', lastName, { sensitive: true }),
+        createField('patientBirthDate', birthDate, { type: 'date', sensitive: true }),
+        createField('patientAhv', ahv, { sensitive: true }),
+        createField('patientPhone', phone, { type: 'tel', sensitive: true }),
+        createField('urgency', 'zeitnah', { type: 'select-one' }),
+        createField('question', question, { type: 'textarea', sensitive: true })
+    ]);
+}
+
+function grantDrafts(granted) {
+    ConsentManager.record = { version: CONFIG.consentVersion, categories: { necessary: true, drafts: granted } };
+}
+
+before(async () => {
+    ({ CONFIG } = await load('assets/js/core/config.js'));
+    ({ ConsentManager } = await load('assets/js/core/consent.js'));
+    FormDrafts = (await load('assets/js/modules/drafts.js')).default;
+});
+
+beforeEach(() => {
+    const items = new Map();
+    globalThis.sessionStorage = {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+    grantDrafts(true);
+});
+
+after(() => {
+    delete globalThis.sessionStorage;
+});
+
+test('collect keeps named, filled in fields and skips sensitive ones', () => {
+    assert.deepEqual(FormDrafts.collect(contactForm()), {
+        name: 'Anna Muster',
+        email: 'anna@example.ch',
+        location: 'schwyz',
+        callback: true,
+        message: 'Ich möchte einen Termin vereinbaren.'
+    });
+});
+
+test('save stores the draft under draft:<form name> without sensitive values', () => {
+    const form = contactForm();
+    FormDrafts.save(form);
+
+    const stored = sessionStorage.getItem('draft:kontakt');
+    const draft = JSON.parse(stored);
+
+    assert.equal(draft.values.name, 'Anna Muster');
+    assert.ok(!('birthDate' in draft.values));
+    assert.ok(!('insuranceCard' in draft.values));
+    assert.ok(!stored.includes('1980-04-12'));
+    assert.ok(!stored.includes('80756000001234567897'));
+    assert.ok(Date.now() - draft.savedAt < 1000);
+});
+
+test('referral drafts keep the referrer and none of the patient data', () => {
+    FormDrafts.save(referralForm());
+
+    const stored = sessionStorage.getItem('draft:zuweisung');
+    assert.deepEqual(JSON.parse(stored).values, {
+        referrerName: 'Dr. med. Beat Hausarzt',
+        referrerEmail: 'praxis@example.ch',
+        urgency: 'zeitnah'
+    });
+    PATIENT_VALUES.forEach(value => assert.ok(!stored.includes(value), value));
+});
+
+test('every patient field of zuweisung.html is marked data-sensitive', () => {
+    const html = fs.readFileSync(path.join(ROOT, 'zuweisung.html'), 'utf8');
+
+    SENSITIVE_REFERRAL_FIELDS.forEach(name => {
+        const tag = html.match(new RegExp(`<(?:input|textarea|select)\\b[^>]*\\bname="${name}"[^>]*>`));
+        assert.ok(tag, `${name} is missing`);
+        assert.match(tag[0], /\sdata-sensitive\b/, name);
+    });
+});
+
+test('save drops the draft once only sensitive fields are filled in', () => {
+    const form = referralForm();
+    FormDrafts.save(form);
+    assert.ok(sessionStorage.getItem('draft:zuweisung'));
+
+    form.elements
+        .filter(field => !field.hasAttribute('data-sensitive'))
+        .forEach(field => { field.value = ''; });
+    FormDrafts.save(form);
+    assert.equal(sessionStorage.getItem('draft:zuweisung'), null);
+});
+
+test('save stores nothing without the drafts consent', () => {
+    grantDrafts(false);
+    FormDrafts.save(contactForm());
+    assert.equal(sessionStorage.getItem('draft:kontakt'), null);
+
+    ConsentManager.record = null;
+    FormDrafts.save(contactForm());
+    assert.equal(sessionStorage.getItem('draft:kontakt'), null);
+});
+
+test('load returns recent drafts and drops expired or unreadable ones', () => {
+    const form = contactForm();
+    const values = { name: 'Anna Muster' };
+
+    sessionStorage.setItem('draft:kontakt', JSON.stringify({ savedAt: Date.now() - CONFIG.draftMaxAge + 60000, values }));
+    assert.deepEqual(FormDrafts.load(form).values, values);
+
+    sessionStorage.setItem('draft:kontakt', JSON.stringify({ savedAt: Date.now() - CONFIG.draftMaxAge, values }));
+    assert.equal(FormDrafts.load(form), null);
+    assert.equal(sessionStorage.getItem('draft:kontakt'), null);
+
+    sessionStorage.setItem('draft:kontakt', '{"savedAt":');
+    assert.equal(FormDrafts.load(form), null);
+    assert.equal(sessionStorage.getItem('draft:kontakt'), null);
+});
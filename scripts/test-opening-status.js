@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+/**
+ * Neurologie Zentralschweiz AG Website - Tests for the opening status
+ * Runs OpeningStatus (assets/js/modules/opening-status.js) on fixed moments: cantonal
+ * holidays, the lunch break, Friday afternoon, a closure and both daylight saving time
+ * changes. The opening hours are a fixture, so edits to data/locations.json do not break it.
+ *
+ * Usage:
+ *   node --test scripts/test-*.js          all tests
+ *   node scripts/test-opening-status.js    only these
+ */
+
+'use strict';
+
+const { test, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const WEEKDAY_HOURS = [['08:00', '12:00'], ['13:30', '17:00']];
+const HOURS = {
+    monday: WEEKDAY_HOURS,
+    tuesday: WEEKDAY_HOURS,
+    wednesday: WEEKDAY_HOURS,
+    thursday: WEEKDAY_HOURS,
+    friday: [['08:00', '12:00']]
+};
+
+let OpeningStatus;
+
+function load(file) {
+    return import(pathToFileURL(path.join(ROOT, file)).href);
+}
+
+// Moments are given in Swiss local time with their UTC offset, e.g. '2025-03-18T12:30+01:00'
+function statusAt(key, moment) {
+    return OpeningStatus.getStatus(key, new Date(moment));
+}
+
+before(async () => {
+    const { Locations } = await load('assets/js/core/locations.js');
+    OpeningStatus = (await load('assets/js/modules/opening-status.js')).default;
+
+    Locations.data = {
+        organization: { mainLocation: 'schwyz' },
+        locations: {
+            schwyz: { canton: 'SZ', openingHours: HOURS },
+            zug: { canton: 'ZG', openingHours: HOURS }
+        },
+        emergency: {}
+    };
+    OpeningStatus.closures = [];
+});
+
+afterEach(() => {
+    OpeningStatus.closures = [];
+});
+
+test('Easter Sunday', () => {
+    assert.equal(OpeningStatus.getEasterSunday(2011), '2011-04-24');
+    assert.equal(OpeningStatus.getEasterSunday(2024), '2024-03-31');
+    assert.equal(OpeningStatus.getEasterSunday(2025), '2025-04-20');
+    assert.equal(OpeningStatus.getEasterSunday(2026), '2026-04-05');
+    assert.equal(OpeningStatus.getEasterSunday(2038), '2038-04-25');
+});
+
+test('Karfreitag and Ostermontag close both practices until Tuesday', () => {
+    assert.equal(OpeningStatus.getHoliday('2025-04-18', 'SZ').name, 'Karfreitag');
+    assert.equal(OpeningStatus.getHoliday('2026-04-03', 'ZG').name, 'Karfreitag');
+
+    ['schwyz', 'zug'].forEach(key => {
+        assert.deepEqual(statusAt(key, '2025-04-18T10:00+02:00'), {
+            open: false,
+            reason: 'Karfreitag',
+            next: { date: '2025-04-22', time: '08:00' }
+        });
+    });
+});
+
+test('Josefstag closes Schwyz only', () => {
+    assert.equal(OpeningStatus.getHoliday('2025-03-19', 'SZ').name, 'Josefstag');
+    assert.equal(OpeningStatus.getHoliday('2025-03-19', 'ZG'), null);
+
+    assert.deepEqual(statusAt('schwyz', '2025-03-19T10:00+01:00'), {
+        open: false,
+        reason: 'Josefstag',
+        next: { date: '2025-03-20', time: '08:00' }
+    });
+    assert.deepEqual(statusAt('zug', '2025-03-19T10:00+01:00'), { open: true, closesAt: '12:00' });
+});
+
+test('Berchtoldstag closes Zug only', () => {
+    assert.equal(OpeningStatus.getHoliday('2025-01-02', 'ZG').name, 'Berchtoldstag');
+    assert.equal(OpeningStatus.getHoliday('2025-01-02', 'SZ'), null);
+
+    assert.deepEqual(statusAt('zug', '2025-01-02T10:00+01:00'), {
+        open: false,
+        reason: 'Berchtoldstag',
+        next: { date: '2025-01-03', time: '08:00' }
+    });
+    assert.deepEqual(statusAt('schwyz', '2025-01-02T10:00+01:00'), { open: true, closesAt: '12:00' });
+});
+
+test('lunch break', () => {
+    assert.deepEqual(statusAt('schwyz', '2025-03-18T11:59+01:00'), { open: true, closesAt: '12:00' });
+    assert.deepEqual(statusAt('schwyz', '2025-03-18T12:00+01:00'), {
+        open: false,
+        reason: null,
+        next: { date: '2025-03-18', time: '13:30' }
+    });
+    assert.deepEqual(statusAt('schwyz', '2025-03-18T13:30+01:00'), { open: true, closesAt: '17:00' });
+});
+
+test('Friday afternoon reopens on Monday', () => {
+    assert.deepEqual(statusAt('zug', '2025-03-21T14:00+01:00'), {
+        open: false,
+        reason: null,
+        next: { date: '2025-03-24', time: '08:00' }
+    });
+});
+
+test('closure range', () => {
+    OpeningStatus.closures = [
+        { from: '2025-07-14', to: '2025-07-18', locations: ['schwyz'], reason: 'Praxisferien' }
+    ];
+
+    assert.deepEqual(statusAt('schwyz', '2025-07-11T10:00+02:00'), { open: true, closesAt: '12:00' });
+    ['2025-07-14T10:00+02:00', '2025-07-18T10:00+02:00'].forEach(moment => {
+        assert.deepEqual(statusAt('schwyz', moment), {
+            open: false,
+            reason: 'Praxisferien',
+            next: { date: '2025-07-21', time: '08:00' }
+        });
+    });
+    assert.deepEqual(statusAt('zug', '2025-07-16T10:00+02:00'), { open: true, closesAt: '12:00' });
+});
+
+test('start of daylight saving time', () => {
+    // 30 March 2025: 02:00 CET becomes 03:00 CEST
+    assert.deepEqual(OpeningStatus.getLocalTime(new Date('2025-03-30T01:30Z')), { date: '2025-03-30', minutes: 3 * 60 + 30 });
+    assert.deepEqual(statusAt('schwyz', '2025-03-29T12:00+01:00').next, { date: '2025-03-31', time: '08:00' });
+
+    // 07:59 and 08:00 local time on the Monday after
+    assert.equal(statusAt('schwyz', '2025-03-31T05:59Z').open, false);
+    assert.deepEqual(statusAt('schwyz', '2025-03-31T06:00Z'), { open: true, closesAt: '12:00' });
+});
+
+test('end of daylight saving time', () => {
+    // 26 October 2025: 03:00 CEST becomes 02:00 CET
+    assert.deepEqual(OpeningStatus.getLocalTime(new Date('2025-10-26T01:30Z')), { date: '2025-10-26', minutes: 2 * 60 + 30 });
+    assert.deepEqual(statusAt('zug', '2025-10-25T12:00+02:00').next, { date: '2025-10-27', time: '08:00' });
+
+    assert.equal(statusAt('zug', '2025-10-27T06:59Z').open, false);
+    assert.deepEqual(statusAt('zug', '2025-10-27T07:00Z'), { open: true, closesAt: '12:00' });
+});
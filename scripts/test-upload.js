@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * Neurologie Zentralschweiz AG Website - Tests for the file upload checks
+ * Runs the checks FileUpload (assets/js/modules/upload.js) makes before a file is sent:
+ * the type against the input's accept list, the size against data-max-size, empty files,
+ * and the 'uploads' rule that holds a submission back until every file is uploaded.
+ *
+ * Usage:
+ *   node --test scripts/test-*.js    all tests
+ *   node scripts/test-upload.js      only these
+ */
+
+'use strict';
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Same limits as the attachments of zuweisung.html
+const ACCEPT = 'application/pdf,image/jpeg,image/png';
+const MAX_SIZE = 10 * 1024 * 1024;
+
+let FileUpload;
+let I18n;
+
+function load(file) {
+    return import(pathToFileURL(path.join(ROOT, file)).href);
+}
+
+function createInput(accept = ACCEPT, maxSize = MAX_SIZE) {
+    return { accept, dataset: maxSize ? { maxSize: String(maxSize) } : {} };
+}
+
+function createFile(name, type, size = 2048) {
+    return { name, type, size };
+}
+
+before(async () => {
+    ({ I18n } = await load('assets/js/core/i18n.js'));
+    FileUpload = (await load('assets/js/modules/upload.js')).default;
+    I18n.locale = 'de-CH';
+});
+
+test('checkFile accepts the types listed in accept', () => {
+    const input = createInput();
+
+    assert.equal(FileUpload.checkFile(input, createFile('befund.pdf', 'application/pdf')), null);
+    assert.equal(FileUpload.checkFile(input, createFile('MRI.JPG', 'image/jpeg')), null);
+    assert.equal(FileUpload.checkFile(input, createFile('scan.png', 'image/png')), null);
+
+    const typeError = I18n.t('upload.type', { types: 'PDF, JPEG, PNG' });
+    assert.equal(FileUpload.checkFile(input, createFile('bericht.docx', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document')), typeError);
+    assert.equal(FileUpload.checkFile(input, createFile('foto.heic', 'image/heic')), typeError);
+    assert.equal(FileUpload.checkFile(input, createFile('ohne-typ', '')), typeError);
+});
+
+test('checkFile matches file extensions and wildcard types', () => {
+    const input = createInput('.pdf, image/*');
+
+    assert.equal(FileUpload.checkFile(input, createFile('BEFUND.PDF', '')), null);
+    assert.equal(FileUpload.checkFile(input, createFile('foto.webp', 'image/webp')), null);
+    assert.notEqual(FileUpload.checkFile(input, createFile('notiz.txt', 'text/plain')), null);
+
+    assert.equal(FileUpload.checkFile(createInput(''), createFile('notiz.txt', 'text/plain')), null);
+});
+
+test('checkFile rejects files above data-max-size and empty files', () => {
+    const input = createInput();
+    const sizeError = I18n.t('upload.size', { max: '10 MB' });
+
+    assert.equal(FileUpload.checkFile(input, createFile('befund.pdf', 'application/pdf', MAX_SIZE)), null);
+    assert.equal(FileUpload.checkFile(input, createFile('befund.pdf', 'application/pdf', MAX_SIZE + 1)), sizeError);
+    assert.equal(FileUpload.checkFile(input, createFile('leer.pdf', 'application/pdf', 0)), I18n.t('upload.empty'));
+
+    // Without data-max-size only empty files are rejected
+    assert.equal(FileUpload.checkFile(createInput(ACCEPT, 0), createFile('gross.pdf', 'application/pdf', 50 * MAX_SIZE)), null);
+});
+
+test('the type is checked before the size', () => {
+    assert.equal(
+        FileUpload.checkFile(createInput(), createFile('film.mp4', 'video/mp4', MAX_SIZE + 1)),
+        I18n.t('upload.type', { types: 'PDF, JPEG, PNG' })
+    );
+});
+
+test('formatSize shows kilobytes and megabytes', () => {
+    assert.equal(FileUpload.formatSize(100), '1 KB');
+    assert.equal(FileUpload.formatSize(200 * 1024), '200 KB');
+    assert.equal(FileUpload.formatSize(MAX_SIZE), '10 MB');
+    assert.equal(FileUpload.formatSize(2.5 * 1024 * 1024), `${(2.5).toLocaleString('de-CH')} MB`);
+});
+
+test('the uploads rule waits for running uploads and passes only when all are done', async () => {
+    const input = {};
+    let finish;
+    const running = { status: 'uploading', settled: new Promise(resolve => { finish = resolve; }) };
+
+    assert.equal(await FileUpload.validate(input), null);
+
+    FileUpload.states.set(input, { uploads: [{ status: 'done', settled: Promise.resolve() }, running] });
+    const result = FileUpload.validate(input);
+    running.status = 'done';
+    finish();
+    assert.equal(await result, null);
+
+    running.status = 'failed';
+    assert.equal(await FileUpload.validate(input), I18n.t('form.uploads'));
+
+    running.status = 'rejected';
+    assert.equal(await FileUpload.validate(input), I18n.t('form.uploads'));
+});
@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+/**
+ * Neurologie Zentralschweiz AG Website - Tests for the form validation rules
+ * Runs the rules of Validation (assets/js/lib/validation.js) on plain field objects:
+ * phone numbers and their E.164 form, AHV numbers, insurance card numbers, birth dates
+ * with age limits, postcodes and towns. The postcode directory is a fixture, so edits
+ * to data/postcodes.json do not break it.
+ *
+ * Usage:
+ *   node --test scripts/test-*.js       all tests
+ *   node scripts/test-validation.js     only these
+ */
+
+'use strict';
+
+const { test, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const POSTCODES = {
+    6300: ['Zug'],
+    6430: ['Schwyz'],
+    8808: ['Pfäffikon SZ'],
+    6432: ['Rickenbach b. Schwyz']
+};
+
+let Validation;
+let I18n;
+
+function load(file) {
+    return import(pathToFileURL(path.join(ROOT, file)).href);
+}
+
+// Field as the rules see it: data-* attributes in dataset, other attributes by name
+function field(value, attributes = {}) {
+    const { type = 'text', dataset = {}, ...rest } = attributes;
+    return { value, type, dataset, hasAttribute: (name) => name in rest };
+}
+
+function check(rule, value, attributes) {
+    return Validation.rules[rule].validate(value, field(value, attributes));
+}
+
+// YYYY-MM-DD of today moved by whole years and days, as a date input sends it
+function dateFromToday(years, days = 0) {
+    const date = new Date();
+    date.setFullYear(date.getFullYear() + years, date.getMonth(), date.getDate() + days);
+    return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+        .map(part => String(part).padStart(2, '0'))
+        .join('-');
+}
+
+before(async () => {
+    ({ Validation } = await load('assets/js/lib/validation.js'));
+    ({ I18n } = await load('assets/js/core/i18n.js'));
+});
+
+afterEach(() => {
+    Validation.loading = null;
+    delete globalThis.document;
+});
+
+test('toE164 writes Swiss and international numbers in E.164', () => {
+    assert.equal(Validation.toE164('041 123 45 67'), '+41411234567');
+    assert.equal(Validation.toE164('079/123.45.67'), '+41791234567');
+    assert.equal(Validation.toE164('+41 (0)41 123 45 67'), '+41411234567');
+    assert.equal(Validation.toE164('0041 41 123 45 67'), '+41411234567');
+    assert.equal(Validation.toE164('+49 (30) 1234-5678'), '+493012345678');
+    assert.equal(Validation.toE164('123 45 67'), null);
+    assert.equal(Validation.toE164('041 123 45'), null);
+    assert.equal(Validation.toE164('+41 41 abc'), null);
+});
+
+test('phone accepts Swiss landline, mobile and international numbers', () => {
+    ['041 811 22 33', '044 123 45 67', '079 123 45 67', '+41 75 123 45 67', '+49 30 1234567']
+        .forEach(number => assert.equal(check('phone', number), null, number));
+
+    ['012 345 67 89', '+41 90 123 45 67', '+41 79 123 45', '+49 123', '+1234567890123456']
+        .forEach(number => assert.equal(check('phone', number), I18n.t('form.phone'), number));
+
+    assert.equal(Validation.rules.phone.normalize('079 123 45 67'), '+41791234567');
+    assert.equal(Validation.rules.phone.normalize('Festnetz'), 'Festnetz');
+});
+
+test('ahv checks the 756 prefix and the EAN-13 check digit', () => {
+    assert.equal(check('ahv', '756.1234.5678.97'), null);
+    assert.equal(check('ahv', '7561234567897'), null);
+    assert.equal(check('ahv', '756.1234.5678.98'), I18n.t('form.ahv'));
+    assert.equal(check('ahv', '757.1234.5678.97'), I18n.t('form.ahv'));
+    assert.equal(check('ahv', '756.1234.5678'), I18n.t('form.ahv'));
+
+    assert.equal(Validation.rules.ahv.normalize('7561234567897'), '756.1234.5678.97');
+});
+
+test('insurance-card checks the 80756 prefix, the length and the Luhn check digit', () => {
+    assert.equal(check('insurance-card', '80756000001234567897'), null);
+    assert.equal(check('insurance-card', '80756 00000 12345 67897'), null);
+    assert.equal(check('insurance-card', '80756000001234567898'), I18n.t('form.insuranceCard'));
+    assert.equal(check('insurance-card', '80757000001234567897'), I18n.t('form.insuranceCard'));
+    assert.equal(check('insurance-card', '8075600000123456789'), I18n.t('form.insuranceCard'));
+
+    assert.equal(Validation.rules['insurance-card'].normalize('80756 00000 12345 67897'), '80756000001234567897');
+});
+
+test('birth-date rejects future dates and dates beyond the age limits', () => {
+    assert.equal(check('birth-date', dateFromToday(-40)), null);
+    assert.equal(check('birth-date', dateFromToday(0)), null);
+    assert.equal(check('birth-date', dateFromToday(0, 1)), I18n.t('form.birthDateFuture'));
+    assert.equal(check('birth-date', 'kein Datum'), I18n.t('form.birthDate'));
+    assert.equal(check('birth-date', dateFromToday(-120)), null);
+    assert.equal(check('birth-date', dateFromToday(-121)), I18n.t('form.birthDate'));
+});
+
+test('birth-date follows data-min-age and data-max-age', () => {
+    const limits = { dataset: { minAge: '18', maxAge: '65' } };
+
+    assert.equal(check('birth-date', dateFromToday(-18), limits), null);
+    assert.equal(check('birth-date', dateFromToday(-18, 1), limits), I18n.t('form.minAge', { min: 18 }));
+    assert.equal(check('birth-date', dateFromToday(-65), limits), null);
+    assert.equal(check('birth-date', dateFromToday(-66), limits), I18n.t('form.birthDate'));
+});
+
+// The directory only serves the town rule, postcodes outside it are fine
+test('postcode accepts every four-digit Swiss postcode, listed in the directory or not', () => {
+    ['6300', '8001', '6003', '1200', '9658']
+        .forEach(postcode => assert.equal(check('postcode', postcode), null, postcode));
+
+    ['0630', '630', '63000', '63O0', 'CH-6300']
+        .forEach(postcode => assert.equal(check('postcode', postcode), I18n.t('form.postcode'), postcode));
+});
+
+test('town must belong to the postcode of its postcode field', async () => {
+    const postcode = { value: '' };
+    const town = { dataset: { postcodeField: 'postcode' } };
+
+    globalThis.document = { getElementById: (id) => (id === 'postcode' ? postcode : null) };
+    Validation.loading = Promise.resolve(POSTCODES);
+
+    postcode.value = ' 6430 ';
+    assert.equal(await check('town', 'Schwyz', town), null);
+    assert.equal(await check('town', 'Zug', town), I18n.t('form.town', { postcode: '6430', towns: 'Schwyz' }));
+
+    postcode.value = '8808';
+    assert.equal(await check('town', 'Pfäffikon', town), null);
+    assert.equal(await check('town', 'pfaeffikon sz', town), null);
+
+    postcode.value = '6432';
+    assert.equal(await check('town', 'Rickenbach', town), null);
+
+    // Postcodes missing from the directory and malformed ones are not checked against the town
+    postcode.value = '8001';
+    assert.equal(await check('town', 'Zürich', town), null);
+    assert.equal(await check('town', 'Bern', town), null);
+    postcode.value = '';
+    assert.equal(await check('town', 'Zug', town), null);
+    assert.equal(await check('town', 'Zug', { dataset: { postcodeField: 'missing' } }), null);
+});
+
+test('check skips rules on empty optional fields and runs the type rule first', async () => {
+    Validation.loading = Promise.resolve(POSTCODES);
+
+    assert.equal(await Validation.check(field('', { dataset: { validate: 'postcode' } })), null);
+    assert.equal(await Validation.check(field('', { dataset: { validate: 'postcode' }, required: true })), I18n.t('form.required'));
+    assert.equal(await Validation.check(field('8001', { dataset: { validate: 'postcode' } })), null);
+    assert.equal(await Validation.check(field('800', { dataset: { validate: 'postcode' } })), I18n.t('form.postcode'));
+    assert.equal(await Validation.check(field('abc', { type: 'tel' })), I18n.t('form.phone'));
+});
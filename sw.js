@@ -0,0 +1,232 @@
+/**
+ * Neurologie Zentralschweiz AG Website - Service worker
+ * Keeps the core pages, contact details and condition pages available without
+ * a connection. The precache list and the version below are generated by
+ * scripts/build-service-worker.js, the version changes with the content of
+ * any precached file, so a new deployment replaces all caches of the old one.
+ *
+ * Strategies:
+ *   precached files         cache first, refreshed with every new version
+ *   krankheitsbilder/*.html stale-while-revalidate, kept for offline reading
+ *   other pages             network first, offline.html when nothing is cached
+ *   everything else         network first, cached copy as fallback
+ */
+
+'use strict';
+
+/* precache:start (generated from data/team.json and data/i18n/, see scripts/build-service-worker.js) */
+const VERSION = 'a0d43ceda08d';
+const PRECACHE_URLS = [
+    'index.html',
+    'kontakt.html',
+    'team.html',
+    'krankheitsbilder.html',
+    'offline.html',
+    'en/index.html',
+    'en/kontakt.html',
+    'en/team.html',
+    'en/krankheitsbilder.html',
+    'data/i18n/messages.en.json',
+    'it/index.html',
+    'it/kontakt.html',
+    'it/team.html',
+    'it/krankheitsbilder.html',
+    'data/i18n/messages.it.json',
+    'sq/index.html',
+    'sq/kontakt.html',
+    'sq/team.html',
+    'sq/krankheitsbilder.html',
+    'data/i18n/messages.sq.json',
+    'assets/css/style.css',
+    'assets/js/core/accessibility.js',
+    'assets/js/core/config.js',
+    'assets/js/core/consent.js',
+    'assets/js/core/i18n.js',
+    'assets/js/core/locations.js',
+    'assets/js/core/messages.js',
+    'assets/js/core/navigation.js',
+    'assets/js/core/offline.js',
+    'assets/js/core/performance.js',
+    'assets/js/core/utils.js',
+    'assets/js/legacy.js',
+    'assets/js/lib/dialog.js',
+    'assets/js/lib/qrcode.js',
+    'assets/js/lib/submission.js',
+    'assets/js/lib/validation.js',
+    'assets/js/main.js',
+    'assets/js/modules/accordion.js',
+    'assets/js/modules/article.js',
+    'assets/js/modules/blog.js',
+    'assets/js/modules/drafts.js',
+    'assets/js/modules/form.js',
+    'assets/js/modules/handout.js',
+    'assets/js/modules/opening-status.js',
+    'assets/js/modules/privacy.js',
+    'assets/js/modules/search.js',
+    'assets/js/modules/symptom-navigator.js',
+    'assets/js/modules/team.js',
+    'assets/js/modules/toc.js',
+    'assets/js/modules/tooltip.js',
+    'assets/js/modules/upload.js',
+    'assets/js/modules/wizard.js',
+    'data/locations.json',
+    'data/closures.json',
+    'data/team.json',
+    'data/symptom-navigator.json',
+    'data/postcodes.json',
+    'assets/images/team/uta-kliesch-400.avif',
+    'assets/images/team/uta-kliesch-600.avif',
+    'assets/images/team/uta-kliesch-800.avif',
+    'assets/images/team/elisabeth-huberle-400.avif',
+    'assets/images/team/elisabeth-huberle-600.avif',
+    'assets/images/team/elisabeth-huberle-800.avif',
+    'assets/images/team/andrea-liechti-wicki-400.avif',
+    'assets/images/team/andrea-liechti-wicki-600.avif',
+    'assets/images/team/andrea-liechti-wicki-800.avif',
+    'assets/images/team/catharina-mica-keller-400.avif',
+    'assets/images/team/catharina-mica-keller-600.avif',
+    'assets/images/team/catharina-mica-keller-800.avif',
+    'assets/images/team/martina-heinze-400.avif',
+    'assets/images/team/martina-heinze-600.avif',
+    'assets/images/team/martina-heinze-800.avif',
+    'assets/images/team/rosanna-christen-400.avif',
+    'assets/images/team/rosanna-christen-600.avif',
+    'assets/images/team/rosanna-christen-800.avif',
+    'assets/images/team/tanja-stoeckli-400.avif',
+    'assets/images/team/tanja-stoeckli-600.avif',
+    'assets/images/team/tanja-stoeckli-800.avif',
+    'assets/images/team/tanja-schwegler-400.avif',
+    'assets/images/team/tanja-schwegler-600.avif',
+    'assets/images/team/tanja-schwegler-800.avif',
+    'assets/images/team/zoje-mulaj-400.avif',
+    'assets/images/team/zoje-mulaj-600.avif',
+    'assets/images/team/zoje-mulaj-800.avif',
+    'manifest.webmanifest',
+    'assets/images/icon-192.png',
+    'assets/images/icon-512.png',
+    'assets/images/icon.svg'
+];
+/* precache:end */
+
+const CACHE_PREFIX = 'neurologie-';
+const PRECACHE = `${CACHE_PREFIX}precache-${VERSION}`;
+const PAGES_CACHE = `${CACHE_PREFIX}pages-${VERSION}`;
+const OFFLINE_PAGE = 'offline.html';
+const CONDITION_PAGE_PATTERN = /^krankheitsbilder\/[^/]+\.html$/;
+
+// Resolve paths against the scope, so the site also works from a subfolder
+const scopeUrl = path => new URL(path, self.registration.scope).href;
+
+// Path of a request relative to the scope, directory requests map to their index.html
+function scopePath(url) {
+    const path = url.href.slice(self.registration.scope.length).split(/[?#]/)[0];
+    return path === '' || path.endsWith('/') ? `${path}index.html` : path;
+}
+
+self.addEventListener('install', event => {
+    // Bypass the HTTP cache, otherwise a new version could store outdated files
+    event.waitUntil(caches.open(PRECACHE)
+        .then(cache => cache.addAll(PRECACHE_URLS.map(path => new Request(scopeUrl(path), { cache: 'reload' }))))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(async keys => {
+            const outdated = keys.filter(key => key.startsWith(CACHE_PREFIX) && key !== PRECACHE && key !== PAGES_CACHE);
+            await carryOverPages(outdated.filter(key => key.startsWith(`${CACHE_PREFIX}pages-`)));
+            await Promise.all(outdated.map(key => caches.delete(key)));
+        })
+        .then(() => self.clients.claim()));
+});
+
+// Condition pages read before the update stay available offline: fetch them
+// again for the new version, or keep the old copy while there is no connection
+async function carryOverPages(oldCacheNames) {
+    const cache = await caches.open(PAGES_CACHE);
+
+    for (const name of oldCacheNames) {
+        const oldCache = await caches.open(name);
+        const requests = await oldCache.keys();
+
+        await Promise.all(requests.map(async request => {
+            try {
+                const response = await fetch(request, { cache: 'reload' });
+                if (response.ok) {
+                    await cache.put(request, response);
+                    return;
+                }
+            } catch (error) {
+                // Offline, fall back to the old copy below
+            }
+            const oldResponse = await oldCache.match(request);
+            if (oldResponse) await cache.put(request, oldResponse);
+        }));
+    }
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    // Form submissions and external content are never cached
+    if (request.method !== 'GET' || url.origin !== self.location.origin || !url.href.startsWith(self.registration.scope)) return;
+
+    const path = scopePath(url);
+
+    if (CONDITION_PAGE_PATTERN.test(path)) {
+        event.respondWith(staleWhileRevalidate(event, path));
+    } else if (PRECACHE_URLS.includes(path)) {
+        event.respondWith(cacheFirst(request, path));
+    } else if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request).catch(() => offlinePage()));
+    } else {
+        event.respondWith(networkFirst(request).catch(() => Response.error()));
+    }
+});
+
+async function cacheFirst(request, path) {
+    const cached = await caches.match(scopeUrl(path), { cacheName: PRECACHE });
+    return cached || fetch(request);
+}
+
+async function networkFirst(request) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function staleWhileRevalidate(event, path) {
+    const cache = await caches.open(PAGES_CACHE);
+    const key = scopeUrl(path);
+    const cached = await cache.match(key);
+    const update = fetch(event.request)
+        .then(async response => {
+            if (response.ok) await cache.put(key, response.clone());
+            return response;
+        });
+
+    if (cached) {
+        // Refresh in the background, the next visit gets the new version
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+    return update.catch(() => offlinePage());
+}
+
+// The offline page is shown under the requested address, a <base> element
+// keeps its relative links working for pages in subfolders
+async function offlinePage() {
+    const cached = await caches.match(scopeUrl(OFFLINE_PAGE), { cacheName: PRECACHE });
+    if (!cached) return Response.error();
+
+    const html = (await cached.text()).replace('<head>', `<head>\n    <base href="${self.registration.scope}">`);
+    return new Response(html, {
+        status: 503,
+        headers: { 'Content-Type': 'text/html; charset=utf-8' }
+    });
+}